@@ -5,6 +5,62 @@ const fontList = require('font-list'); // Added for getting system fonts
 
 let mainWindow; // Make mainWindow accessible for menu actions
 
+// --- NEW: PDF export layout ---
+// Paper sizes offered by the export dialog (portrait width x height in millimetres), named as printToPDF expects
+const PDF_PAGE_SIZES_MM = {
+  A3: [297, 420],
+  A4: [210, 297],
+  A5: [148, 210],
+  Letter: [215.9, 279.4],
+  Legal: [215.9, 355.6],
+  Tabloid: [279.4, 431.8]
+};
+const CSS_PX_PER_MM = 96 / 25.4;
+
+// Build the page(s) to print: the whole diagram scaled onto one page ('fit'),
+// or the diagram at actual size (1 canvas unit = 1 CSS pixel) cut into page-sized tiles ('tile').
+// The SVG stays inline so shapes and text remain vector in the PDF.
+function buildPdfHtml(svgMarkup, size, options) {
+  let [paperWidth, paperHeight] = PDF_PAGE_SIZES_MM[options.pageSize] || PDF_PAGE_SIZES_MM.A4;
+  if (options.landscape) {
+    [paperWidth, paperHeight] = [paperHeight, paperWidth];
+  }
+  // Printable area in CSS pixels; a pixel less than the page so rounding never spills onto a blank page
+  const areaWidth = Math.floor((paperWidth - options.margin * 2) * CSS_PX_PER_MM) - 1;
+  const areaHeight = Math.floor((paperHeight - options.margin * 2) * CSS_PX_PER_MM) - 1;
+  if (areaWidth <= 0 || areaHeight <= 0) {
+    throw new Error('The margins leave no room on the page.');
+  }
+  const svg = svgMarkup.replace(/^<\?xml[^>]*\?>\s*/, ''); // Inline SVG takes no XML declaration
+
+  const pages = [];
+  if (options.layout === 'tile') {
+    const columns = Math.max(1, Math.ceil(size.width / areaWidth));
+    const rows = Math.max(1, Math.ceil(size.height / areaHeight));
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        pages.push(`<div class="page"><div class="tile" style="left: ${-column * areaWidth}px; top: ${-row * areaHeight}px; ` +
+          `width: ${size.width}px; height: ${size.height}px;">${svg}</div></div>`);
+      }
+    }
+  } else {
+    const scale = Math.min(areaWidth / size.width, areaHeight / size.height);
+    pages.push(`<div class="page"><div class="tile" style="left: 0; top: 0; ` +
+      `width: ${size.width * scale}px; height: ${size.height * scale}px;">${svg}</div></div>`);
+  }
+
+  const html = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><style>
+  html, body { margin: 0; padding: 0; }
+  .page { position: relative; overflow: hidden; width: ${areaWidth}px; height: ${areaHeight}px; break-after: page; }
+  .page:last-child { break-after: auto; }
+  .tile { position: absolute; }
+  .tile svg { display: block; width: 100%; height: 100%; }
+</style></head><body>${pages.join('')}</body></html>`;
+  return { html: html, pageCount: pages.length };
+}
+// -----------------------------
+
 function createWindow () {
   // Create the browser window.
   // Assign to the outer mainWindow variable instead of declaring a new const
@@ -115,13 +171,88 @@ app.whenReady().then(() => {
       label: 'File',
       submenu: [
         {
-          label: 'Save As...',
+          label: 'Open...',
+          accelerator: 'CmdOrCtrl+O',
+          click: () => {
+            mainWindow?.webContents.send('request-open-diagram');
+          }
+        },
+        {
+          label: 'Save',
           accelerator: 'CmdOrCtrl+S', // Standard save shortcut
           click: () => {
-            // Send a message to the renderer process to trigger the save logic
-            mainWindow?.webContents.send('request-save-canvas');
+            // Renderer decides whether a Save As dialog is needed (no file yet)
+            mainWindow?.webContents.send('request-save-diagram');
           }
         },
+        {
+          label: 'Save As...',
+          accelerator: 'Shift+CmdOrCtrl+S',
+          click: () => {
+            mainWindow?.webContents.send('request-save-diagram-as');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Import',
+          submenu: [
+            {
+              label: 'Mermaid...',
+              click: () => {
+                mainWindow?.webContents.send('request-import-mermaid');
+              }
+            },
+            {
+              label: 'Graphviz DOT...',
+              click: () => {
+                mainWindow?.webContents.send('request-import-dot');
+              }
+            },
+            {
+              label: 'draw.io...',
+              click: () => {
+                mainWindow?.webContents.send('request-import-drawio');
+              }
+            }
+          ]
+        },
+        {
+          label: 'Export',
+          submenu: [
+            {
+              label: 'Image...',
+              click: () => {
+                // Send a message to the renderer process to trigger the PNG/JPG export logic
+                mainWindow?.webContents.send('request-save-canvas');
+              }
+            },
+            {
+              label: 'SVG...',
+              click: () => {
+                mainWindow?.webContents.send('request-export-svg');
+              }
+            },
+            {
+              label: 'PDF...',
+              click: () => {
+                mainWindow?.webContents.send('request-export-pdf');
+              }
+            },
+            { type: 'separator' },
+            {
+              label: 'Mermaid...',
+              click: () => {
+                mainWindow?.webContents.send('request-export-mermaid');
+              }
+            },
+            {
+              label: 'Graphviz DOT...',
+              click: () => {
+                mainWindow?.webContents.send('request-export-dot');
+              }
+            }
+          ]
+        },
         { type: 'separator' }, // Add a separator for visual clarity
         process.platform === 'darwin' ? { role: 'close' } : { role: 'quit' }
       ]
@@ -160,6 +291,28 @@ app.whenReady().then(() => {
             mainWindow?.webContents.send('paste-canvas'); // Send custom IPC message
           }
         },
+        { type: 'separator' },
+        {
+          label: 'Group',
+          accelerator: 'CmdOrCtrl+G',
+          click: () => {
+            mainWindow?.webContents.send('group-shapes');
+          }
+        },
+        {
+          label: 'Ungroup',
+          accelerator: 'Shift+CmdOrCtrl+G',
+          click: () => {
+            mainWindow?.webContents.send('ungroup-shapes');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Save Selection as Stencil...',
+          click: () => {
+            mainWindow?.webContents.send('save-stencil');
+          }
+        },
         ...(process.platform === 'darwin' ? [
           { role: 'pasteAndMatchStyle' },
           { role: 'delete' },
@@ -179,6 +332,132 @@ app.whenReady().then(() => {
         ])
       ]
     },
+    {
+      label: 'Arrange',
+      submenu: [
+        {
+          label: 'Bring to Front',
+          accelerator: 'CmdOrCtrl+Shift+]',
+          click: () => {
+            mainWindow?.webContents.send('reorder-shapes', 'front');
+          }
+        },
+        {
+          label: 'Bring Forward',
+          accelerator: 'CmdOrCtrl+]',
+          click: () => {
+            mainWindow?.webContents.send('reorder-shapes', 'forward');
+          }
+        },
+        {
+          label: 'Send Backward',
+          accelerator: 'CmdOrCtrl+[',
+          click: () => {
+            mainWindow?.webContents.send('reorder-shapes', 'backward');
+          }
+        },
+        {
+          label: 'Send to Back',
+          accelerator: 'CmdOrCtrl+Shift+[',
+          click: () => {
+            mainWindow?.webContents.send('reorder-shapes', 'back');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Auto Layout...',
+          accelerator: 'CmdOrCtrl+Shift+L',
+          click: () => {
+            mainWindow?.webContents.send('auto-layout');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Align',
+          submenu: [
+            {
+              label: 'Left',
+              accelerator: 'Alt+Shift+L',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'left');
+              }
+            },
+            {
+              label: 'Center',
+              accelerator: 'Alt+Shift+C',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'center');
+              }
+            },
+            {
+              label: 'Right',
+              accelerator: 'Alt+Shift+R',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'right');
+              }
+            },
+            { type: 'separator' },
+            {
+              label: 'Top',
+              accelerator: 'Alt+Shift+T',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'top');
+              }
+            },
+            {
+              label: 'Middle',
+              accelerator: 'Alt+Shift+M',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'middle');
+              }
+            },
+            {
+              label: 'Bottom',
+              accelerator: 'Alt+Shift+B',
+              click: () => {
+                mainWindow?.webContents.send('align-shapes', 'bottom');
+              }
+            }
+          ]
+        },
+        {
+          label: 'Distribute',
+          submenu: [
+            {
+              label: 'Horizontally',
+              accelerator: 'Alt+Shift+H',
+              click: () => {
+                mainWindow?.webContents.send('distribute-shapes', 'horizontal');
+              }
+            },
+            {
+              label: 'Vertically',
+              accelerator: 'Alt+Shift+V',
+              click: () => {
+                mainWindow?.webContents.send('distribute-shapes', 'vertical');
+              }
+            }
+          ]
+        },
+        {
+          label: 'Match Size',
+          submenu: [
+            {
+              label: 'Width',
+              click: () => {
+                mainWindow?.webContents.send('match-shape-size', 'width');
+              }
+            },
+            {
+              label: 'Height',
+              click: () => {
+                mainWindow?.webContents.send('match-shape-size', 'height');
+              }
+            }
+          ]
+        }
+      ]
+    },
     // { role: 'viewMenu' }
     {
       label: 'View',
@@ -187,6 +466,49 @@ app.whenReady().then(() => {
         { role: 'forceReload' },
         { role: 'toggleDevTools' },
         { type: 'separator' },
+        {
+          label: 'Zoom to Fit',
+          accelerator: 'CmdOrCtrl+Shift+1',
+          click: () => {
+            mainWindow?.webContents.send('zoom-to-fit');
+          }
+        },
+        {
+          label: 'Zoom to Selection',
+          accelerator: 'CmdOrCtrl+Shift+2',
+          click: () => {
+            mainWindow?.webContents.send('zoom-to-selection');
+          }
+        },
+        {
+          label: 'Actual Size',
+          accelerator: 'CmdOrCtrl+Shift+0',
+          click: () => {
+            mainWindow?.webContents.send('zoom-actual-size');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Show Grid',
+          accelerator: "CmdOrCtrl+'",
+          click: () => {
+            mainWindow?.webContents.send('toggle-grid');
+          }
+        },
+        {
+          label: 'Snap to Grid',
+          accelerator: "CmdOrCtrl+Shift+'",
+          click: () => {
+            mainWindow?.webContents.send('toggle-snap-to-grid');
+          }
+        },
+        {
+          label: 'Smart Guides',
+          click: () => {
+            mainWindow?.webContents.send('toggle-smart-guides');
+          }
+        },
+        { type: 'separator' },
         { role: 'resetZoom' },
         { role: 'zoomIn' },
         { role: 'zoomOut' },
@@ -253,6 +575,111 @@ app.whenReady().then(() => {
     }
   });
 
+  // --- Native diagram documents (.flow) are plain UTF-8 JSON ---
+  ipcMain.handle('dialog:openFile', async (event, filters) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Open',
+        properties: ['openFile'],
+        filters: filters // e.g., [{ name: 'Flowchart Diagram', extensions: ['flow'] }]
+      });
+
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+        return { success: false, error: 'No file selected' };
+      }
+
+      const filePath = result.filePaths[0];
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return { success: true, filePath: filePath, content: content };
+    } catch (error) {
+      console.error('Failed to open file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // --- NEW: PDF export: print the laid-out SVG from a hidden window ---
+  ipcMain.handle('pdf:export', async (event, filePath, svgMarkup, size, options) => {
+    const htmlPath = path.join(app.getPath('temp'), `flowchart-export-${Date.now()}.html`);
+    let pdfWindow = null;
+    try {
+      const { html, pageCount } = buildPdfHtml(svgMarkup, size, options);
+      // A file rather than a data: URL, since embedded images can make the page very large
+      await fs.promises.writeFile(htmlPath, html, 'utf8');
+      pdfWindow = new BrowserWindow({ show: false, webPreferences: { offscreen: true } });
+      await pdfWindow.loadFile(htmlPath);
+      const marginInches = options.margin / 25.4;
+      const pdfData = await pdfWindow.webContents.printToPDF({
+        pageSize: PDF_PAGE_SIZES_MM[options.pageSize] ? options.pageSize : 'A4',
+        landscape: options.landscape,
+        printBackground: true,
+        margins: { top: marginInches, bottom: marginInches, left: marginInches, right: marginInches }
+      });
+      await fs.promises.writeFile(filePath, pdfData);
+      console.log(`PDF written to ${filePath} (${pageCount} page(s))`);
+      return { success: true, pageCount: pageCount };
+    } catch (error) {
+      console.error('Failed to export PDF:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (pdfWindow) pdfWindow.destroy();
+      fs.promises.unlink(htmlPath).catch(() => {}); // Temporary file; ignore if it was never written
+    }
+  });
+
+  ipcMain.handle('fs:writeTextFile', async (event, filePath, text) => {
+    try {
+      // Unlike fs:writeFile, the data is written as-is (no data URL decoding)
+      await fs.promises.writeFile(filePath, text, 'utf8');
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save text file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // --- NEW: Custom stencils for the shape library, kept as JSON in the user data folder ---
+  const stencilsPath = path.join(app.getPath('userData'), 'stencils.json');
+
+  ipcMain.handle('stencils:load', async () => {
+    try {
+      const content = await fs.promises.readFile(stencilsPath, 'utf8');
+      const stencils = JSON.parse(content);
+      if (!Array.isArray(stencils)) {
+        throw new Error('The stencil file is not a list of stencils.');
+      }
+      return { success: true, stencils: stencils };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: true, stencils: [] }; // Nothing saved yet
+      }
+      console.error('Failed to load stencils:', error);
+      return { success: false, error: `Could not read ${stencilsPath}: ${error.message}` };
+    }
+  });
+
+  ipcMain.handle('stencils:save', async (event, stencils) => {
+    try {
+      // A stencil file that can't be read is kept aside rather than lost
+      let backupPath = null;
+      try {
+        const existing = JSON.parse(await fs.promises.readFile(stencilsPath, 'utf8'));
+        if (!Array.isArray(existing)) throw new Error('The stencil file is not a list of stencils.');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          backupPath = `${stencilsPath}.${Date.now()}.bak`;
+          await fs.promises.copyFile(stencilsPath, backupPath);
+          console.warn(`Unreadable stencil file backed up to ${backupPath}`);
+        }
+      }
+      await fs.promises.writeFile(stencilsPath, JSON.stringify(stencils, null, 2), 'utf8');
+      return { success: true, backupPath: backupPath };
+    } catch (error) {
+      console.error('Failed to save stencils:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  // -----------------------------------------------------------
+
 
   app.on('activate', function () {
     // On macOS it's common to re-create a window in the app when the
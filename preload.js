@@ -11,14 +11,48 @@ contextBridge.exposeInMainWorld(
     writeFile: (filePath, data) => ipcRenderer.invoke('fs:writeFile', filePath, data),
     getSystemFonts: () => ipcRenderer.invoke('get-system-fonts'), // <-- ADDED
     openImageDialog: () => ipcRenderer.invoke('dialog:openImage'), // <-- ADDED for image opening
+    openFileDialog: (filters) => ipcRenderer.invoke('dialog:openFile', filters), // Returns { success, filePath, content }
+    writeTextFile: (filePath, text) => ipcRenderer.invoke('fs:writeTextFile', filePath, text),
+    exportPdf: (filePath, svg, size, options) => ipcRenderer.invoke('pdf:export', filePath, svg, size, options), // Returns { success, pageCount }
+    loadStencils: () => ipcRenderer.invoke('stencils:load'), // Returns { success, stencils }
+    saveStencils: (stencils) => ipcRenderer.invoke('stencils:save', stencils),
 
     // Main to Renderer (Send/On) - Expose a listener function
     onUndo: (callback) => ipcRenderer.on('undo-action', (event, ...args) => callback(...args)),
     onRedo: (callback) => ipcRenderer.on('redo-action', (event, ...args) => callback(...args)),
     onRequestSave: (callback) => ipcRenderer.on('request-save-canvas', (event, ...args) => callback(...args)), // Add listener for save request
+    onRequestExportSvg: (callback) => ipcRenderer.on('request-export-svg', (event, ...args) => callback(...args)),
+    onRequestExportPdf: (callback) => ipcRenderer.on('request-export-pdf', (event, ...args) => callback(...args)),
+    // Diagram text formats (File > Import / Export)
+    onRequestImportMermaid: (callback) => ipcRenderer.on('request-import-mermaid', (event, ...args) => callback(...args)),
+    onRequestExportMermaid: (callback) => ipcRenderer.on('request-export-mermaid', (event, ...args) => callback(...args)),
+    onRequestImportDot: (callback) => ipcRenderer.on('request-import-dot', (event, ...args) => callback(...args)),
+    onRequestExportDot: (callback) => ipcRenderer.on('request-export-dot', (event, ...args) => callback(...args)),
+    onRequestImportDrawio: (callback) => ipcRenderer.on('request-import-drawio', (event, ...args) => callback(...args)),
+    // Native document (.flow) open/save requests
+    onRequestOpen: (callback) => ipcRenderer.on('request-open-diagram', (event, ...args) => callback(...args)),
+    onRequestSaveDiagram: (callback) => ipcRenderer.on('request-save-diagram', (event, ...args) => callback(...args)),
+    onRequestSaveDiagramAs: (callback) => ipcRenderer.on('request-save-diagram-as', (event, ...args) => callback(...args)),
     // Add listeners for copy/paste
     onCopyCanvas: (callback) => ipcRenderer.on('copy-canvas', (event, ...args) => callback(...args)),
-    onPasteCanvas: (callback) => ipcRenderer.on('paste-canvas', (event, ...args) => callback(...args))
+    onPasteCanvas: (callback) => ipcRenderer.on('paste-canvas', (event, ...args) => callback(...args)),
+    // Group/Ungroup from the Edit menu
+    onGroupShapes: (callback) => ipcRenderer.on('group-shapes', (event, ...args) => callback(...args)),
+    onUngroupShapes: (callback) => ipcRenderer.on('ungroup-shapes', (event, ...args) => callback(...args)),
+    onSaveStencil: (callback) => ipcRenderer.on('save-stencil', (event, ...args) => callback(...args)),
+    // View menu zoom and grid commands
+    onZoomToFit: (callback) => ipcRenderer.on('zoom-to-fit', (event, ...args) => callback(...args)),
+    onZoomToSelection: (callback) => ipcRenderer.on('zoom-to-selection', (event, ...args) => callback(...args)),
+    onZoomActualSize: (callback) => ipcRenderer.on('zoom-actual-size', (event, ...args) => callback(...args)),
+    onToggleGrid: (callback) => ipcRenderer.on('toggle-grid', (event, ...args) => callback(...args)),
+    onToggleSnapToGrid: (callback) => ipcRenderer.on('toggle-snap-to-grid', (event, ...args) => callback(...args)),
+    onToggleSmartGuides: (callback) => ipcRenderer.on('toggle-smart-guides', (event, ...args) => callback(...args)),
+    // Arrange menu
+    onReorderShapes: (callback) => ipcRenderer.on('reorder-shapes', (event, ...args) => callback(...args)),
+    onAutoLayout: (callback) => ipcRenderer.on('auto-layout', (event, ...args) => callback(...args)),
+    onAlignShapes: (callback) => ipcRenderer.on('align-shapes', (event, ...args) => callback(...args)),
+    onDistributeShapes: (callback) => ipcRenderer.on('distribute-shapes', (event, ...args) => callback(...args)),
+    onMatchShapeSize: (callback) => ipcRenderer.on('match-shape-size', (event, ...args) => callback(...args))
   }
 );
 
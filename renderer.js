@@ -5,32 +5,73 @@
 const canvas = document.getElementById('flowchartCanvas');
 const ctx = canvas.getContext('2d');
 const toolbar = document.getElementById('toolbar');
+const canvasContainer = document.getElementById('canvas-container');
+const horizontalScrollbar = document.getElementById('horizontalScrollbar');
+const verticalScrollbar = document.getElementById('verticalScrollbar');
 const colorPicker = document.getElementById('colorPicker');
 const removeColorButton = document.getElementById('removeColorButton');
+// --- NEW: Stroke Elements ---
+const strokeColorPicker = document.getElementById('strokeColorPicker');
+const removeStrokeButton = document.getElementById('removeStrokeButton');
+const strokeWidthInput = document.getElementById('strokeWidthInput');
+const strokeDashSelector = document.getElementById('strokeDashSelector');
+// ----------------------------
 // --- NEW: Text Formatting Elements ---
 const fontSelector = document.getElementById('fontSelector');
 const boldButton = document.getElementById('boldButton');
 const italicButton = document.getElementById('italicButton');
 const underlineButton = document.getElementById('underlineButton');
+const strikethroughButton = document.getElementById('strikethroughButton'); // NEW
+const fontSizeInput = document.getElementById('fontSizeInput'); // NEW
+const textColorPicker = document.getElementById('textColorPicker'); // NEW
+const lineHeightInput = document.getElementById('lineHeightInput'); // NEW
+const letterSpacingInput = document.getElementById('letterSpacingInput'); // NEW
 const alignLeftButton = document.getElementById('alignLeftButton');
 const alignCenterButton = document.getElementById('alignCenterButton');
 const alignRightButton = document.getElementById('alignRightButton');
 // ------------------------------------
+// --- NEW: Line Marker Elements ---
+const startMarkerSelector = document.getElementById('startMarkerSelector');
+const endMarkerSelector = document.getElementById('endMarkerSelector');
+const markerSizeInput = document.getElementById('markerSizeInput');
+const routingSelector = document.getElementById('routingSelector');
+const swimlaneOrientationSelector = document.getElementById('swimlaneOrientationSelector'); // NEW: Pools and lanes
+// ---------------------------------
+// --- NEW: Grid Elements ---
+const showGridToggle = document.getElementById('showGridToggle');
+const gridSizeInput = document.getElementById('gridSizeInput');
+const snapToGridToggle = document.getElementById('snapToGridToggle');
+const smartGuidesToggle = document.getElementById('smartGuidesToggle');
+// --------------------------
 
 let shapes = []; // Array to hold all shape objects
 let history = []; // For Undo/Redo
 let redoStack = []; // For Undo/Redo
 let historyIndex = -1; // Current position in history
-let selectedShape = null;
+let selectedShape = null; // The selected shape when exactly one is selected (null otherwise)
+let selectedShapes = []; // NEW: Every selected shape; change it through selectShapes()
 let isDragging = false;
-let dragOffsetX, dragOffsetY; // Offset from shape origin to mouse click
+let dragStart = null; // NEW: { x, y, bounds, targets, shapes, movedX, movedY } for the drag in progress (canvas coords)
 let currentShapeType = 'rectangle'; // Default shape
 let currentColor = null; // Default color (null means no fill)
+let currentTextColor = '#000000'; // NEW: Color for new Text shapes
+let currentStrokeColor = '#000000'; // NEW: Outline color for new shapes and lines (null means none)
+let currentStrokeWidth = null; // NEW: Outline width for new shapes (null keeps each type's default)
+let currentStrokeDash = 'solid'; // NEW: Outline pattern for new shapes and lines
+let currentStartMarker = 'none'; // Marker for the start of new lines (see drawLineMarker)
+let currentEndMarker = 'none'; // Marker for the end of new lines
+let currentMarkerSize = 10; // Marker length in canvas units for new lines
+let currentRouting = 'straight'; // Routing for new lines ('straight', 'orthogonal', 'curved')
+let currentSwimlaneOrientation = 'horizontal'; // NEW: Header side for new pools and lanes ('horizontal' = left, 'vertical' = top)
 
 // --- State variables for Line Drawing ---
 let isDrawingLine = false;
 let lineStartX, lineStartY;
 let tempLineEndX, tempLineEndY;
+// NEW: Anchor bindings picked up while drawing (see findAnchorAt); a bound end makes the line a Connector
+let lineStartBinding = null;
+let tempLineEndBinding = null;
+const anchorSnapDistance = 10; // Screen pixels within which a line end snaps to an anchor point
 
 // --- State variables for Resizing ---
 let isResizing = false;
@@ -38,6 +79,16 @@ let isResizing = false;
 let isRotating = false;
 let rotationStartAngle = 0; // Initial angle between center and mouse on mousedown
 let shapeCenter = null; // Center of the shape being rotated
+// --- NEW State variable for editing line routes (bend/control handles) ---
+let isEditingLine = false;
+let lineEditStart = null; // Snapshot of the line when its handle was grabbed, to tell whether it changed
+// --- NEW State variables for Multi-selection ---
+let isMarqueeSelecting = false;
+let marqueeStart = null; // Canvas coords where the rubber band started
+let marqueeEnd = null;
+let marqueeAdditive = false; // Shift/Ctrl held: the marquee adds to the current selection
+let multiResizeStart = null; // { bounds, snapshots } captured when a multi-selection resize begins
+let pendingSingleSelect = null; // Member of a multi-selection clicked without dragging (selected alone on mouseup)
 
 // --- NEW: Zoom and Pan State ---
 let zoomLevel = 1.0;
@@ -45,6 +96,22 @@ let offsetX = 0;
 let offsetY = 0;
 const minZoom = 0.1;
 const maxZoom = 10.0;
+let isSpaceDown = false; // NEW: Space held: dragging pans the view (hand tool)
+let isPanning = false; // NEW: Panning with space + drag or the middle mouse button
+let panStart = null; // { x, y, offsetX, offsetY } at the start of a pan (mouse in screen coords)
+const zoomFitPadding = 40; // Screen pixels left around the content by Zoom to Fit / Zoom to Selection
+const scrollMargin = 200; // Screen pixels the scrollbars let you scroll past the content
+
+// --- NEW: Grid and snapping ---
+let showGrid = false; // Draw the background grid
+let snapToGrid = false; // Snap moved, resized and new shapes to the grid
+let smartGuidesEnabled = true; // Snap dragged shapes to the edges and centers of other shapes
+let gridSize = 20; // Grid spacing in canvas units
+const minGridSize = 5;
+const maxGridSize = 200;
+const guideSnapDistance = 6; // Screen pixels within which a dragged edge or center snaps to a guide
+let activeGuides = []; // Guide lines shown while dragging: { axis, position, from, to }
+let dropContainers = []; // NEW: Swimlanes the dragged shapes would be placed in, highlighted while dragging
 // -----------------------------
 
 let activeHandle = null; // Stores the type ('top-left', 'rotation', etc.) of the handle being dragged
@@ -54,7 +121,14 @@ let activeTextInput = null; // Reference to the currently active text input elem
 let editingTextShape = null; // Store the shape being edited
 let initialMouseDownPos = null; // Store mouse position on mousedown (in canvas coordinates)
 const dragThreshold = 3; // Pixels mouse must move to initiate drag
-let clipboardShape = null; // Variable to hold the copied shape data
+let clipboardShapes = []; // Copies of the shapes on the clipboard
+
+// --- NEW: Native document (.flow) state ---
+const DOCUMENT_FORMAT = 'flowchart-app'; // Marker stored in every .flow file
+const DOCUMENT_VERSION = 1; // Bump when the serialized shape layout changes
+const DIAGRAM_FILE_FILTER = { name: 'Flowchart Diagram', extensions: ['flow'] };
+let currentFilePath = null; // Path of the open .flow document (null = unsaved)
+// -----------------------------------------
 
 
 // --- NEW: Helper Function to get Mouse Position in Canvas Coordinates ---
@@ -86,7 +160,7 @@ function setActiveTool(toolType) {
     }
 
     // Update cursor based on tool
-    if (toolType === 'rectangle' || toolType === 'circle' || toolType === 'diamond' || toolType === 'line') {
+    if (isDrawingTool(toolType)) {
         canvas.style.cursor = 'crosshair';
         currentCursor = 'crosshair';
     } else if (toolType === 'text') { // NEW: Text tool cursor
@@ -106,8 +180,8 @@ function setActiveTool(toolType) {
     }
 
     // Deselect shape if switching to a drawing tool or default
-    if (toolType !== 'default' || selectedShape) {
-        selectedShape = null;
+    if (toolType !== 'default' || selectedShapes.length > 0) {
+        selectShapes([]);
         redrawCanvas(); // Redraw to remove selection highlights
     }
 
@@ -128,6 +202,15 @@ function setActiveTool(toolType) {
         activeHandle = null;
         console.log('Rotation cancelled by switching tool.');
     }
+    if (isEditingLine) {
+        isEditingLine = false;
+        activeHandle = null;
+        console.log('Line editing cancelled by switching tool.');
+    }
+    if (isMarqueeSelecting) {
+        isMarqueeSelecting = false;
+        redrawCanvas();
+    }
 }
 
 
@@ -140,6 +223,9 @@ class Shape {
         this.angle = 0; // NEW: Rotation angle in radians
         this.flipH = false; // NEW: Horizontal flip state
         this.flipV = false; // NEW: Vertical flip state
+        this.strokeColor = '#000000'; // NEW: Outline color (null means no outline)
+        this.strokeWidth = 1; // NEW: Outline width in canvas units
+        this.strokeDash = 'solid'; // NEW: Outline pattern ('solid', 'dashed', 'dotted')
         this.id = Date.now() + Math.random(); // Simple unique ID
     }
     // Abstract methods
@@ -166,7 +252,404 @@ class Shape {
         // Subclasses like Rectangle, Circle, Diamond MUST override this.
         return { x: this.x, y: this.y };
     }
+
+    // NEW: Flip factors in the order draw() passes them to ctx.scale()
+    getFlipScale() {
+        return { x: this.flipH ? -1 : 1, y: this.flipV ? -1 : 1 };
+    }
+
+    // NEW: Convert a point relative to the unrotated shape center into canvas coordinates,
+    // applying the same translate/scale/rotate sequence as draw()
+    localToWorld(relX, relY) {
+        const center = this.getCenter();
+        const angle = this.angle || 0; // Text and Line clones have no angle
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const flip = this.getFlipScale();
+        const rotatedX = relX * cos - relY * sin;
+        const rotatedY = relX * sin + relY * cos;
+        return { x: center.x + rotatedX * flip.x, y: center.y + rotatedY * flip.y };
+    }
+
+    // NEW: Half-size of the box connectors attach to, or null if the shape has no anchors
+    getAnchorExtents() { return null; }
+
+    // NEW: Named connection points in canvas coordinates, following rotation and flips
+    getAnchorPoints() {
+        const extents = this.getAnchorExtents();
+        if (!extents) return {};
+        const { halfW, halfH } = extents;
+        return {
+            top: this.localToWorld(0, -halfH),
+            right: this.localToWorld(halfW, 0),
+            bottom: this.localToWorld(0, halfH),
+            left: this.localToWorld(-halfW, 0),
+            center: this.getCenter()
+        };
+    }
+
+    // NEW: Axis-aligned bounding box in canvas coordinates, taking rotation into account
+    getBounds() {
+        const extents = this.getAnchorExtents();
+        if (!extents) {
+            const center = this.getCenter();
+            return { x: center.x, y: center.y, width: 0, height: 0 };
+        }
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([signX, signY]) =>
+            this.localToWorld(signX * extents.halfW, signY * extents.halfH));
+        return getBoundsOfPoints(corners);
+    }
+
+    // NEW: Move by an offset (used when dragging a selection)
+    moveBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+    }
+
+    // NEW: Scale position and size around (originX, originY), as when resizing a multi-selection.
+    // Size is scaled along the shape's own (possibly rotated) axes.
+    scaleAbout(originX, originY, scaleX, scaleY) {
+        const center = this.getCenter();
+        const angle = this.angle || 0;
+        const localScaleX = Math.hypot(scaleX * Math.cos(angle), scaleY * Math.sin(angle));
+        const localScaleY = Math.hypot(scaleX * Math.sin(angle), scaleY * Math.cos(angle));
+        this.resizeBy(localScaleX, localScaleY);
+        const resizedCenter = this.getCenter();
+        this.moveBy(originX + (center.x - originX) * scaleX - resizedCenter.x,
+                    originY + (center.y - originY) * scaleY - resizedCenter.y);
+    }
+
+    // NEW: Scale the shape's own size (not its position); box shapes share this
+    resizeBy(scaleX, scaleY) {
+        if (this.width !== undefined && this.height !== undefined) {
+            this.width = Math.max(this.width * scaleX, handleSize * 2);
+            this.height = Math.max(this.height * scaleY, handleSize * 2);
+        }
+    }
+
+    // NEW: Mirror the shape across a vertical ('horizontal' flip) or horizontal line through (centerX, centerY)
+    flipAcross(direction, centerX, centerY) {
+        const center = this.getCenter();
+        if (direction === 'horizontal') {
+            this.flipH = !this.flipH;
+            this.moveBy(2 * (centerX - center.x), 0);
+        } else {
+            this.flipV = !this.flipV;
+            this.moveBy(0, 2 * (centerY - center.y));
+        }
+    }
+
+    // NEW: Turn the shape around (centerX, centerY), as when rotating a group.
+    // A flipped shape's angle runs the other way on screen, hence the flip sign.
+    rotateAbout(centerX, centerY, angleDelta) {
+        const center = this.getCenter();
+        const cos = Math.cos(angleDelta);
+        const sin = Math.sin(angleDelta);
+        const relX = center.x - centerX;
+        const relY = center.y - centerY;
+        this.moveBy(centerX + relX * cos - relY * sin - center.x, centerY + relX * sin + relY * cos - center.y);
+        const flip = this.getFlipScale();
+        this.angle = (this.angle || 0) + angleDelta * flip.x * flip.y;
+    }
+
+    // NEW: Put back the values of a toJSON() snapshot (used while resizing, so scaling never accumulates)
+    restoreSnapshot(data) {
+        Object.assign(this, data);
+    }
+
+    // NEW: SVG markup used by the SVG export (subclasses override)
+    toSVG() { return ''; }
+
+    // Plain-object snapshot used by the .flow document format (called by JSON.stringify).
+    // Runtime-only state (loaded images, in-progress resize values) is left out.
+    toJSON() {
+        const data = {};
+        Object.keys(this).forEach(key => {
+            if (!isTransientShapeKey(key)) {
+                data[key] = this[key];
+            }
+        });
+        return data;
+    }
+
+    // Rebuild an instance from toJSON() output. Running the constructor first means
+    // properties added in later versions get their defaults when opening older files.
+    static fromJSON(data) {
+        return Object.assign(new this(), data);
+    }
+}
+
+// NEW: Smallest box containing every point
+function getBoundsOfPoints(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+// Keys that only make sense while the app is running and must not be saved
+function isTransientShapeKey(key) {
+    return key.startsWith('initial') ||
+        key === 'imageElement' || key === 'isLoaded' || key === 'isLoading' || key === 'loadError';
+}
+
+// --- NEW: Stroke Styles ---
+// Dash pattern for a stroke style, scaled with the stroke width so thick lines keep their look
+function getDashPattern(strokeDash, strokeWidth) {
+    const width = Math.max(strokeWidth, 1);
+    switch (strokeDash) {
+        case 'dashed': return [width * 4, width * 3];
+        case 'dotted': return [width, width * 2];
+        default: return [];
+    }
+}
+
+// Set up ctx to stroke with the shape's outline settings. Returns false if the shape has no outline.
+function applyStrokeStyle(ctx, shape) {
+    if (!shape.strokeColor || !(shape.strokeWidth > 0)) return false;
+    ctx.strokeStyle = shape.strokeColor;
+    ctx.lineWidth = shape.strokeWidth;
+    ctx.setLineDash(getDashPattern(shape.strokeDash, shape.strokeWidth));
+    return true;
+}
+// Give a newly drawn shape or line the toolbar's current stroke settings.
+// A line is nothing but its stroke, so "no stroke" only applies to closed shapes.
+function applyCurrentStroke(shape) {
+    shape.strokeColor = currentStrokeColor || (shape instanceof Line ? '#000000' : null);
+    shape.strokeDash = currentStrokeDash;
+    if (currentStrokeWidth !== null) {
+        shape.strokeWidth = currentStrokeWidth;
+    }
+}
+// --- END: Stroke Styles ---
+
+// --- NEW: Shape Labels ---
+// Closed shapes can carry a label. Its properties use the same names as Text's,
+// so the text formatting toolbar and the inline editor work on both.
+function initShapeLabel(shape) {
+    shape.text = '';
+    shape.fontSize = 14;
+    shape.fontFamily = 'Arial';
+    shape.fontWeight = 'normal';
+    shape.fontStyle = 'normal';
+    shape.textDecoration = 'none';
+    shape.textAlign = 'center';
+    shape.textColor = '#000000'; // 'color' is the shape's fill
+    shape.lineHeight = defaultLineHeight; // NEW
+    shape.letterSpacing = 0; // NEW
+}
+
+// NEW: Line spacing as a multiple of the font size, as in CSS
+const defaultLineHeight = 1.2;
+
+// NEW: Space between lines of text, for Text shapes and labels
+function getLineSpacing(shape, fontSize = shape.fontSize) {
+    return fontSize * (shape.lineHeight || defaultLineHeight);
+}
+
+// NEW: Extra space after each character (in canvas units). Measuring with the same context state
+// keeps the widths in step with the drawing.
+function applyLetterSpacing(ctx, shape) {
+    ctx.letterSpacing = `${shape.letterSpacing || 0}px`;
+}
+
+function supportsLabel(shape) {
+    return shape instanceof Rectangle || shape instanceof Circle || shape instanceof Diamond || shape instanceof FlowchartShape ||
+        shape instanceof Swimlane;
+}
+
+// Tools that draw a shape or line on the canvas (crosshair cursor)
+function isDrawingTool(toolType) {
+    return ['rectangle', 'circle', 'diamond', 'line'].includes(toolType) || toolType in flowchartShapeClasses ||
+        toolType in swimlaneClasses;
+}
+
+// Split text into lines no wider than maxWidth, breaking between words
+// (or inside a word that is too long on its own). Explicit newlines are kept.
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = word;
+            // Break up a single word that doesn't fit
+            while (line.length > 1 && ctx.measureText(line).width > maxWidth) {
+                let end = line.length - 1;
+                while (end > 1 && ctx.measureText(line.slice(0, end)).width > maxWidth) end--;
+                lines.push(line.slice(0, end));
+                line = line.slice(end);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Draw a shape's label centered on (0, 0) of the shape's transformed context, wrapped to boxWidth
+function drawShapeLabel(ctx, shape, boxWidth) {
+    if (!shape.text || shape === editingTextShape) return; // Hidden while the inline editor is open
+    const padding = 4;
+    const maxWidth = Math.max(boxWidth - padding * 2, shape.fontSize);
+    ctx.save();
+    ctx.font = `${shape.fontStyle} ${shape.fontWeight} ${shape.fontSize}px ${shape.fontFamily}`;
+    ctx.fillStyle = shape.textColor;
+    ctx.strokeStyle = shape.textColor;
+    ctx.textAlign = shape.textAlign;
+    ctx.textBaseline = 'top';
+    applyLetterSpacing(ctx, shape);
+
+    const lines = wrapText(ctx, shape.text, maxWidth);
+    const lineHeight = getLineSpacing(shape); // Same line spacing as Text
+    let lineX = 0; // Anchor point for ctx.textAlign
+    if (shape.textAlign === 'left') lineX = -maxWidth / 2;
+    else if (shape.textAlign === 'right') lineX = maxWidth / 2;
+    let currentY = -lines.length * lineHeight / 2; // Center the block vertically
+
+    lines.forEach(line => {
+        ctx.fillText(line, lineX, currentY);
+        const decorations = [];
+        if (hasTextDecoration(shape.textDecoration, 'underline')) decorations.push(currentY + shape.fontSize);
+        if (hasTextDecoration(shape.textDecoration, 'line-through')) decorations.push(currentY + shape.fontSize * 0.55);
+        if (decorations.length > 0) {
+            const textWidth = ctx.measureText(line).width;
+            let lineStartX = lineX;
+            if (shape.textAlign === 'center') lineStartX = lineX - textWidth / 2;
+            else if (shape.textAlign === 'right') lineStartX = lineX - textWidth;
+            ctx.lineWidth = Math.max(1, Math.floor(shape.fontSize / 16));
+            ctx.beginPath();
+            decorations.forEach(decorationY => {
+                ctx.moveTo(lineStartX, decorationY);
+                ctx.lineTo(lineStartX + textWidth, decorationY);
+            });
+            ctx.stroke();
+        }
+        currentY += lineHeight;
+    });
+    ctx.restore();
+}
+// --- END: Shape Labels ---
+
+// --- NEW: SVG Export Helpers ---
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Round coordinates so the markup stays readable
+function svgNumber(value) {
+    return Number(value.toFixed(2));
+}
+
+// translate/scale/rotate in the same order draw() applies them to the canvas context
+function getSvgTransform(shape) {
+    const center = shape.getCenter();
+    const flip = shape.getFlipScale();
+    const degrees = (shape.angle || 0) * 180 / Math.PI;
+    return `translate(${svgNumber(center.x)} ${svgNumber(center.y)}) scale(${flip.x} ${flip.y}) rotate(${svgNumber(degrees)})`;
+}
+
+function getSvgFill(color) {
+    return color ? `fill="${escapeXml(color)}"` : 'fill="none"';
+}
+
+function getSvgStroke(shape) {
+    if (!shape.strokeColor || !(shape.strokeWidth > 0)) return 'stroke="none"';
+    const dash = getDashPattern(shape.strokeDash, shape.strokeWidth);
+    const dashAttribute = dash.length > 0 ? ` stroke-dasharray="${dash.map(svgNumber).join(' ')}"` : '';
+    return `stroke="${escapeXml(shape.strokeColor)}" stroke-width="${svgNumber(shape.strokeWidth)}"${dashAttribute}`;
+}
+
+// Font attributes shared by Text shapes and shape labels (the text block's top is at each tspan's y)
+function getSvgFontAttributes(shape) {
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    return `font-family="${escapeXml(shape.fontFamily)}" font-size="${svgNumber(shape.fontSize)}" ` +
+        `font-weight="${shape.fontWeight}" font-style="${shape.fontStyle}" text-decoration="${shape.textDecoration}" ` +
+        `text-anchor="${anchors[shape.textAlign] || 'start'}" dominant-baseline="hanging" xml:space="preserve"` +
+        (shape.letterSpacing ? ` letter-spacing="${svgNumber(shape.letterSpacing)}"` : '');
+}
+
+// A shape's label as SVG text, wrapped and placed like drawShapeLabel()
+function shapeLabelToSVG(shape, boxWidth) {
+    if (!shape.text) return '';
+    const padding = 4;
+    const maxWidth = Math.max(boxWidth - padding * 2, shape.fontSize);
+    ctx.save();
+    ctx.font = `${shape.fontStyle} ${shape.fontWeight} ${shape.fontSize}px ${shape.fontFamily}`; // Measure as on the canvas
+    applyLetterSpacing(ctx, shape);
+    const lines = wrapText(ctx, shape.text, maxWidth);
+    ctx.restore();
+    const lineHeight = getLineSpacing(shape);
+    let lineX = 0;
+    if (shape.textAlign === 'left') lineX = -maxWidth / 2;
+    else if (shape.textAlign === 'right') lineX = maxWidth / 2;
+    const top = -lines.length * lineHeight / 2;
+    const tspans = lines.map((line, i) =>
+        `<tspan x="${svgNumber(lineX)}" y="${svgNumber(top + i * lineHeight)}">${escapeXml(line)}</tspan>`).join('');
+    return `<text ${getSvgFontAttributes(shape)} fill="${escapeXml(shape.textColor)}">${tspans}</text>`;
+}
+
+// SVG version of drawLineMarker()
+function lineMarkerToSVG(marker, tip, from, size, color) {
+    if (!marker || marker === 'none') return '';
+    const degrees = Math.atan2(tip.y - from.y, tip.x - from.x) * 180 / Math.PI;
+    const half = size / 2;
+    const n = svgNumber;
+    const strokeAttributes = `fill="none" stroke="${escapeXml(color)}" stroke-width="2"`;
+    const fillAttributes = `fill="${escapeXml(color)}" stroke="none"`;
+    let element = '';
+    switch (marker) {
+        case 'open-arrow':
+            element = `<path d="M${n(-size)} ${n(-half)} L0 0 L${n(-size)} ${n(half)}" ${strokeAttributes} stroke-linejoin="miter"/>`;
+            break;
+        case 'filled-arrow':
+            element = `<path d="M0 0 L${n(-size)} ${n(-half)} L${n(-size)} ${n(half)} Z" ${fillAttributes}/>`;
+            break;
+        case 'diamond':
+            element = `<path d="M0 0 L${n(-half)} ${n(-size / 3)} L${n(-size)} 0 L${n(-half)} ${n(size / 3)} Z" ${fillAttributes}/>`;
+            break;
+        case 'circle':
+            element = `<circle cx="${n(-half)}" cy="0" r="${n(half)}" fill="none" stroke="${escapeXml(color)}" stroke-width="1.5"/>`;
+            break;
+        case 'crowsfoot':
+            element = `<path d="M${n(-size)} 0 L0 ${n(-half)} M${n(-size)} 0 L0 0 M${n(-size)} 0 L0 ${n(half)}" ${strokeAttributes}/>`;
+            break;
+    }
+    return `<g transform="translate(${n(tip.x)} ${n(tip.y)}) rotate(${n(degrees)})">${element}</g>`;
+}
+
+// Area (canvas coords) an export of the given shapes covers: their bounds plus a margin
+function getExportArea(list = shapes, padding = 20) {
+    const bounds = getSelectionBounds(list) || { x: 0, y: 0, width: 0, height: 0 };
+    return {
+        x: bounds.x - padding,
+        y: bounds.y - padding,
+        width: bounds.width + padding * 2,
+        height: bounds.height + padding * 2
+    };
+}
+
+// Whole-diagram SVG document, sized to the export area
+function diagramToSVG(list = shapes, padding = 20) {
+    updateConnectors(); // Make sure connector ends match their shapes
+    const { x, y, width, height } = getExportArea(list, padding);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${svgNumber(width)}" height="${svgNumber(height)}" viewBox="${svgNumber(x)} ${svgNumber(y)} ${svgNumber(width)} ${svgNumber(height)}">\n` +
+        list.map(shape => shape.toSVG()).filter(markup => markup).join('\n') +
+        '\n</svg>\n';
 }
+// --- END: SVG Export Helpers ---
 
 class Rectangle extends Shape {
     constructor(x, y, width, height, color) {
@@ -174,12 +657,22 @@ class Rectangle extends Shape {
         this.width = Math.max(width, handleSize * 2); // Ensure minimum size
         this.height = Math.max(height, handleSize * 2); // Ensure minimum size
         this.type = 'rectangle';
+        initShapeLabel(this); // NEW: Optional label drawn inside the shape
     }
 
     getCenter() {
         return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
     }
 
+    // draw() swaps the flip axes, so anchors must too
+    getFlipScale() {
+        return { x: this.flipV ? -1 : 1, y: this.flipH ? -1 : 1 };
+    }
+
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
+
     draw(ctx) {
         const center = this.getCenter();
         ctx.save(); // Save context state
@@ -197,13 +690,24 @@ ctx.scale(this.flipV ? -1 : 1, this.flipH ? -1 : 1);
             ctx.fillStyle = this.color;
             ctx.fillRect(-halfW, -halfH, this.width, this.height); // Draw centered
         }
-        ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(-halfW, -halfH, this.width, this.height); // Draw centered
+        if (applyStrokeStyle(ctx, this)) {
+            ctx.strokeRect(-halfW, -halfH, this.width, this.height); // Draw centered
+            ctx.setLineDash([]);
+        }
+        drawShapeLabel(ctx, this, this.width); // NEW: Label turns and flips with the shape
 
         ctx.restore(); // Restore context state (removes translate, rotate, scale)
     }
 
+    // NEW: SVG markup for the export, using the same transform as draw()
+    toSVG() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        return `<g transform="${getSvgTransform(this)}">` +
+            `<rect x="${svgNumber(-halfW)}" y="${svgNumber(-halfH)}" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" ${getSvgFill(this.color)} ${getSvgStroke(this)}/>` +
+            shapeLabelToSVG(this, this.width) + '</g>';
+    }
+
     isInside(mouseX, mouseY) {
         const center = this.getCenter();
         const angle = this.angle;
@@ -287,6 +791,7 @@ class Circle extends Shape {
         super(x, y, color); // x, y is center
         this.radius = Math.max(radius, handleSize); // Ensure minimum size
         this.type = 'circle';
+        initShapeLabel(this); // NEW: Optional label drawn inside the shape
     }
 
     // Circle's x, y IS the center
@@ -294,6 +799,30 @@ class Circle extends Shape {
         return { x: this.x, y: this.y };
     }
 
+    // NEW: Labels wrap to the square inscribed in the circle
+    getLabelWidth() {
+        return this.radius * Math.SQRT2;
+    }
+
+    // draw() swaps the flip axes, so anchors must too
+    getFlipScale() {
+        return { x: this.flipV ? -1 : 1, y: this.flipH ? -1 : 1 };
+    }
+
+    getAnchorExtents() {
+        return { halfW: this.radius, halfH: this.radius };
+    }
+
+    // Rotation doesn't change a circle's extent
+    getBounds() {
+        return { x: this.x - this.radius, y: this.y - this.radius, width: this.radius * 2, height: this.radius * 2 };
+    }
+
+    // Circles stay round, so use the average of the two scales
+    resizeBy(scaleX, scaleY) {
+        this.radius = Math.max(this.radius * (scaleX + scaleY) / 2, handleSize);
+    }
+
     draw(ctx) {
         const center = this.getCenter(); // Which is just { x: this.x, y: this.y }
         ctx.save();
@@ -310,13 +839,22 @@ ctx.scale(this.flipV ? -1 : 1, this.flipH ? -1 : 1);
             ctx.fillStyle = this.color;
             ctx.fill();
         }
-        ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 1;
-        ctx.stroke();
+        if (applyStrokeStyle(ctx, this)) {
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        drawShapeLabel(ctx, this, this.getLabelWidth()); // NEW: Label turns and flips with the shape
 
         ctx.restore(); // Restore context state (removes translate, rotate, scale)
     }
 
+    // NEW: SVG markup for the export
+    toSVG() {
+        return `<g transform="${getSvgTransform(this)}">` +
+            `<circle cx="0" cy="0" r="${svgNumber(this.radius)}" ${getSvgFill(this.color)} ${getSvgStroke(this)}/>` +
+            shapeLabelToSVG(this, this.getLabelWidth()) + '</g>';
+    }
+
     isInside(mouseX, mouseY) {
         // Rotation doesn't affect circle's isInside check based on center distance
         const dx = mouseX - this.x;
@@ -377,12 +915,28 @@ class Diamond extends Shape {
         this.width = Math.max(width, handleSize * 2);
         this.height = Math.max(height, handleSize * 2);
         this.type = 'diamond';
+        initShapeLabel(this); // NEW: Optional label drawn inside the shape
     }
 
     getCenter() {
         return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
     }
 
+    // NEW: Labels wrap to the rectangle inscribed in the diamond
+    getLabelWidth() {
+        return this.width / 2;
+    }
+
+    // draw() swaps the flip axes, so anchors must too
+    getFlipScale() {
+        return { x: this.flipV ? -1 : 1, y: this.flipH ? -1 : 1 };
+    }
+
+    // The diamond's points sit on its bounding box edges, so the box anchors land on them
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
+
     draw(ctx) {
         const center = this.getCenter();
         ctx.save();
@@ -406,13 +960,25 @@ ctx.scale(this.flipV ? -1 : 1, this.flipH ? -1 : 1);
             ctx.fillStyle = this.color;
             ctx.fill();
         }
-        ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 1;
-        ctx.stroke();
+        if (applyStrokeStyle(ctx, this)) {
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        drawShapeLabel(ctx, this, this.getLabelWidth()); // NEW: Label turns and flips with the shape
 
         ctx.restore(); // Restore context state (removes translate, rotate, scale)
     }
 
+    // NEW: SVG markup for the export
+    toSVG() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const points = [[0, -halfH], [halfW, 0], [0, halfH], [-halfW, 0]].map(([x, y]) => `${svgNumber(x)},${svgNumber(y)}`).join(' ');
+        return `<g transform="${getSvgTransform(this)}">` +
+            `<polygon points="${points}" ${getSvgFill(this.color)} ${getSvgStroke(this)}/>` +
+            shapeLabelToSVG(this, this.getLabelWidth()) + '</g>';
+    }
+
     isInside(mouseX, mouseY) {
         const center = this.getCenter();
         const angle = this.angle;
@@ -505,1685 +1071,6958 @@ ctx.scale(this.flipV ? -1 : 1, this.flipH ? -1 : 1);
     }
 }
 
-class Line extends Shape {
-    constructor(x1, y1, x2, y2, color) {
-        super(x1, y1, color); // Base x,y is start point
-        this.x1 = x1;
-        this.y1 = y1;
-        this.x2 = x2;
-        this.y2 = y2;
-        this.type = 'line';
-        // Store dx/dy for dragging the whole line easily
-        this.dx = x2 - x1;
-        this.dy = y2 - y1;
-    }
+// --- NEW: Flowchart Shapes ---
+// Box-based shapes whose outline is described once by getOutline() and reused for drawing,
+// SVG export and hit testing. As for Rectangle, x and y are the top-left of the unrotated box.
+// Outlines are lists of path commands around (0, 0): ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y], ['Z'].
 
-    draw(ctx) {
-        // Calculate the center of the line
-        const centerX = (this.x1 + this.x2) / 2;
-        const centerY = (this.y1 + this.y2) / 2;
-        ctx.save();
-        ctx.translate(centerX, centerY);
-        // Apply flip
-        ctx.scale(this.flipH ? -1 : 1, this.flipV ? -1 : 1);
-        // Draw the line centered at (0,0)
-        ctx.beginPath();
-        ctx.moveTo(this.x1 - centerX, this.y1 - centerY);
-        ctx.lineTo(this.x2 - centerX, this.y2 - centerY);
-        ctx.strokeStyle = this.color;
-        ctx.lineWidth = 2;
-        ctx.stroke();
-        ctx.lineWidth = 1;
-        ctx.restore();
-    }
+const bezierCircle = 0.5523; // Control point distance for a quarter circle drawn as one cubic curve
 
-    isInside(mouseX, mouseY) {
-        // ... (keep existing line isInside logic) ...
-        const tolerance = 5;
-        const dxL = this.x2 - this.x1;
-        const dyL = this.y2 - this.y1;
-        const lenSq = dxL * dxL + dyL * dyL;
-        if (lenSq === 0) {
-             const distSq = Math.pow(mouseX - this.x1, 2) + Math.pow(mouseY - this.y1, 2);
-             return distSq <= tolerance * tolerance;
-         }
-        let t = ((mouseX - this.x1) * dxL + (mouseY - this.y1) * dyL) / lenSq;
-        t = Math.max(0, Math.min(1, t));
-        const closestX = this.x1 + t * dxL;
-        const closestY = this.y1 + t * dyL;
-        const distSq = Math.pow(mouseX - closestX, 2) + Math.pow(mouseY - closestY, 2);
-        return distSq <= tolerance * tolerance;
-    }
+function traceOutline(ctx, commands) {
+    commands.forEach(([command, ...values]) => {
+        if (command === 'M') ctx.moveTo(...values);
+        else if (command === 'L') ctx.lineTo(...values);
+        else if (command === 'C') ctx.bezierCurveTo(...values);
+        else if (command === 'Z') ctx.closePath();
+    });
+}
 
-    // Lines don't have resize handles in this implementation
-    getHandles() {
-        return [];
-    }
+function outlineToSvgPath(commands) {
+    return commands.map(([command, ...values]) => [command, ...values.map(svgNumber)].join(' ')).join(' ');
+}
 
-    clone() {
-        const cloned = super.clone(); // Call base clone
-        cloned.x1 = this.x1;
-        cloned.y1 = this.y1;
-        cloned.x2 = this.x2;
-        cloned.y2 = this.y2;
-        cloned.dx = this.dx;
-        cloned.dy = this.dy;
-        // Lines don't have angle property used in this implementation
-        delete cloned.angle;
-        return cloned;
+// The outline as a polygon (curves sampled), for hit testing
+function outlineToPolygon(commands, curveSteps = 12) {
+    const points = [];
+    let current = { x: 0, y: 0 };
+    commands.forEach(([command, ...values]) => {
+        if (command === 'M' || command === 'L') {
+            current = { x: values[0], y: values[1] };
+            points.push(current);
+        } else if (command === 'C') {
+            const [x1, y1, x2, y2, x, y] = values;
+            const start = current;
+            for (let step = 1; step <= curveSteps; step++) {
+                const t = step / curveSteps;
+                const u = 1 - t;
+                points.push({
+                    x: u * u * u * start.x + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+                    y: u * u * u * start.y + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y
+                });
+            }
+            current = { x, y };
+        }
+    });
+    return points;
+}
+
+// Even-odd test of a point against a closed polygon
+function isPointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
     }
-} // Correctly close the Line class
+    return inside;
+}
 
-class Text extends Shape {
-    constructor(x, y, text, color, fontSize = 16, fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal', textDecoration = 'none', textAlign = 'left') {
-        super(x, y, color || '#000000'); // Default text color to black if none provided
-        this.text = text;
-        this.fontSize = fontSize;
-        this.fontFamily = fontFamily;
-        this.fontWeight = fontWeight; // 'normal', 'bold'
-        this.fontStyle = fontStyle;   // 'normal', 'italic'
-        this.textDecoration = textDecoration; // 'none', 'underline'
-        this.textAlign = textAlign; // 'left', 'center', 'right'
-        this.type = 'text';
-        // Calculate initial width/height for isInside checks (approximate)
-        this.updateDimensions();
+// Rectangle with corners rounded to radius r (a stadium when r is half the shorter side)
+function roundedRectOutline(halfW, halfH, r) {
+    const k = r * bezierCircle;
+    return [
+        ['M', -halfW + r, -halfH],
+        ['L', halfW - r, -halfH],
+        ['C', halfW - r + k, -halfH, halfW, -halfH + r - k, halfW, -halfH + r],
+        ['L', halfW, halfH - r],
+        ['C', halfW, halfH - r + k, halfW - r + k, halfH, halfW - r, halfH],
+        ['L', -halfW + r, halfH],
+        ['C', -halfW + r - k, halfH, -halfW, halfH - r + k, -halfW, halfH - r],
+        ['L', -halfW, -halfH + r],
+        ['C', -halfW, -halfH + r - k, -halfW + r - k, -halfH, -halfW + r, -halfH],
+        ['Z']
+    ];
+}
+
+function polygonOutline(points) {
+    return [['M', ...points[0]], ...points.slice(1).map(point => ['L', ...point]), ['Z']];
+}
+
+class FlowchartShape extends Shape {
+    constructor(x, y, width, height, color) {
+        super(x, y, color);
+        this.width = Math.max(width, handleSize * 2);
+        this.height = Math.max(height, handleSize * 2);
+        initShapeLabel(this);
     }
 
-    // Helper to update width/height based on text content and font
-    updateDimensions() {
-        // Construct font string with style and weight
-        ctx.font = `${this.fontStyle} ${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
-        // Calculate height based on line count and font size (approximate line height)
-        const lines = this.text.split('\n');
-        const lineHeight = this.fontSize * 1.2; // Approximate line height
-        this.height = lines.length * lineHeight;
-        // Find the width of the longest line
-        this.width = 0;
-        lines.forEach(line => {
-            const metrics = ctx.measureText(line);
-            if (metrics.width > this.width) {
-                this.width = metrics.width;
-            }
-        });
+    // Size given to the shape when it's drawn with its toolbar tool
+    static get defaultSize() {
+        return { width: 120, height: 60 };
     }
 
     getCenter() {
-        // Center based on calculated width/height
         return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
     }
 
-    draw(ctx) {
-        // Text doesn't rotate in this simple implementation
-        ctx.fillStyle = this.color;
-        // Construct font string with style and weight
-        ctx.font = `${this.fontStyle} ${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
-        ctx.textAlign = this.textAlign; // Use the shape's alignment property
-        ctx.textBaseline = 'top'; // Render text starting from the top-left corner (this.x, this.y)
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
 
-        // --- Draw Multiline Text ---
-        const lines = this.text.split('\n');
-        const lineHeight = this.fontSize * 1.2; // Use the same approximate line height as in updateDimensions
-        let currentY = this.y;
-
-        lines.forEach(line => {
-            // Adjust drawX per line for alignment
-            // Determine the correct X coordinate based on textAlign
-            // ctx.textAlign handles the actual alignment relative to this point
-            let lineDrawX;
-            if (this.textAlign === 'center') {
-                lineDrawX = this.x + this.width / 2; // Anchor point is the center
-            } else if (this.textAlign === 'right') {
-                lineDrawX = this.x + this.width;   // Anchor point is the right edge
-            } else { // Default to left
-                lineDrawX = this.x;               // Anchor point is the left edge
-            }
-            ctx.fillText(line, lineDrawX, currentY);
-            currentY += lineHeight;
-        });
-        // --- End Draw Multiline Text ---
-
-
-        // --- Manual Underline (Adjusted for Multiline) ---
-        if (this.textDecoration === 'underline') {
-            ctx.strokeStyle = this.color;
-            ctx.lineWidth = Math.max(1, Math.floor(this.fontSize / 16));
-            currentY = this.y; // Reset Y for underline drawing
-
-            lines.forEach(line => {
-                const metrics = ctx.measureText(line);
-                const textWidth = metrics.width;
-                let lineStartX = this.x; // Default left
-                let lineEndX = this.x + textWidth; // Underline only the text itself
-
-                if (this.textAlign === 'center') {
-                    lineStartX = this.x + (this.width - textWidth) / 2;
-                    lineEndX = lineStartX + textWidth;
-                } else if (this.textAlign === 'right') {
-                    lineStartX = this.x + this.width - textWidth;
-                    lineEndX = lineStartX + textWidth;
-                }
+    // Subclasses describe their outline here
+    getOutline(halfW, halfH) { throw new Error("getOutline method must be implemented"); }
+
+    // Lines drawn inside the outline but not filled (e.g. the bars of a predefined process)
+    getDetails(halfW, halfH) { return []; }
+
+    // Width the label wraps to
+    getLabelWidth() {
+        return this.width;
+    }
 
-                const underlineY = currentY + lineHeight - (lineHeight - this.fontSize); // Position slightly below baseline
+    draw(ctx) {
+        const center = this.getCenter();
+        const flip = this.getFlipScale();
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.scale(flip.x, flip.y); // Flip before rotation, as for the other shapes
+        ctx.rotate(this.angle);
 
+        ctx.beginPath();
+        traceOutline(ctx, this.getOutline(halfW, halfH));
+        if (this.color) {
+            ctx.fillStyle = this.color;
+            ctx.fill();
+        }
+        if (applyStrokeStyle(ctx, this)) {
+            ctx.stroke();
+            const details = this.getDetails(halfW, halfH);
+            if (details.length > 0) {
                 ctx.beginPath();
-                ctx.moveTo(lineStartX, underlineY);
-                ctx.lineTo(lineEndX, underlineY);
+                traceOutline(ctx, details);
                 ctx.stroke();
-
-                currentY += lineHeight; // Move to next line's position
-            });
-            ctx.lineWidth = 1; // Reset line width
+            }
+            ctx.setLineDash([]);
         }
-        // --- End Manual Underline ---
+        drawShapeLabel(ctx, this, this.getLabelWidth()); // Label turns and flips with the shape
+
+        ctx.restore();
     }
 
-    isInside(mouseX, mouseY) {
-        // Simple bounding box check based on calculated dimensions
-        return mouseX >= this.x && mouseX <= this.x + this.width &&
-               mouseY >= this.y && mouseY <= this.y + this.height;
+    toSVG() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const details = this.getDetails(halfW, halfH);
+        return `<g transform="${getSvgTransform(this)}">` +
+            `<path d="${outlineToSvgPath(this.getOutline(halfW, halfH))}" ${getSvgFill(this.color)} ${getSvgStroke(this)}/>` +
+            (details.length > 0 ? `<path d="${outlineToSvgPath(details)}" fill="none" ${getSvgStroke(this)}/>` : '') +
+            shapeLabelToSVG(this, this.getLabelWidth()) + '</g>';
     }
 
-    // Return handles based on the bounding box, similar to Rectangle but without rotation handle/logic
-    getHandles() {
-        const handleOffset = handleSize / 2;
-        // Text doesn't rotate, so angle is 0
-        const x = this.x;
-        const y = this.y;
-        const w = this.width;
-        const h = this.height;
+    // Undo localToWorld(): canvas point -> point relative to the unrotated, unflipped center
+    worldToLocal(x, y) {
+        const center = this.getCenter();
+        const flip = this.getFlipScale();
+        const dx = (x - center.x) * flip.x;
+        const dy = (y - center.y) * flip.y;
+        const cos = Math.cos(-this.angle);
+        const sin = Math.sin(-this.angle);
+        return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    }
 
-        // Calculate handle positions directly (no rotation needed)
+    isInside(mouseX, mouseY) {
+        const local = this.worldToLocal(mouseX, mouseY);
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        if (Math.abs(local.x) > halfW || Math.abs(local.y) > halfH) return false;
+        return isPointInPolygon(local.x, local.y, outlineToPolygon(this.getOutline(halfW, halfH)));
+    }
+
+    // Box handles that turn and flip with the shape, plus the rotation handle above the top edge
+    getHandles() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const handleOffset = handleSize / 2;
+        const rotationHandleOffset = 20; // Distance above the top-center handle
         return [
-            { x: x - handleOffset,       y: y - handleOffset,       type: 'top-left' },
-            { x: x + w / 2 - handleOffset, y: y - handleOffset,       type: 'top-center' },
-            { x: x + w - handleOffset,     y: y - handleOffset,       type: 'top-right' },
-            { x: x - handleOffset,       y: y + h / 2 - handleOffset, type: 'middle-left' },
-            { x: x + w - handleOffset,     y: y + h / 2 - handleOffset, type: 'middle-right' },
-            { x: x - handleOffset,       y: y + h - handleOffset,     type: 'bottom-left' },
-            { x: x + w / 2 - handleOffset, y: y + h - handleOffset,     type: 'bottom-center' },
-            { x: x + w - handleOffset,     y: y + h - handleOffset,     type: 'bottom-right' },
-            // No rotation handle for text
-        ];
+            { relX: -halfW, relY: -halfH, type: 'top-left' },
+            { relX: 0, relY: -halfH, type: 'top-center' },
+            { relX: halfW, relY: -halfH, type: 'top-right' },
+            { relX: -halfW, relY: 0, type: 'middle-left' },
+            { relX: halfW, relY: 0, type: 'middle-right' },
+            { relX: -halfW, relY: halfH, type: 'bottom-left' },
+            { relX: 0, relY: halfH, type: 'bottom-center' },
+            { relX: halfW, relY: halfH, type: 'bottom-right' },
+            { relX: 0, relY: -halfH - rotationHandleOffset, type: 'rotation' }
+        ].map(handle => {
+            const point = this.localToWorld(handle.relX, handle.relY);
+            return { x: point.x - handleOffset, y: point.y - handleOffset, type: handle.type };
+        });
     }
+}
 
-    clone() {
-        const cloned = super.clone();
-        cloned.text = this.text;
-        cloned.fontSize = this.fontSize;
-        cloned.fontFamily = this.fontFamily;
-        cloned.width = this.width;
-        cloned.height = this.height;
-        // --- NEW: Clone text style properties ---
-        cloned.fontWeight = this.fontWeight;
-        cloned.fontStyle = this.fontStyle;
-        cloned.textDecoration = this.textDecoration;
-        cloned.textAlign = this.textAlign;
-        // ---------------------------------------
-        delete cloned.angle; // Text doesn't use angle property
-        return cloned;
+// Start/end of a process: a rectangle with fully rounded ends
+class Terminator extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'terminator';
     }
-} // <-- CORRECTED BRACE
 
-// --- NEW: Image Shape Class ---
-class ImageShape extends Shape {
-    constructor(x, y, width, height, dataUrl) {
-        super(x, y, null); // Images don't use the 'color' property for fill
-        this.width = Math.max(width, handleSize * 2);
-        this.height = Math.max(height, handleSize * 2);
-        this.dataUrl = dataUrl;
-        this.type = 'image';
-        this.imageElement = new Image();
-        this.isLoaded = false;
-        this.isLoading = true;
-        this.loadError = false;
+    getOutline(halfW, halfH) {
+        return roundedRectOutline(halfW, halfH, Math.min(halfW, halfH));
+    }
 
-        // Start loading the image
-        this.imageElement.onload = () => {
-            console.log(`Image loaded successfully: ${this.dataUrl.substring(0, 50)}...`);
-            this.isLoaded = true;
-            this.isLoading = false;
-            // Adjust initial width/height based on image aspect ratio if desired
-            // For now, we use the provided width/height
-            redrawCanvas(); // Redraw canvas once image is loaded
-        };
-        this.imageElement.onerror = (err) => {
-            console.error('Error loading image:', err, this.dataUrl.substring(0, 50));
-            this.isLoading = false;
-            this.loadError = true;
-            redrawCanvas(); // Redraw to potentially show an error state
-        };
-        this.imageElement.src = this.dataUrl;
+    getLabelWidth() {
+        return this.width - Math.min(this.width, this.height) / 2;
     }
+}
 
-    getCenter() {
-        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+// Input/output: slanted sides
+class Parallelogram extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'parallelogram';
     }
 
-    draw(ctx) {
-        if (this.isLoading) {
-            // Optional: Draw a placeholder while loading
-            ctx.save();
-            ctx.strokeStyle = '#cccccc';
-            ctx.lineWidth = 1;
-            ctx.strokeRect(this.x, this.y, this.width, this.height);
-            ctx.fillStyle = '#f0f0f0';
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            ctx.fillStyle = '#aaaaaa';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.font = '12px Arial';
-            ctx.fillText('Loading...', this.x + this.width / 2, this.y + this.height / 2);
-            ctx.restore();
-            return;
-        }
-        if (this.loadError) {
-            // Optional: Draw an error indicator
-            ctx.save();
-            ctx.strokeStyle = 'red';
-            ctx.lineWidth = 2;
-            ctx.strokeRect(this.x, this.y, this.width, this.height);
-            ctx.fillStyle = '#ffeeee';
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            ctx.fillStyle = 'red';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.font = 'bold 12px Arial';
-            ctx.fillText('Error!', this.x + this.width / 2, this.y + this.height / 2);
-            ctx.restore();
-            return;
-        }
-        if (!this.isLoaded) return; // Should not happen if not loading/error, but safety check
+    getSlant() {
+        return Math.min(this.width / 4, this.height / 2);
+    }
 
-        const center = this.getCenter();
-        ctx.save();
-        ctx.translate(center.x, center.y);
-        // Apply flip BEFORE rotation
-        ctx.scale(this.flipH ? -1 : 1, this.flipV ? -1 : 1);
-        ctx.rotate(this.angle);
+    getOutline(halfW, halfH) {
+        const slant = this.getSlant();
+        return polygonOutline([[-halfW + slant, -halfH], [halfW, -halfH], [halfW - slant, halfH], [-halfW, halfH]]);
+    }
 
-        // Draw the image centered at the NEW origin (0,0)
-        const halfW = this.width / 2;
-        const halfH = this.height / 2;
-        try {
-            ctx.drawImage(this.imageElement, -halfW, -halfH, this.width, this.height);
-        } catch (e) {
-            // Catch potential errors if image becomes invalid after load? Unlikely but safe.
-            console.error("Error drawing image:", e);
-            // Optionally draw error state here too
-        }
+    getLabelWidth() {
+        return this.width - this.getSlant() * 2;
+    }
+}
 
-        ctx.restore(); // Restore context state
+// Document: a wavy bottom edge
+class DocumentShape extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'document';
     }
 
-    // Use simple bounding box check, same as Rectangle
-    isInside(mouseX, mouseY) {
-        const center = this.getCenter();
-        const angle = this.angle;
-        const cos = Math.cos(-angle); // Inverse rotation
-        const sin = Math.sin(-angle);
+    static get defaultSize() {
+        return { width: 120, height: 70 };
+    }
 
-        let translatedX = mouseX - center.x;
-        let translatedY = mouseY - center.y;
+    getOutline(halfW, halfH) {
+        const depth = this.height * 0.35; // Control point offset; the wave is about 10% of the height deep
+        const base = halfH - depth * 0.2887; // Keeps the lowest point of the wave on the box edge
+        return [
+            ['M', -halfW, -halfH],
+            ['L', halfW, -halfH],
+            ['L', halfW, base],
+            ['C', halfW / 2, base - depth, -halfW / 2, base + depth, -halfW, base],
+            ['Z']
+        ];
+    }
+}
 
-        // Inverse flip
-        const scaleX = this.flipH ? -1 : 1;
-        const scaleY = this.flipV ? -1 : 1;
-        translatedX /= scaleX;
-        translatedY /= scaleY;
+// Database: a cylinder seen from the side
+class Cylinder extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'cylinder';
+    }
 
-        // Inverse rotate
-        const rotatedX = translatedX * cos - translatedY * sin;
-        const rotatedY = translatedX * sin + translatedY * cos;
+    static get defaultSize() {
+        return { width: 80, height: 90 };
+    }
 
-        const halfW = this.width / 2;
-        const halfH = this.height / 2;
+    getCapHeight() {
+        return Math.min(this.height / 4, this.width / 6);
+    }
 
-        return rotatedX >= -halfW && rotatedX <= halfW &&
-               rotatedY >= -halfH && rotatedY <= halfH;
+    getOutline(halfW, halfH) {
+        const ry = this.getCapHeight();
+        const kx = halfW * bezierCircle;
+        const ky = ry * bezierCircle;
+        return [
+            ['M', -halfW, -halfH + ry],
+            ['C', -halfW, -halfH + ry - ky, -kx, -halfH, 0, -halfH],
+            ['C', kx, -halfH, halfW, -halfH + ry - ky, halfW, -halfH + ry],
+            ['L', halfW, halfH - ry],
+            ['C', halfW, halfH - ry + ky, kx, halfH, 0, halfH],
+            ['C', -kx, halfH, -halfW, halfH - ry + ky, -halfW, halfH - ry],
+            ['Z']
+        ];
     }
 
-    // Use handles similar to Rectangle
-    getHandles() {
-        const center = this.getCenter();
-        const angle = this.angle;
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        const halfW = this.width / 2;
-        const halfH = this.height / 2;
-        const handleOffset = handleSize / 2;
-        const rotationHandleOffset = 20;
+    // Front half of the top ellipse
+    getDetails(halfW, halfH) {
+        const ry = this.getCapHeight();
+        const kx = halfW * bezierCircle;
+        const ky = ry * bezierCircle;
+        return [
+            ['M', -halfW, -halfH + ry],
+            ['C', -halfW, -halfH + ry + ky, -kx, -halfH + ry * 2, 0, -halfH + ry * 2],
+            ['C', kx, -halfH + ry * 2, halfW, -halfH + ry + ky, halfW, -halfH + ry]
+        ];
+    }
+}
 
-        const unrotatedHandles = [
-            { relX: -halfW, relY: -halfH, type: 'top-left' },
-            { relX: 0,     relY: -halfH, type: 'top-center' },
-            { relX: halfW, relY: -halfH, type: 'top-right' },
-            { relX: -halfW, relY: 0,      type: 'middle-left' },
-            { relX: halfW, relY: 0,      type: 'middle-right' },
-            { relX: -halfW, relY: halfH, type: 'bottom-left' },
-            { relX: 0,     relY: halfH, type: 'bottom-center' },
-            { relX: halfW, relY: halfH, type: 'bottom-right' },
-            { relX: 0,     relY: -halfH - rotationHandleOffset, type: 'rotation' }
+// Predefined process (subroutine): a rectangle with a bar inside each side
+class PredefinedProcess extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'predefined-process';
+    }
+
+    getInset() {
+        return Math.min(this.width * 0.1, 15);
+    }
+
+    getOutline(halfW, halfH) {
+        return polygonOutline([[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]]);
+    }
+
+    getDetails(halfW, halfH) {
+        const inset = this.getInset();
+        return [
+            ['M', -halfW + inset, -halfH], ['L', -halfW + inset, halfH],
+            ['M', halfW - inset, -halfH], ['L', halfW - inset, halfH]
         ];
+    }
 
-        const scaleX = this.flipH ? -1 : 1;
-        const scaleY = this.flipV ? -1 : 1;
+    getLabelWidth() {
+        return this.width - this.getInset() * 2;
+    }
+}
 
-        return unrotatedHandles.map(handle => {
-            const flippedX = handle.relX * scaleX;
-            const flippedY = handle.relY * scaleY;
-            const rotatedX = flippedX * cos - flippedY * sin;
-            const rotatedY = flippedX * sin + flippedY * cos;
-            return {
-                x: center.x + rotatedX - handleOffset,
-                y: center.y + rotatedY - handleOffset,
-                type: handle.type
-            };
-        });
+// Manual input: the top edge slopes up to the right
+class ManualInput extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'manual-input';
     }
 
-    clone() {
-        // Create a new instance, passing the essential data
-        const cloned = new ImageShape(this.x, this.y, this.width, this.height, this.dataUrl);
-        // Copy state properties
-        cloned.angle = this.angle;
-        cloned.flipH = this.flipH;
-        cloned.flipV = this.flipV;
-        cloned.id = this.id; // Keep original ID for history tracking? Or generate new? Let's keep for now.
-        // Note: The imageElement itself is not deeply cloned, but the constructor
-        // will create a new Image element and start loading from the dataUrl.
-        // The loaded state (isLoaded, isLoading, loadError) will be managed by the new instance.
-        return cloned;
+    getOutline(halfW, halfH) {
+        return polygonOutline([[-halfW, -halfH + this.height * 0.3], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]]);
     }
 }
-// --- END: Image Shape Class ---
 
+// Off-page connector: a pentagon pointing down
+class OffPageConnector extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'off-page-connector';
+    }
 
-// --- NEW Helper Function to get handle at mouse position ---
-function getHandleAt(mouseX, mouseY) {
-    if (!selectedShape) return null;
+    static get defaultSize() {
+        return { width: 60, height: 60 };
+    }
 
-    const handles = selectedShape.getHandles();
-    for (const handle of handles) {
-        // Check if mouse is within the handle's bounds
-        if (mouseX >= handle.x && mouseX <= handle.x + handleSize &&
-            mouseY >= handle.y && mouseY <= handle.y + handleSize) {
-            return handle.type; // Return the type ('top-left', etc.)
-        }
+    getOutline(halfW, halfH) {
+        const point = this.height * 0.35;
+        return polygonOutline([[-halfW, -halfH], [halfW, -halfH], [halfW, halfH - point], [0, halfH], [-halfW, halfH - point]]);
     }
-    return null; // No handle found at this position
 }
 
-// --- NEW Helper Function to get cursor for handle ---
-function getCursorForHandle(handleType) {
-    switch (handleType) {
-        case 'top-left':
-        case 'bottom-right':
-            return 'nwse-resize';
-        case 'top-right':
-        case 'bottom-left':
-            return 'nesw-resize';
-        case 'top-center':
-        case 'bottom-center':
-            return 'ns-resize';
-        case 'middle-left':
-        case 'middle-right':
-            return 'ew-resize';
-        case 'rotation':
-            // Use 'grabbing' if currently rotating, 'grab' otherwise
-            return isRotating ? 'grabbing' : 'grab';
-        default:
-            // If dragging the shape body, use 'grabbing', otherwise 'move'
-            return isDragging ? 'grabbing' : 'move';
+// Preparation: a hexagon with pointed left and right ends
+class Hexagon extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'hexagon';
     }
-}
 
-// --- Undo/Redo Functions ---
-function saveState() {
-    // Clear redo stack whenever a new action is taken
-    redoStack = [];
-    // Deep copy the current shapes array
-    const currentState = shapes.map(shape => shape.clone());
-    // Remove future states if we undid previously
-    history = history.slice(0, historyIndex + 1);
-    // Add the new state
-    history.push(currentState);
-    historyIndex++;
-    // updateUndoRedoButtons(); // Removed call
-    console.log(`State saved. History length: ${history.length}, Index: ${historyIndex}`);
-}
+    getPointDepth() {
+        return Math.min(this.width / 4, this.height / 2);
+    }
 
-function undo() {
-    if (historyIndex <= 0) {
-        console.log("Cannot undo further.");
-        return; // Nothing to undo or only initial state left
+    getOutline(halfW, halfH) {
+        const depth = this.getPointDepth();
+        return polygonOutline([[-halfW + depth, -halfH], [halfW - depth, -halfH], [halfW, 0],
+            [halfW - depth, halfH], [-halfW + depth, halfH], [-halfW, 0]]);
     }
-    // Move current state to redo stack (deep copy)
-    const currentStateForRedo = shapes.map(shape => shape.clone());
-    redoStack.push(currentStateForRedo);
 
-    // Go back one step in history
-    historyIndex--;
-    // Restore the previous state (deep copy)
-    shapes = history[historyIndex].map(shapeData => shapeData.clone()); // Need to clone again when restoring
-    selectedShape = null; // Deselect after undo/redo
-    redrawCanvas();
-    // updateUndoRedoButtons(); // Removed call
-    console.log(`Undo performed. History index: ${historyIndex}`);
+    getLabelWidth() {
+        return this.width - this.getPointDepth();
+    }
 }
 
-function redo() {
-    if (redoStack.length === 0) {
-        console.log("Cannot redo.");
-        return; // Nothing to redo
+// Delay: flat on the left, rounded on the right
+class Delay extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'delay';
     }
-    // Move current state back to history (deep copy)
-    const currentStateForHistory = shapes.map(shape => shape.clone());
-    // Ensure history is correctly sliced if we were at an earlier point
-    history = history.slice(0, historyIndex + 1);
-    history.push(currentStateForHistory);
-    historyIndex++;
 
+    getOutline(halfW, halfH) {
+        const rx = Math.min(halfH, this.width); // Round end's horizontal radius
+        const kx = rx * bezierCircle;
+        const ky = halfH * bezierCircle;
+        const startX = halfW - rx;
+        return [
+            ['M', -halfW, -halfH],
+            ['L', startX, -halfH],
+            ['C', startX + kx, -halfH, halfW, -ky, halfW, 0],
+            ['C', halfW, ky, startX + kx, halfH, startX, halfH],
+            ['L', -halfW, halfH],
+            ['Z']
+        ];
+    }
 
-    // Restore the next state from redo stack (deep copy)
-    const nextState = redoStack.pop();
-    shapes = nextState.map(shapeData => shapeData.clone()); // Need to clone again when restoring
-    selectedShape = null; // Deselect after undo/redo
-    redrawCanvas();
-    // updateUndoRedoButtons(); // Removed call
-    console.log(`Redo performed. History index: ${historyIndex}`);
+    getLabelWidth() {
+        return this.width - Math.min(this.height, this.width) / 4;
+    }
 }
 
-// --- NEW: Copy/Paste Handlers ---
-function handleCopyCanvas() {
-    if (selectedShape) {
-        clipboardShape = selectedShape.clone(); // Use the clone method
-        console.log('Shape copied to clipboard:', clipboardShape);
-    } else {
-        clipboardShape = null; // Clear clipboard if nothing is selected
-        console.log('Nothing selected to copy.');
+// NEW: Note (UML comment): the top-right corner folded over
+class Note extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'note';
     }
-}
 
-function handlePasteCanvas() {
-    if (clipboardShape) {
-        const newShape = clipboardShape.clone(); // Clone again for pasting
-        // Offset the pasted shape slightly
-        const offsetAmount = 10; // Pixels to offset
-        newShape.x += offsetAmount;
-        newShape.y += offsetAmount;
-        // If it's a line, offset both points
-        if (newShape.type === 'line') {
-            newShape.x1 += offsetAmount;
-            newShape.y1 += offsetAmount;
-            newShape.x2 += offsetAmount;
-            newShape.y2 += offsetAmount;
-        }
-        newShape.id = Date.now() + Math.random(); // Give it a new unique ID
-        shapes.push(newShape);
-        selectedShape = newShape; // Select the newly pasted shape
-        saveState(); // Save state for undo
-        redrawCanvas();
-        console.log('Shape pasted from clipboard:', newShape);
-    } else {
-        console.log('Clipboard is empty.');
+    getFold() {
+        return Math.min(this.width, this.height) * 0.2;
+    }
+
+    getOutline(halfW, halfH) {
+        const fold = this.getFold();
+        return polygonOutline([[-halfW, -halfH], [halfW - fold, -halfH], [halfW, -halfH + fold], [halfW, halfH], [-halfW, halfH]]);
+    }
+
+    getDetails(halfW, halfH) {
+        const fold = this.getFold();
+        return [['M', halfW - fold, -halfH], ['L', halfW - fold, -halfH + fold], ['L', halfW, -halfH + fold]];
     }
 }
-// --------------------------------
 
-// Removed updateUndoRedoButtons function
+// NEW: Cloud (networks, the internet): bumps around an ellipse, stretched to fill the box
+class Cloud extends FlowchartShape {
+    constructor(x, y, width, height, color) {
+        super(x, y, width, height, color);
+        this.type = 'cloud';
+    }
 
+    getOutline(halfW, halfH) {
+        const bumps = 7;
+        const bulge = 1.6; // How far the control points reach out past the ellipse
+        const points = [];
+        for (let i = 0; i < bumps; i++) {
+            const angle = -Math.PI / 2 + i * Math.PI * 2 / bumps;
+            points.push({ x: Math.cos(angle), y: Math.sin(angle) });
+        }
+        const commands = [['M', points[0].x, points[0].y]];
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % bumps];
+            commands.push(['C', point.x * bulge, point.y * bulge, next.x * bulge, next.y * bulge, next.x, next.y]);
+        });
+        commands.push(['Z']);
+        // Scale the unit outline so its curves (not just the ellipse) touch the box edges
+        const bounds = getBoundsOfPoints(outlineToPolygon(commands));
+        const scaleX = halfW * 2 / bounds.width;
+        const scaleY = halfH * 2 / bounds.height;
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        return commands.map(([command, ...values]) => [command,
+            ...values.map((value, index) => index % 2 === 0 ? (value - centerX) * scaleX : (value - centerY) * scaleY)]);
+    }
 
-// --- Canvas Redraw ---
-function redrawCanvas() {
-    // Save the default state (identity transform)
-    ctx.save();
+    getLabelWidth() {
+        return this.width * 0.7;
+    }
+}
 
-    // Clear the entire visible canvas area (untransformed)
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+// Flowchart shape classes by type (also the toolbar tool names)
+const flowchartShapeClasses = {
+    terminator: Terminator,
+    parallelogram: Parallelogram,
+    document: DocumentShape,
+    cylinder: Cylinder,
+    'predefined-process': PredefinedProcess,
+    'manual-input': ManualInput,
+    'off-page-connector': OffPageConnector,
+    hexagon: Hexagon,
+    delay: Delay
+};
+// --- END: Flowchart Shapes ---
 
-    // Apply the current pan and zoom transformation
-    ctx.translate(offsetX, offsetY);
-    ctx.scale(zoomLevel, zoomLevel);
+class Line extends Shape {
+    constructor(x1, y1, x2, y2, color) {
+        super(x1, y1, color); // Base x,y is start point
+        this.x1 = x1;
+        this.y1 = y1;
+        this.x2 = x2;
+        this.y2 = y2;
+        this.type = 'line';
+        this.strokeColor = color || '#000000'; // A line's color is its stroke
+        this.strokeWidth = 2;
+        // Store dx/dy for dragging the whole line easily
+        this.dx = x2 - x1;
+        this.dy = y2 - y1;
+        // NEW: End markers ('none', 'open-arrow', 'filled-arrow', 'diamond', 'circle', 'crowsfoot')
+        this.startMarker = 'none';
+        this.endMarker = 'none';
+        this.markerSize = 10;
+        // NEW: Routing ('straight', 'orthogonal' or 'curved')
+        this.routing = 'straight';
+        this.bendRatio = 0.5; // Orthogonal: where the middle segment sits between the ends (0 = start, 1 = end)
+        // Curved: Bézier control points, stored relative to the end they belong to so they move with it
+        this.control1 = null; // { x, y } offset from (x1, y1)
+        this.control2 = null; // { x, y } offset from (x2, y2)
+        // NEW: Intermediate points the route passes through, in unflipped canvas coordinates
+        this.waypoints = [];
+        // NEW: Optional label drawn on a box at the middle of the route (e.g. "Yes"/"No" after a decision)
+        initShapeLabel(this);
+    }
 
-    // --- Draw all shapes within the transformed context ---
-    shapes.forEach(shape => {
-        // Pass the transformed context to the draw method
-        // Shape coordinates are already in canvas space
-        shape.draw(ctx);
-    });
+    getCenter() {
+        return { x: (this.x1 + this.x2) / 2, y: (this.y1 + this.y2) / 2 };
+    }
 
-    // --- Draw temporary line (also in transformed context) ---
-    if (isDrawingLine) {
-        ctx.beginPath();
-        ctx.moveTo(lineStartX, lineStartY);
-        ctx.lineTo(tempLineEndX, tempLineEndY);
-        ctx.strokeStyle = currentColor;
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        ctx.lineWidth = 1; // Reset line width after drawing temp line
+    // Mirror a point across the line's center according to its flip state.
+    // Mirroring is its own inverse, so this also maps canvas points back to unflipped ones.
+    mirrorPoint(point) {
+        const center = this.getCenter();
+        const flip = this.getFlipScale();
+        return { x: center.x + (point.x - center.x) * flip.x, y: center.y + (point.y - center.y) * flip.y };
     }
 
-    // --- Draw selection highlight and handles (within transformed context) ---
-    if (selectedShape) {
-        // Apply shape's rotation ON TOP of the global zoom/pan
-        const center = selectedShape.getCenter();
-        const angle = selectedShape.angle;
+    // Orthogonal routes run horizontal-vertical-horizontal for wide lines, vertical-horizontal-vertical for tall ones
+    isHorizontalElbow() {
+        return Math.abs(this.x2 - this.x1) >= Math.abs(this.y2 - this.y1);
+    }
 
-        // --- Draw Rotated Selection Highlight ---
-        ctx.save(); // Save the zoomed/panned state
-        ctx.translate(center.x, center.y); // Translate origin to shape center
-        // Apply flip BEFORE rotation for highlight
-        ctx.scale(selectedShape.flipH ? -1 : 1, selectedShape.flipV ? -1 : 1);
-        ctx.rotate(angle); // Rotate the flipped context
-        // DO NOT translate back here. Draw relative to the new (0,0) center.
+    // Move the whole line, including its waypoints
+    moveBy(dx, dy) {
+        this.x1 += dx;
+        this.y1 += dy;
+        this.x2 += dx;
+        this.y2 += dy;
+        this.x = this.x1;
+        this.y = this.y1;
+        this.waypoints.forEach(point => {
+            point.x += dx;
+            point.y += dy;
+        });
+    }
 
-        // Styles are affected by zoom, adjust line width if needed
-        const scaledLineWidth = 2 / zoomLevel; // Make highlight consistent thickness visually
-        const scaledHandleSize = handleSize / zoomLevel; // Make handles consistent size visually
-        const scaledHandleOffset = scaledHandleSize / 2;
-        const scaledRotationHandleOffset = 20 / zoomLevel; // Adjust rotation handle distance
+    getBounds() {
+        return getBoundsOfPoints(this.getPathPoints());
+    }
 
-        ctx.strokeStyle = 'blue';
-        ctx.lineWidth = scaledLineWidth;
-        ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]); // Scale dash pattern
+    // Scale every stored point about the origin (mirroring commutes with this, so flips are kept)
+    scaleAbout(originX, originY, scaleX, scaleY) {
+        const scalePoint = (point) => ({ x: originX + (point.x - originX) * scaleX, y: originY + (point.y - originY) * scaleY });
+        const start = scalePoint({ x: this.x1, y: this.y1 });
+        const end = scalePoint({ x: this.x2, y: this.y2 });
+        this.x1 = start.x; this.y1 = start.y;
+        this.x2 = end.x; this.y2 = end.y;
+        this.x = this.x1; this.y = this.y1;
+        this.dx = this.x2 - this.x1;
+        this.dy = this.y2 - this.y1;
+        this.waypoints = this.waypoints.map(scalePoint);
+        if (this.control1) this.control1 = { x: this.control1.x * scaleX, y: this.control1.y * scaleY };
+        if (this.control2) this.control2 = { x: this.control2.x * scaleX, y: this.control2.y * scaleY };
+    }
 
-        // Draw highlight based on shape type, centered at (0,0) in the transformed space
-        if (selectedShape instanceof Rectangle) {
-            const halfW = selectedShape.width / 2;
-            const halfH = selectedShape.height / 2;
-            ctx.strokeRect(-halfW, -halfH, selectedShape.width, selectedShape.height);
-        } else if (selectedShape instanceof Circle) {
-            ctx.beginPath();
-            ctx.arc(0, 0, selectedShape.radius, 0, Math.PI * 2); // Centered at (0,0)
-            ctx.stroke();
-        } else if (selectedShape instanceof Diamond) {
-            const halfW = selectedShape.width / 2;
-            const halfH = selectedShape.height / 2;
-            ctx.beginPath();
-            ctx.moveTo(0, -halfH);      // Top point (relative to center)
-            ctx.lineTo(halfW, 0);       // Right point
-            ctx.lineTo(0, halfH);       // Bottom point
-            ctx.lineTo(-halfW, 0);      // Left point
-            ctx.closePath();
-            ctx.stroke();
-        } else if (selectedShape instanceof ImageShape) { // NEW: Highlight for ImageShape
-            const halfW = selectedShape.width / 2;
-            const halfH = selectedShape.height / 2;
-            ctx.strokeRect(-halfW, -halfH, selectedShape.width, selectedShape.height);
+    // Lines are mirrored by moving their points rather than toggling the flip flags
+    flipAcross(direction, centerX, centerY) {
+        this.bakeFlip();
+        if (direction === 'horizontal') {
+            this.scaleAbout(centerX, centerY, -1, 1);
+        } else {
+            this.scaleAbout(centerX, centerY, 1, -1);
         }
-        // Lines and Text don't get highlight box drawn within this rotated/scaled context
+    }
 
-        // Restore context from shape rotation/scale/translation-to-center
-        ctx.restore(); // Back to just zoomed/panned state
+    // Lines have no angle: their points are turned instead
+    rotateAbout(centerX, centerY, angleDelta) {
+        this.bakeFlip();
+        const cos = Math.cos(angleDelta);
+        const sin = Math.sin(angleDelta);
+        const rotateVector = (vector) => ({ x: vector.x * cos - vector.y * sin, y: vector.x * sin + vector.y * cos });
+        const rotatePoint = (point) => {
+            const rotated = rotateVector({ x: point.x - centerX, y: point.y - centerY });
+            return { x: centerX + rotated.x, y: centerY + rotated.y };
+        };
+        const start = rotatePoint({ x: this.x1, y: this.y1 });
+        const end = rotatePoint({ x: this.x2, y: this.y2 });
+        this.x1 = start.x; this.y1 = start.y;
+        this.x2 = end.x; this.y2 = end.y;
+        this.x = this.x1; this.y = this.y1;
+        this.dx = this.x2 - this.x1;
+        this.dy = this.y2 - this.y1;
+        this.waypoints = this.waypoints.map(rotatePoint);
+        if (this.control1) this.control1 = rotateVector(this.control1);
+        if (this.control2) this.control2 = rotateVector(this.control2);
+    }
 
-        // Draw Text highlight (no rotation/flip applied to highlight itself)
-        if (selectedShape instanceof Text) {
-            // Apply zoom scaling to the highlight stroke
-            ctx.strokeStyle = 'blue';
-            ctx.lineWidth = scaledLineWidth;
-            ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]);
-            ctx.strokeRect(selectedShape.x, selectedShape.y, selectedShape.width, selectedShape.height);
-        }
+    // Apply the flip state to the stored geometry and clear it, so that editing a point
+    // puts it exactly under the mouse (mirroring around a moving center would not)
+    bakeFlip() {
+        const flip = this.getFlipScale();
+        if (flip.x === 1 && flip.y === 1) return;
+        const start = this.mirrorPoint({ x: this.x1, y: this.y1 });
+        const end = this.mirrorPoint({ x: this.x2, y: this.y2 });
+        this.waypoints = this.waypoints.map(point => this.mirrorPoint(point));
+        if (this.control1) this.control1 = { x: this.control1.x * flip.x, y: this.control1.y * flip.y };
+        if (this.control2) this.control2 = { x: this.control2.x * flip.x, y: this.control2.y * flip.y };
+        this.x1 = start.x; this.y1 = start.y;
+        this.x2 = end.x; this.y2 = end.y;
+        this.x = this.x1; this.y = this.y1;
+        this.flipH = false;
+        this.flipV = false;
+    }
 
-        ctx.setLineDash([]); // Reset line dash
-        // --- End Selection Highlight ---
+    // Default curve: leave each end horizontally, giving an S-shape between the ends
+    resetControlPoints() {
+        const halfDx = (this.x2 - this.x1) / 2;
+        this.control1 = { x: halfDx, y: 0 };
+        this.control2 = { x: -halfDx, y: 0 };
+    }
 
+    // Corner points of the route in canvas coordinates (flip applied).
+    // For curved lines these are Bézier points: start, then (control, control, point) per segment.
+    getRoutePoints() {
+        const start = { x: this.x1, y: this.y1 };
+        const end = { x: this.x2, y: this.y2 };
+        const stops = [start, ...this.waypoints.map(point => ({ x: point.x, y: point.y })), end];
+        let points;
+        if (this.routing === 'orthogonal') {
+            if (this.waypoints.length === 0 && this.isHorizontalElbow()) {
+                const bendX = this.x1 + (this.x2 - this.x1) * this.bendRatio;
+                points = [start, { x: bendX, y: this.y1 }, { x: bendX, y: this.y2 }, end];
+            } else if (this.waypoints.length === 0) {
+                const bendY = this.y1 + (this.y2 - this.y1) * this.bendRatio;
+                points = [start, { x: this.x1, y: bendY }, { x: this.x2, y: bendY }, end];
+            } else {
+                // With waypoints, reach each stop horizontally first, then vertically
+                points = [stops[0]];
+                for (let i = 1; i < stops.length; i++) {
+                    const prev = stops[i - 1];
+                    const next = stops[i];
+                    if (prev.x !== next.x && prev.y !== next.y) {
+                        points.push({ x: next.x, y: prev.y });
+                    }
+                    points.push(next);
+                }
+            }
+        } else if (this.routing === 'curved') {
+            if (this.waypoints.length === 0) {
+                if (!this.control1 || !this.control2) {
+                    this.resetControlPoints();
+                }
+                points = [
+                    start,
+                    { x: this.x1 + this.control1.x, y: this.y1 + this.control1.y },
+                    { x: this.x2 + this.control2.x, y: this.y2 + this.control2.y },
+                    end
+                ];
+            } else {
+                // Smooth curve through every stop (Catmull-Rom converted to Bézier segments)
+                points = [stops[0]];
+                for (let i = 0; i < stops.length - 1; i++) {
+                    const prev = stops[i - 1] || stops[i];
+                    const from = stops[i];
+                    const to = stops[i + 1];
+                    const next = stops[i + 2] || to;
+                    points.push({ x: from.x + (to.x - prev.x) / 6, y: from.y + (to.y - prev.y) / 6 });
+                    points.push({ x: to.x - (next.x - from.x) / 6, y: to.y - (next.y - from.y) / 6 });
+                    points.push(to);
+                }
+            }
+        } else {
+            points = stops;
+        }
+        return points.map(point => this.mirrorPoint(point));
+    }
 
-        // --- Draw Handles (adjust size and position based on zoom) ---
-        // Get handles based on UNZOOMED size, then draw them scaled
-        const handles = selectedShape.getHandles(); // These coords are in canvas space (already account for flip/rotation)
-        if (handles.length > 0) {
-             ctx.fillStyle = 'white';
-             ctx.strokeStyle = 'black';
-             ctx.lineWidth = 1 / zoomLevel; // Keep border visually thin
-
-             handles.forEach(handle => {
-                 // Calculate handle center for drawing scaled square/circle
-                 const handleCenterX = handle.x + handleSize / 2; // Original center
-                 const handleCenterY = handle.y + handleSize / 2; // Original center
-
-                 if (handle.type === 'rotation') {
-                     // Draw rotation handle as a circle (scaled size)
-                     ctx.beginPath();
-                     ctx.arc(handleCenterX, handleCenterY, scaledHandleSize / 1.5, 0, Math.PI * 2);
-                     ctx.fillStyle = 'lightblue';
-                     ctx.fill();
-                     ctx.stroke();
-                 } else {
-                     // Draw resize handles as squares (scaled size)
-                     ctx.fillStyle = 'white';
-                     // Calculate top-left corner for scaled square
-                     const scaledHandleX = handle.x + (handleSize - scaledHandleSize) / 2;
-                     const scaledHandleY = handle.y + (handleSize - scaledHandleSize) / 2;
-                     ctx.fillRect(scaledHandleX, scaledHandleY, scaledHandleSize, scaledHandleSize);
-                     ctx.strokeRect(scaledHandleX, scaledHandleY, scaledHandleSize, scaledHandleSize);
-                 }
-             });
+    // The route as a polyline in canvas coordinates; curves are flattened into short segments.
+    // Used for drawing, hit-testing and bounds so every routing shares the same code.
+    getPathPoints() {
+        const route = this.getRoutePoints();
+        if (this.routing !== 'curved') {
+            return route;
         }
-        // -------------------------------
-    } // End if(selectedShape)
+        const segments = 32; // Per Bézier segment
+        const points = [route[0]];
+        for (let i = 0; i + 3 < route.length; i += 3) {
+            const [p0, p1, p2, p3] = route.slice(i, i + 4);
+            for (let step = 1; step <= segments; step++) {
+                const t = step / segments;
+                const mt = 1 - t;
+                points.push({
+                    x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+                    y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+                });
+            }
+        }
+        return points;
+    }
 
-    // Restore the default context state (removes zoom/pan)
-    ctx.restore();
-}
+    draw(ctx) {
+        if (!this.strokeColor || !(this.strokeWidth > 0)) { // An invisible line draws only its label
+            this.drawLabel(ctx);
+            return;
+        }
+        const strokeColor = this.strokeColor;
+        const points = removeDuplicatePoints(this.getPathPoints());
+        if (points.length < 2) return;
 
-// --- Event Listeners ---
+        // Stop the stroke where a closed marker begins so it doesn't show through
+        const stroked = trimPolyline(points,
+            getMarkerInset(this.startMarker, this.markerSize),
+            getMarkerInset(this.endMarker, this.markerSize));
 
-// Toolbar shape selection
-toolbar.addEventListener('click', (e) => {
-    // Use closest to find the .shape element, even if the click is on the img inside it
-    const shapeButton = e.target.closest('.shape');
-    if (shapeButton) { // Check if a shape button was found
-        const toolType = shapeButton.getAttribute('data-shape');
-        if (toolType) { // Ensure it has the data-shape attribute
-            setActiveTool(toolType);
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(stroked[0].x, stroked[0].y);
+        for (let i = 1; i < stroked.length; i++) {
+            ctx.lineTo(stroked[i].x, stroked[i].y);
         }
+        applyStrokeStyle(ctx, this);
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+        ctx.setLineDash([]); // Markers are always drawn solid
+        // Markers point along the first/last segment of the route
+        drawLineMarker(ctx, this.startMarker, points[0], points[1], this.markerSize, strokeColor);
+        drawLineMarker(ctx, this.endMarker, points[points.length - 1], points[points.length - 2], this.markerSize, strokeColor);
+        ctx.restore();
+        this.drawLabel(ctx);
     }
-});
-
-// Color selection
-colorPicker.addEventListener('input', (e) => {
-     const newColor = e.target.value;
-     currentColor = newColor; // Update the global current color for future shapes
-     console.log(`Selected color: ${newColor}`);
-     if (selectedShape && !(selectedShape instanceof Line)) { // Apply color to selected shape (if not a line)
-         selectedShape.color = newColor;
-         redrawCanvas();
-         saveState(); // Save state after color change
-     }
- });
 
-// Remove color button listener
-removeColorButton.addEventListener('click', () => {
-    if (selectedShape && !(selectedShape instanceof Line)) {
-        console.log('Removing fill color from selected shape.');
-        selectedShape.color = null; // Set shape color to null (no fill)
-        currentColor = null; // Set the global current color to null as well
-        colorPicker.value = '#000000'; // Reset picker display to black
-        redrawCanvas();
-        saveState(); // Save the state change
-    } else {
-        console.log('No fillable shape selected to remove color from.');
+    // NEW: The label sits halfway along the route, on a box that hides the line behind it
+    getLabelBounds() {
+        if (!this.text) return null;
+        ctx.save();
+        ctx.font = `${this.fontStyle} ${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
+        applyLetterSpacing(ctx, this);
+        const lines = this.text.split('\n');
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        ctx.restore();
+        const padding = 4; // Same padding drawShapeLabel leaves on each side
+        const width = textWidth + padding * 2;
+        const height = lines.length * getLineSpacing(this) + padding;
+        const center = getPolylineMidpoint(removeDuplicatePoints(this.getPathPoints()));
+        return { x: center.x - width / 2, y: center.y - height / 2, width: width, height: height };
     }
-});
 
-// --- NEW: Event Listeners for Text Formatting Controls ---
+    isOnLabel(mouseX, mouseY) {
+        const bounds = this.getLabelBounds();
+        return !!bounds && mouseX >= bounds.x && mouseX <= bounds.x + bounds.width &&
+            mouseY >= bounds.y && mouseY <= bounds.y + bounds.height;
+    }
 
-// Font selection
-fontSelector.addEventListener('change', (e) => {
-    if (selectedShape instanceof Text) {
-        selectedShape.fontFamily = e.target.value;
-        selectedShape.updateDimensions(); // Recalculate width/height
-        redrawCanvas();
-        saveState();
-        console.log(`Set font family to: ${e.target.value}`);
+    drawLabel(ctx) {
+        const bounds = this.getLabelBounds();
+        if (!bounds || this === editingTextShape) return;
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.translate(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        drawShapeLabel(ctx, this, bounds.width);
+        ctx.restore();
     }
-});
 
-// Bold button
-boldButton.addEventListener('click', () => {
-    if (selectedShape instanceof Text) {
-        selectedShape.fontWeight = selectedShape.fontWeight === 'bold' ? 'normal' : 'bold';
-        boldButton.classList.toggle('selected', selectedShape.fontWeight === 'bold'); // Update button style
-        selectedShape.updateDimensions();
-        redrawCanvas();
-        saveState();
-        console.log(`Set font weight to: ${selectedShape.fontWeight}`);
+    // NEW: SVG markup for the export: the same trimmed route and markers as draw()
+    toSVG() {
+        if (!this.strokeColor || !(this.strokeWidth > 0)) return this.labelToSVG();
+        const points = removeDuplicatePoints(this.getPathPoints());
+        if (points.length < 2) return '';
+        const stroked = trimPolyline(points,
+            getMarkerInset(this.startMarker, this.markerSize),
+            getMarkerInset(this.endMarker, this.markerSize));
+        const pathData = stroked.map((point, i) => `${i === 0 ? 'M' : 'L'}${svgNumber(point.x)} ${svgNumber(point.y)}`).join(' ');
+        return `<g><path d="${pathData}" fill="none" ${getSvgStroke(this)} stroke-linejoin="round"/>` +
+            lineMarkerToSVG(this.startMarker, points[0], points[1], this.markerSize, this.strokeColor) +
+            lineMarkerToSVG(this.endMarker, points[points.length - 1], points[points.length - 2], this.markerSize, this.strokeColor) +
+            this.labelToSVG() + '</g>';
     }
-});
 
-// Italic button
-italicButton.addEventListener('click', () => {
-    if (selectedShape instanceof Text) {
-        selectedShape.fontStyle = selectedShape.fontStyle === 'italic' ? 'normal' : 'italic';
-        italicButton.classList.toggle('selected', selectedShape.fontStyle === 'italic'); // Update button style
-        selectedShape.updateDimensions();
-        redrawCanvas();
-        saveState();
-        console.log(`Set font style to: ${selectedShape.fontStyle}`);
+    labelToSVG() {
+        const bounds = this.getLabelBounds();
+        if (!bounds) return '';
+        return `<g transform="translate(${svgNumber(bounds.x + bounds.width / 2)} ${svgNumber(bounds.y + bounds.height / 2)})">` +
+            `<rect x="${svgNumber(-bounds.width / 2)}" y="${svgNumber(-bounds.height / 2)}" ` +
+            `width="${svgNumber(bounds.width)}" height="${svgNumber(bounds.height)}" fill="#ffffff"/>` +
+            shapeLabelToSVG(this, bounds.width) + '</g>';
     }
-});
 
-// Underline button
-underlineButton.addEventListener('click', () => {
-    if (selectedShape instanceof Text) {
-        selectedShape.textDecoration = selectedShape.textDecoration === 'underline' ? 'none' : 'underline';
-        underlineButton.classList.toggle('selected', selectedShape.textDecoration === 'underline'); // Update button style
-        // No dimension update needed for underline, just redraw
-        redrawCanvas();
-        saveState();
-        console.log(`Set text decoration to: ${selectedShape.textDecoration}`);
+    isInside(mouseX, mouseY) {
+        if (this.isOnLabel(mouseX, mouseY)) return true;
+        const tolerance = Math.max(5, this.strokeWidth / 2); // Thick lines can be grabbed anywhere on the stroke
+        const points = this.getPathPoints();
+        for (let i = 0; i < points.length - 1; i++) {
+            if (distanceToSegment(mouseX, mouseY, points[i], points[i + 1]) <= tolerance) {
+                return true;
+            }
+        }
+        // Markers can be wider than the line itself
+        const first = points[0];
+        const last = points[points.length - 1];
+        return (this.startMarker !== 'none' && Math.hypot(mouseX - first.x, mouseY - first.y) <= this.markerSize) ||
+               (this.endMarker !== 'none' && Math.hypot(mouseX - last.x, mouseY - last.y) <= this.markerSize);
     }
-});
 
-// Alignment buttons
-[alignLeftButton, alignCenterButton, alignRightButton].forEach(button => {
-    button.addEventListener('click', (e) => {
-        if (selectedShape instanceof Text) {
-            const buttonElement = e.target.closest('.align-button'); // Get the button element
-            const newAlign = buttonElement ? buttonElement.getAttribute('data-align') : null; // Get attribute from button
-            selectedShape.textAlign = newAlign;
+    // Handles: both endpoints, each waypoint, and for routes without waypoints
+    // the middle segment of an elbow or the two Bézier control points
+    getHandles() {
+        const handleOffset = handleSize / 2;
+        const route = this.getRoutePoints();
+        const handles = [];
+        handles.push({ x: route[0].x, y: route[0].y, type: 'line-start' });
+        if (this.waypoints.length === 0 && this.routing === 'orthogonal') {
+            const bendX = (route[1].x + route[2].x) / 2;
+            const bendY = (route[1].y + route[2].y) / 2;
+            handles.push({ x: bendX, y: bendY, type: this.isHorizontalElbow() ? 'bend-x' : 'bend-y' });
+        } else if (this.waypoints.length === 0 && this.routing === 'curved') {
+            handles.push({ x: route[1].x, y: route[1].y, type: 'control-1' });
+            handles.push({ x: route[2].x, y: route[2].y, type: 'control-2' });
+        }
+        this.waypoints.forEach((waypoint, index) => {
+            const point = this.mirrorPoint(waypoint);
+            handles.push({ x: point.x, y: point.y, type: `waypoint-${index}` });
+        });
+        const end = route[route.length - 1];
+        handles.push({ x: end.x, y: end.y, type: 'line-end' });
+        return handles.map(handle => ({ x: handle.x - handleOffset, y: handle.y - handleOffset, type: handle.type }));
+    }
 
-            // Update button styles
-            document.querySelectorAll('.align-button.selected').forEach(btn => btn.classList.remove('selected'));
-            e.target.classList.add('selected');
+    // Drag one of the handles from getHandles() to canvas point (x, y)
+    moveHandle(handleType, x, y) {
+        this.bakeFlip();
+        if (handleType.startsWith('waypoint-')) {
+            const waypoint = this.waypoints[parseInt(handleType.slice('waypoint-'.length), 10)];
+            if (waypoint) {
+                waypoint.x = x;
+                waypoint.y = y;
+            }
+            return;
+        }
+        switch (handleType) {
+            case 'line-start':
+                this.x1 = x;
+                this.y1 = y;
+                this.x = x;
+                this.y = y;
+                break;
+            case 'line-end':
+                this.x2 = x;
+                this.y2 = y;
+                break;
+            case 'bend-x':
+                if (this.x2 !== this.x1) this.bendRatio = (x - this.x1) / (this.x2 - this.x1);
+                break;
+            case 'bend-y':
+                if (this.y2 !== this.y1) this.bendRatio = (y - this.y1) / (this.y2 - this.y1);
+                break;
+            case 'control-1':
+                this.control1 = { x: x - this.x1, y: y - this.y1 };
+                break;
+            case 'control-2':
+                this.control2 = { x: x - this.x2, y: y - this.y2 };
+                break;
+        }
+        this.dx = this.x2 - this.x1;
+        this.dy = this.y2 - this.y1;
+    }
 
-            // No dimension update needed for alignment, just redraw
-            redrawCanvas();
-            saveState();
-            console.log(`Set text align to: ${newAlign}`);
+    // Double-click behaviour: remove the waypoint under (x, y), or insert a new one there.
+    // Returns true if the line changed.
+    toggleWaypointAt(x, y) {
+        this.bakeFlip();
+        const tolerance = handleSize / zoomLevel;
+        const existing = this.waypoints.findIndex(point => Math.hypot(point.x - x, point.y - y) <= tolerance);
+        if (existing !== -1) {
+            this.waypoints.splice(existing, 1);
+            return true;
         }
-    });
-});
+        // Insert between the two stops where the detour is shortest
+        const stops = [{ x: this.x1, y: this.y1 }, ...this.waypoints, { x: this.x2, y: this.y2 }];
+        let bestIndex = 0;
+        let bestDetour = Infinity;
+        for (let i = 0; i < stops.length - 1; i++) {
+            const a = stops[i];
+            const b = stops[i + 1];
+            const detour = Math.hypot(x - a.x, y - a.y) + Math.hypot(b.x - x, b.y - y) - Math.hypot(b.x - a.x, b.y - a.y);
+            if (detour < bestDetour) {
+                bestDetour = detour;
+                bestIndex = i;
+            }
+        }
+        this.waypoints.splice(bestIndex, 0, { x: x, y: y });
+        return true;
+    }
 
-// --- END: Text Formatting Listeners ---
+    // Switch routing style, starting curves from the default S-shape
+    setRouting(routing) {
+        if (routing === 'curved' && this.routing !== 'curved') {
+            this.resetControlPoints();
+        }
+        this.routing = routing;
+    }
 
+    clone() {
+        const cloned = super.clone(); // Call base clone
+        cloned.x1 = this.x1;
+        cloned.y1 = this.y1;
+        cloned.x2 = this.x2;
+        cloned.y2 = this.y2;
+        cloned.dx = this.dx;
+        cloned.dy = this.dy;
+        cloned.control1 = this.control1 ? { ...this.control1 } : null;
+        cloned.control2 = this.control2 ? { ...this.control2 } : null;
+        cloned.waypoints = this.waypoints.map(point => ({ ...point }));
+        // Lines don't have angle property used in this implementation
+        delete cloned.angle;
+        return cloned;
+    }
 
-// --- MODIFIED Canvas Interaction ---
-canvas.addEventListener('mousedown', (e) => {
-    const mousePos = getMousePos(e); // Use transformed coordinates
-    const mouseX = mousePos.x;
-    const mouseY = mousePos.y;
+    // Files saved before lines had a stroke color kept the line's color in 'color'
+    static fromJSON(data) {
+        const line = super.fromJSON(data);
+        if (data.strokeColor === undefined && data.color) {
+            line.strokeColor = data.color;
+        }
+        return line;
+    }
+} // Correctly close the Line class
 
-    isDragging = false; // Reset flags
-    isResizing = false;
-    isRotating = false; // Reset rotation flag
-    activeHandle = null;
-    shapeCenter = null;
-    initialMouseDownPos = { x: mouseX, y: mouseY }; // Store initial position (canvas coords)
+// --- NEW: Polyline Helpers (used by Line routing) ---
+function distanceToSegment(px, py, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq === 0) return Math.hypot(px - a.x, py - a.y);
+    let t = ((px - a.x) * dx + (py - a.y) * dy) / lenSq;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
 
-    // Priority 1: Check if clicking on a handle of the selected shape
-    if (selectedShape) {
-        // Check handles using canvas coordinates
-        activeHandle = getHandleAt(mouseX, mouseY);
-        if (activeHandle) {
-            initialMouseDownPos = null; // Don't check drag threshold if starting on handle
-            // Bring selected shape to front (if not already)
-            const shapeIndex = shapes.indexOf(selectedShape);
-            if (shapeIndex !== -1 && shapeIndex < shapes.length - 1) {
-                shapes.splice(shapeIndex, 1);
-                shapes.push(selectedShape);
-            }
+// Point halfway along a polyline, measured by length
+function getPolylineMidpoint(points) {
+    let totalLength = 0;
+    for (let i = 1; i < points.length; i++) {
+        totalLength += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    let remaining = totalLength / 2;
+    for (let i = 1; i < points.length; i++) {
+        const segmentLength = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        if (segmentLength >= remaining && segmentLength > 0) {
+            const t = remaining / segmentLength;
+            return {
+                x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+                y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+            };
+        }
+        remaining -= segmentLength;
+    }
+    return { x: points[0].x, y: points[0].y };
+}
 
-            if (activeHandle === 'rotation') {
-                isRotating = true;
-                isResizing = false;
-                shapeCenter = selectedShape.getCenter();
-                // Calculate initial angle from center to mouse (using canvas coords)
-                const dx = mouseX - shapeCenter.x;
-                const dy = mouseY - shapeCenter.y;
-                rotationStartAngle = Math.atan2(dy, dx);
-                console.log(`Start rotating. Center: (${shapeCenter.x.toFixed(1)}, ${shapeCenter.y.toFixed(1)}), Start Angle: ${rotationStartAngle.toFixed(2)}`);
-                canvas.style.cursor = getCursorForHandle('rotation');
-                currentCursor = canvas.style.cursor;
+// Drop consecutive points that coincide (zero-length segments have no direction)
+function removeDuplicatePoints(points) {
+    return points.filter((point, i) => i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y);
+}
 
-            } else { // Resize handle
-                isResizing = true;
-                isRotating = false;
-                console.log(`Start resizing using handle: ${activeHandle}`);
-                // Store initial state (using canvas coords)
-                selectedShape.initialX = selectedShape.x;
-                selectedShape.initialY = selectedShape.y;
-                selectedShape.initialWidth = selectedShape.width;
-                selectedShape.initialHeight = selectedShape.height;
-                selectedShape.initialRadius = selectedShape.radius;
-                selectedShape.initialAngle = selectedShape.angle;
-                selectedShape.initialCenter = selectedShape.getCenter();
-                selectedShape.initialMouseX = mouseX; // Store initial canvas mouse coords
-                selectedShape.initialMouseY = mouseY;
-                if (selectedShape instanceof Text) {
-                    selectedShape.initialFontSize = selectedShape.fontSize;
-                }
+// Shorten a polyline by the given distances at each end, never past its midpoint
+function trimPolyline(points, startTrim, endTrim) {
+    let totalLength = 0;
+    for (let i = 1; i < points.length; i++) {
+        totalLength += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    const trimEnd = (list, distance) => {
+        const result = list.slice();
+        let remaining = Math.min(distance, totalLength / 2);
+        while (remaining > 0 && result.length > 1) {
+            const a = result[0];
+            const b = result[1];
+            const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segmentLength > remaining) {
+                const t = remaining / segmentLength;
+                result[0] = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+                break;
             }
-
-            redrawCanvas();
-            return; // Handled handle click
+            result.shift();
+            remaining -= segmentLength;
         }
+        return result;
+    };
+    return trimEnd(trimEnd(points, startTrim).reverse(), endTrim).reverse();
+}
+// --- END: Polyline Helpers ---
+
+// --- NEW: Line End Markers ---
+// How far back from the tip the line stroke should stop for each marker type
+function getMarkerInset(marker, size) {
+    switch (marker) {
+        case 'filled-arrow': return size * 0.8; // Leave a little overlap under the head
+        case 'diamond':
+        case 'circle': return size;
+        default: return 0; // 'none', 'open-arrow' and 'crowsfoot' meet the line at the tip
     }
+}
 
-    // Priority 2: Start drawing a new line
-    if (currentShapeType === 'line') {
-        initialMouseDownPos = null;
-        isDrawingLine = true;
-        lineStartX = mouseX; // Use canvas coords
-        lineStartY = mouseY;
-        tempLineEndX = mouseX;
-        tempLineEndY = mouseY;
-        selectedShape = null;
-        console.log(`Starting line at (${lineStartX.toFixed(1)}, ${lineStartY.toFixed(1)})`);
-        redrawCanvas();
-        return; // Handled line start
-    }
+// Draw a marker with its tip at `tip`, pointing away from `from` (both in the current ctx space)
+function drawLineMarker(ctx, marker, tip, from, size, color) {
+    if (!marker || marker === 'none') return;
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    const half = size / 2;
 
-    // Priority 3: Click on existing shape to select/drag
-    let clickedShape = null;
-    for (let i = shapes.length - 1; i >= 0; i--) {
-        const shape = shapes[i];
-        // Use canvas coords for isInside check
-        if (shape.isInside(mouseX, mouseY)) {
-            clickedShape = shape;
+    ctx.save();
+    ctx.translate(tip.x, tip.y);
+    ctx.rotate(angle); // Marker is drawn pointing along +x with the tip at (0,0)
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'miter';
+    ctx.beginPath();
+
+    switch (marker) {
+        case 'open-arrow':
+            ctx.moveTo(-size, -half);
+            ctx.lineTo(0, 0);
+            ctx.lineTo(-size, half);
+            ctx.stroke();
+            break;
+        case 'filled-arrow':
+            ctx.moveTo(0, 0);
+            ctx.lineTo(-size, -half);
+            ctx.lineTo(-size, half);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        case 'diamond':
+            ctx.moveTo(0, 0);
+            ctx.lineTo(-half, -size / 3);
+            ctx.lineTo(-size, 0);
+            ctx.lineTo(-half, size / 3);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        case 'circle':
+            ctx.lineWidth = 1.5;
+            ctx.arc(-half, 0, half, 0, Math.PI * 2);
+            ctx.stroke();
+            break;
+        case 'crowsfoot':
+            // Three prongs spreading out towards the tip
+            ctx.moveTo(-size, 0);
+            ctx.lineTo(0, -half);
+            ctx.moveTo(-size, 0);
+            ctx.lineTo(0, 0);
+            ctx.moveTo(-size, 0);
+            ctx.lineTo(0, half);
+            ctx.stroke();
             break;
-        }
     }
 
-    if (clickedShape) {
-        selectedShape = clickedShape;
-        // initialMouseDownPos (canvas coords) is already set
-        activeHandle = null;
-        isResizing = false;
-        isRotating = false;
-        // Drag offset calculated in mousemove when drag starts
-
-        // Bring selected shape to front
-        const shapeIndex = shapes.indexOf(selectedShape);
-        if (shapeIndex !== -1 && shapeIndex < shapes.length - 1) {
-            shapes.splice(shapeIndex, 1);
-            shapes.push(selectedShape);
-        }
-
-         // Update UI controls
-         colorPicker.value = selectedShape.color || '#000000';
-         if (selectedShape instanceof Text) {
-             fontSelector.value = selectedShape.fontFamily;
-             boldButton.classList.toggle('selected', selectedShape.fontWeight === 'bold');
-             italicButton.classList.toggle('selected', selectedShape.fontStyle === 'italic');
-             underlineButton.classList.toggle('selected', selectedShape.textDecoration === 'underline');
-             document.querySelectorAll('.align-button.selected').forEach(btn => btn.classList.remove('selected'));
-             document.querySelector(`.align-button[data-align="${selectedShape.textAlign}"]`)?.classList.add('selected');
-         }
-
-          console.log('Selected existing shape:', selectedShape);
-          redrawCanvas(); // Show selection immediately
+    ctx.restore();
+}
+// --- END: Line End Markers ---
+
+// --- NEW: Connector Class ---
+// A Line whose ends can be bound to another shape's anchor point. A binding is
+// { shapeId, anchor } where anchor is a key of getAnchorPoints() ('top', 'right', ...).
+// Bound ends follow the shape when it is moved, resized, rotated or flipped.
+class Connector extends Line {
+    constructor(x1, y1, x2, y2, color, startBinding = null, endBinding = null) {
+        super(x1, y1, x2, y2, color);
+        this.type = 'connector';
+        this.startBinding = startBinding;
+        this.endBinding = endBinding;
+    }
 
-      } else {
-        // Priority 4: Click on background
-        initialMouseDownPos = null;
-        selectedShape = null; // Deselect first
-        let newShape;
-        const defaultWidth = 100;
-        const defaultHeight = 60;
-        const defaultRadius = 40;
-        // Use canvas coords for positioning new shapes
-        const shapeX = mouseX - defaultWidth / 2;
-        const shapeY = mouseY - defaultHeight / 2;
-        const circleCenterX = mouseX;
-        const circleCenterY = mouseY;
+    // Snap bound ends onto their anchors. Bindings to shapes that no longer exist are kept
+    // (the end just stays put) so that undoing a delete reattaches the connector.
+    updateEndpoints() {
+        const start = getBindingPoint(this.startBinding);
+        const end = getBindingPoint(this.endBinding);
+        if (start) {
+            this.x1 = start.x;
+            this.y1 = start.y;
+        }
+        if (end) {
+            this.x2 = end.x;
+            this.y2 = end.y;
+        }
+        this.x = this.x1;
+        this.y = this.y1;
+        this.dx = this.x2 - this.x1;
+        this.dy = this.y2 - this.y1;
+    }
 
-        // Add new shape if a drawing tool is active
-        if (currentShapeType !== 'line' && currentShapeType !== 'default' && currentShapeType !== 'text') {
-             switch (currentShapeType) {
-                 case 'rectangle':
-                     newShape = new Rectangle(shapeX, shapeY, defaultWidth, defaultHeight, currentColor);
-                     break;
-                 case 'circle':
-                     newShape = new Circle(circleCenterX, circleCenterY, defaultRadius, currentColor);
-                     break;
-                 case 'diamond':
-                     newShape = new Diamond(shapeX, shapeY, defaultWidth, defaultHeight, currentColor);
-                     break;
-             }
-             if (newShape) {
-                 shapes.push(newShape);
-                 console.log('Added new shape:', newShape);
-                 saveState();
-                 setActiveTool('default'); // Reset tool
-                 redrawCanvas(); // Redraw needed after adding shape and resetting tool
-             }
-        } else if (currentShapeType === 'text' && !activeTextInput) {
-            // Start inline text input using canvas coords
-            console.log(`Starting text input at canvas coords (${mouseX.toFixed(1)}, ${mouseY.toFixed(1)})`);
-            redrawCanvas(); // Clear selection
-            startTextInput(mouseX, mouseY); // Pass canvas coords
-            e.stopPropagation();
-            // State saved/redrawn when input finishes
-        } else if (currentShapeType === 'image') {
-            // Do nothing on mousedown if image tool is selected - handled by setActiveTool/triggerImageSelection
-            console.log('Image tool selected, waiting for file dialog.');
-        } else {
-             // Clicked background with default/line tool, or text tool already active
-             console.log(`Clicked background with ${currentShapeType} tool, deselected shape.`);
-             redrawCanvas(); // Redraw needed to show deselection
+    // Dragging an end re-binds it to whatever anchor it is dropped on (or frees it)
+    moveHandle(handleType, x, y) {
+        if (handleType === 'line-start' || handleType === 'line-end') {
+            const found = findAnchorAt(x, y);
+            const binding = found ? { shapeId: found.shape.id, anchor: found.anchor } : null;
+            if (handleType === 'line-start') {
+                this.startBinding = binding;
+            } else {
+                this.endBinding = binding;
+            }
+            if (found) {
+                x = found.point.x;
+                y = found.point.y;
+            }
         }
+        super.moveHandle(handleType, x, y);
     }
-}); // End mousedown listener
 
+    // Copy of a plain line as a connector, with no bindings yet
+    static fromLine(line) {
+        const connector = Object.assign(new Connector(0, 0, 0, 0, null), line.clone());
+        connector.type = 'connector';
+        connector.startBinding = null;
+        connector.endBinding = null;
+        return connector;
+    }
 
-// --- NEW: Function to handle Image Tool Selection ---
-async function triggerImageSelection() {
-    console.log('Image tool selected, opening dialog...');
-    try {
-        const result = await window.electronAPI.openImageDialog();
-        if (result.success && result.dataUrl) {
-            console.log('Image data received from main process.');
-            // Create an in-memory image to get dimensions
-            const tempImg = new Image();
-            tempImg.onload = () => {
-                // Place the image near the center of the current view
-                const viewCenterX = (canvas.width / 2 - offsetX) / zoomLevel;
-                const viewCenterY = (canvas.height / 2 - offsetY) / zoomLevel;
-                const imgWidth = tempImg.naturalWidth || 100; // Default size if naturalWidth fails
-                const imgHeight = tempImg.naturalHeight || 100;
-                const imgX = viewCenterX - imgWidth / 2;
-                const imgY = viewCenterY - imgHeight / 2;
+    // Bound ends can't be mirrored away from their anchors, so connectors ignore flips
+    getFlipScale() {
+        return { x: 1, y: 1 };
+    }
 
-                const newImageShape = new ImageShape(imgX, imgY, imgWidth, imgHeight, result.dataUrl);
-                shapes.push(newImageShape);
-                selectedShape = newImageShape; // Select the new image
-                console.log('Added new image shape:', newImageShape);
-                saveState();
-                redrawCanvas(); // Redraw to show the new image (or its loading state)
-                setActiveTool('default'); // Switch back to default tool after adding
-            };
-            tempImg.onerror = () => {
-                console.error('Failed to load temporary image for dimensions.');
-                alert('Failed to load image dimensions.');
-                setActiveTool('default'); // Switch back to default tool on error
-            };
-            tempImg.src = result.dataUrl;
+    // Called when the connector itself is pasted: it no longer follows any shape
+    detach() {
+        this.startBinding = null;
+        this.endBinding = null;
+    }
 
-        } else {
+    // Called when the connector is dragged: ends bound to shapes moving with it stay bound
+    detachEndsNotIn(movingShapes) {
+        const moving = flattenShapes(movingShapes); // Shapes inside moving groups move too
+        const isMoving = (binding) => binding && moving.some(shape => shape.id === binding.shapeId);
+        if (!isMoving(this.startBinding)) this.startBinding = null;
+        if (!isMoving(this.endBinding)) this.endBinding = null;
+    }
+
+    clone() {
+        const cloned = super.clone();
+        cloned.startBinding = this.startBinding ? { ...this.startBinding } : null;
+        cloned.endBinding = this.endBinding ? { ...this.endBinding } : null;
+        return cloned;
+    }
+}
+
+// Canvas position of a connector binding, or null if unbound / target missing
+function getBindingPoint(binding) {
+    if (!binding) return null;
+    const shape = findShapeById(binding.shapeId); // The shape may be inside a group
+    if (!shape) return null;
+    return shape.getAnchorPoints()[binding.anchor] || null;
+}
+
+// Find the anchor a line end dropped at (x, y) should bind to: the nearest anchor of the
+// topmost shape under the point, or any anchor within snapping distance.
+// Returns { shape, anchor, point } or null.
+function findAnchorAt(x, y) {
+    const snapDistance = anchorSnapDistance / zoomLevel;
+    const candidates = flattenShapes(shapes); // Shapes inside groups can be connected too
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        const shape = candidates[i];
+        if (shape instanceof Line || shape instanceof Group) continue; // Lines and groups have no anchors
+        const anchors = shape.getAnchorPoints();
+        let nearest = null;
+        let nearestDist = Infinity;
+        Object.keys(anchors).forEach(name => {
+            const point = anchors[name];
+            const dist = Math.hypot(point.x - x, point.y - y);
+            if (dist < nearestDist) {
+                nearest = name;
+                nearestDist = dist;
+            }
+        });
+        if (nearest && (nearestDist <= snapDistance || shape.isInside(x, y))) {
+            return { shape: shape, anchor: nearest, point: anchors[nearest] };
+        }
+    }
+    return null;
+}
+
+// Re-route every connector to its bound shapes (run before each redraw)
+function updateConnectors() {
+    flattenShapes(shapes).forEach(shape => {
+        if (shape instanceof Connector) {
+            shape.updateEndpoints();
+        }
+    });
+}
+// --- END: Connector Class ---
+
+class Text extends Shape {
+    constructor(x, y, text, color, fontSize = 16, fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal', textDecoration = 'none', textAlign = 'left') {
+        super(x, y, color || '#000000'); // Default text color to black if none provided
+        this.text = text;
+        this.fontSize = fontSize;
+        this.fontFamily = fontFamily;
+        this.fontWeight = fontWeight; // 'normal', 'bold'
+        this.fontStyle = fontStyle;   // 'normal', 'italic'
+        this.textDecoration = textDecoration; // 'none', 'underline', 'line-through' or 'underline line-through'
+        this.textAlign = textAlign; // 'left', 'center', 'right'
+        this.lineHeight = defaultLineHeight; // NEW: Line spacing as a multiple of the font size
+        this.letterSpacing = 0; // NEW: Extra space after each character, in canvas units
+        // NEW: Formatted pieces of the text, in order: { text, fontWeight, fontStyle, textDecoration, color, fontSize }.
+        // Styles a run leaves out are the shape's own. Empty when the whole text has the shape's style.
+        this.runs = [];
+        this.type = 'text';
+        this.strokeColor = null; // NEW: Text has no outline unless one is chosen
+        // Calculate initial width/height for isInside checks (approximate)
+        this.updateDimensions();
+    }
+
+    // NEW: The runs to draw, or one run holding all the text when it isn't formatted in parts
+    // (or when the runs no longer spell out the text)
+    getTextRuns() {
+        if (this.runs.length > 0 && this.runs.map(run => run.text).join('') === this.text) {
+            return this.runs;
+        }
+        return [{ text: this.text }];
+    }
+
+    // NEW: Every style of a run, filling in the shape's own where the run has none
+    getRunStyle(run) {
+        return {
+            fontFamily: this.fontFamily,
+            fontWeight: run.fontWeight || this.fontWeight,
+            fontStyle: run.fontStyle || this.fontStyle,
+            textDecoration: run.textDecoration || this.textDecoration,
+            color: run.color || this.color,
+            fontSize: run.fontSize || this.fontSize
+        };
+    }
+
+    // NEW: Replace the text with formatted runs
+    setRuns(runs) {
+        this.runs = normalizeTextRuns(runs, this);
+        this.text = runs.map(run => run.text).join('');
+        this.updateDimensions();
+    }
+
+    // NEW: Give the whole text the shape's value for one style, as when a toolbar button restyles the shape
+    clearRunStyle(key) {
+        this.setRuns(this.getTextRuns().map(run => {
+            const cleared = { ...run };
+            delete cleared[key];
+            return cleared;
+        }));
+    }
+
+    // NEW: Scale the font size, and the sizes of runs that have their own (letter spacing keeps its proportion)
+    scaleFontSize(scale) {
+        this.fontSize *= scale;
+        this.letterSpacing *= scale;
+        this.runs.forEach(run => {
+            if (run.fontSize) run.fontSize *= scale;
+        });
+        this.updateDimensions();
+    }
+
+    // Helper to update width/height based on text content and font
+    updateDimensions() {
+        const layout = layoutTextRuns(this);
+        this.width = layout.width;
+        this.height = layout.height;
+    }
+
+    getCenter() {
+        // Center based on calculated width/height
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+
+    // Text is drawn without flip or rotation
+    getFlipScale() {
+        return { x: 1, y: 1 };
+    }
+
+    // Text size follows its font size, as with the resize handles
+    resizeBy(scaleX, scaleY) {
+        this.scaleFontSize(Math.max(4, this.fontSize * scaleY) / this.fontSize);
+    }
+
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
+
+    // Lines are laid out by layoutTextRuns(); each run is drawn in its own font and color
+    draw(ctx) {
+        // Text doesn't rotate in this simple implementation
+        const layout = layoutTextRuns(this);
+        ctx.textAlign = 'left'; // Each run is placed at its own measured position
+        ctx.textBaseline = 'top'; // Render text starting from the top-left corner (this.x, this.y)
+        applyLetterSpacing(ctx, this); // Measured the same way by layoutTextRuns()
+
+        layout.lines.forEach(line => {
+            // Start of the line for the shape's alignment
+            let runX = this.x;
+            if (this.textAlign === 'center') runX += (this.width - line.width) / 2;
+            else if (this.textAlign === 'right') runX += this.width - line.width;
+
+            line.segments.forEach(segment => {
+                const style = segment.style;
+                const runY = this.y + line.top + (line.fontSize - style.fontSize) * textBaselineRatio; // Share the line's baseline
+                ctx.font = getFontString(style);
+                ctx.fillStyle = style.color;
+                ctx.fillText(segment.text, runX, runY);
+                if (applyStrokeStyle(ctx, this)) { // NEW: Outlined glyphs
+                    ctx.strokeText(segment.text, runX, runY);
+                    ctx.setLineDash([]);
+                }
+
+                // --- Manual Underline and Strikethrough ---
+                const decorations = [];
+                if (hasTextDecoration(style.textDecoration, 'underline')) decorations.push(runY + style.fontSize); // Slightly below the baseline
+                if (hasTextDecoration(style.textDecoration, 'line-through')) decorations.push(runY + style.fontSize * 0.55);
+                if (decorations.length > 0 && segment.width > 0) {
+                    ctx.strokeStyle = style.color;
+                    ctx.lineWidth = Math.max(1, Math.floor(style.fontSize / 16));
+                    ctx.beginPath();
+                    decorations.forEach(decorationY => {
+                        ctx.moveTo(runX, decorationY);
+                        ctx.lineTo(runX + segment.width, decorationY);
+                    });
+                    ctx.stroke();
+                    ctx.lineWidth = 1; // Reset line width
+                }
+                runX += segment.width;
+            });
+        });
+        ctx.letterSpacing = '0px'; // Reset letter spacing
+    }
+
+    // NEW: SVG markup for the export, one tspan per line as draw() lays them out.
+    // Formatted text gets a tspan per run, placed where draw() puts it.
+    toSVG() {
+        const stroke = this.strokeColor ? ` ${getSvgStroke(this)}` : '';
+        if (this.runs.length > 0) {
+            const layout = layoutTextRuns(this);
+            const tspans = layout.lines.map(line => {
+                let runX = this.x;
+                if (this.textAlign === 'center') runX += (this.width - line.width) / 2;
+                else if (this.textAlign === 'right') runX += this.width - line.width;
+                return line.segments.filter(segment => segment.text).map(segment => {
+                    const style = segment.style;
+                    const runY = this.y + line.top + (line.fontSize - style.fontSize) * textBaselineRatio;
+                    const tspan = `<tspan x="${svgNumber(runX)}" y="${svgNumber(runY)}" text-anchor="start" ` +
+                        `font-size="${svgNumber(style.fontSize)}" font-weight="${style.fontWeight}" font-style="${style.fontStyle}" ` +
+                        `text-decoration="${style.textDecoration}" fill="${escapeXml(style.color)}">${escapeXml(segment.text)}</tspan>`;
+                    runX += segment.width;
+                    return tspan;
+                }).join('');
+            }).join('');
+            return `<text ${getSvgFontAttributes(this)} fill="${escapeXml(this.color)}"${stroke}>${tspans}</text>`;
+        }
+        let anchorX = this.x;
+        if (this.textAlign === 'center') anchorX = this.x + this.width / 2;
+        else if (this.textAlign === 'right') anchorX = this.x + this.width;
+        const lineHeight = getLineSpacing(this);
+        const tspans = this.text.split('\n').map((line, i) =>
+            `<tspan x="${svgNumber(anchorX)}" y="${svgNumber(this.y + i * lineHeight)}">${escapeXml(line)}</tspan>`).join('');
+        return `<text ${getSvgFontAttributes(this)} fill="${escapeXml(this.color)}"${stroke}>${tspans}</text>`;
+    }
+
+    isInside(mouseX, mouseY) {
+        // Simple bounding box check based on calculated dimensions
+        return mouseX >= this.x && mouseX <= this.x + this.width &&
+               mouseY >= this.y && mouseY <= this.y + this.height;
+    }
+
+    // Text is always drawn upright, so rotating a group only moves it
+    rotateAbout(centerX, centerY, angleDelta) {
+        const center = this.getCenter();
+        const cos = Math.cos(angleDelta);
+        const sin = Math.sin(angleDelta);
+        const relX = center.x - centerX;
+        const relY = center.y - centerY;
+        this.moveBy(centerX + relX * cos - relY * sin - center.x, centerY + relX * sin + relY * cos - center.y);
+    }
+
+    // Return handles based on the bounding box, similar to Rectangle but without rotation handle/logic
+    getHandles() {
+        const handleOffset = handleSize / 2;
+        // Text doesn't rotate, so angle is 0
+        const x = this.x;
+        const y = this.y;
+        const w = this.width;
+        const h = this.height;
+
+        // Calculate handle positions directly (no rotation needed)
+        return [
+            { x: x - handleOffset,       y: y - handleOffset,       type: 'top-left' },
+            { x: x + w / 2 - handleOffset, y: y - handleOffset,       type: 'top-center' },
+            { x: x + w - handleOffset,     y: y - handleOffset,       type: 'top-right' },
+            { x: x - handleOffset,       y: y + h / 2 - handleOffset, type: 'middle-left' },
+            { x: x + w - handleOffset,     y: y + h / 2 - handleOffset, type: 'middle-right' },
+            { x: x - handleOffset,       y: y + h - handleOffset,     type: 'bottom-left' },
+            { x: x + w / 2 - handleOffset, y: y + h - handleOffset,     type: 'bottom-center' },
+            { x: x + w - handleOffset,     y: y + h - handleOffset,     type: 'bottom-right' },
+            // No rotation handle for text
+        ];
+    }
+
+    clone() {
+        const cloned = super.clone();
+        cloned.text = this.text;
+        cloned.fontSize = this.fontSize;
+        cloned.fontFamily = this.fontFamily;
+        cloned.width = this.width;
+        cloned.height = this.height;
+        // --- NEW: Clone text style properties ---
+        cloned.fontWeight = this.fontWeight;
+        cloned.fontStyle = this.fontStyle;
+        cloned.textDecoration = this.textDecoration;
+        cloned.textAlign = this.textAlign;
+        cloned.lineHeight = this.lineHeight;
+        cloned.letterSpacing = this.letterSpacing;
+        cloned.runs = this.runs.map(run => ({ ...run }));
+        // ---------------------------------------
+        delete cloned.angle; // Text doesn't use angle property
+        return cloned;
+    }
+
+    static fromJSON(data) {
+        const text = Object.assign(new Text(data.x, data.y, data.text || ''), data);
+        text.updateDimensions(); // Fonts may measure differently on this machine
+        return text;
+    }
+} // <-- CORRECTED BRACE
+
+// --- NEW: Rich Text Runs ---
+const textRunStyleKeys = ['fontWeight', 'fontStyle', 'textDecoration', 'color', 'fontSize'];
+const textBaselineRatio = 0.8; // Approximate ascent as a share of the font size, to put mixed sizes on one baseline
+
+function getFontString(style) {
+    return `${style.fontStyle} ${style.fontWeight} ${style.fontSize}px ${style.fontFamily}`;
+}
+
+// Decorations are space-separated lists, as in CSS ('underline line-through')
+function hasTextDecoration(decoration, line) {
+    return (decoration || 'none').split(' ').includes(line);
+}
+
+function setTextDecoration(decoration, line, on) {
+    const lines = (decoration || 'none').split(' ').filter(item => item !== 'none' && item !== line);
+    if (on) lines.push(line);
+    return lines.length > 0 ? lines.sort().reverse().join(' ') : 'none'; // 'underline' before 'line-through'
+}
+
+// Whether two values of a run style look the same. Sizes read back from the editor are rounded,
+// and colors may differ in case (the editor reports lower-case hex).
+function isSameRunStyle(key, a, b) {
+    if (a === undefined || b === undefined) return a === b;
+    if (key === 'fontSize') return Math.abs(a - b) < 0.01;
+    if (key === 'color') return String(a).toLowerCase() === String(b).toLowerCase();
+    return a === b;
+}
+
+// Drop styles a run shares with the shape and empty runs, and merge neighbours that look the same.
+// Returns [] when nothing is formatted differently from the shape.
+function normalizeTextRuns(runs, shape) {
+    const normalized = [];
+    runs.forEach(run => {
+        if (!run.text) return;
+        const cleaned = { text: run.text };
+        textRunStyleKeys.forEach(key => {
+            if (run[key] && !isSameRunStyle(key, run[key], shape[key])) cleaned[key] = run[key];
+        });
+        const previous = normalized[normalized.length - 1];
+        if (previous && textRunStyleKeys.every(key => isSameRunStyle(key, previous[key], cleaned[key]))) {
+            previous.text += cleaned.text;
+        } else {
+            normalized.push(cleaned);
+        }
+    });
+    return normalized.some(run => textRunStyleKeys.some(key => key in run)) ? normalized : [];
+}
+
+// Split runs so that each position (a character offset into the joined text) falls between two runs
+function splitTextRuns(runs, positions) {
+    const result = [];
+    let offset = 0;
+    runs.forEach(run => {
+        const cuts = positions.filter(position => position > offset && position < offset + run.text.length)
+            .sort((a, b) => a - b);
+        let start = 0;
+        [...cuts.map(position => position - offset), run.text.length].forEach(end => {
+            result.push({ ...run, text: run.text.slice(start, end) });
+            start = end;
+        });
+        offset += run.text.length;
+    });
+    return result;
+}
+
+// Break a Text shape's runs into lines and measure them. Each line is as tall as its largest run;
+// an empty line keeps the size of the run it is in. Positions are relative to the shape's top-left.
+function layoutTextRuns(shape) {
+    const lines = [{ segments: [] }];
+    shape.getTextRuns().forEach(run => {
+        const style = shape.getRunStyle(run);
+        run.text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push({ segments: [] });
+            lines[lines.length - 1].segments.push({ text: part, style: style });
+        });
+    });
+    let top = 0;
+    let width = 0;
+    ctx.save();
+    applyLetterSpacing(ctx, shape);
+    lines.forEach(line => {
+        // Empty pieces next to text take no room; a blank line keeps its last one for the height
+        const isBlank = line.segments.every(segment => !segment.text);
+        line.segments = line.segments.filter((segment, index) => segment.text || (isBlank && index === line.segments.length - 1));
+        line.width = 0;
+        line.fontSize = 0;
+        line.segments.forEach(segment => {
+            ctx.font = getFontString(segment.style);
+            segment.width = ctx.measureText(segment.text).width;
+            line.width += segment.width;
+            line.fontSize = Math.max(line.fontSize, segment.style.fontSize);
+        });
+        line.top = top;
+        top += getLineSpacing(shape, line.fontSize);
+        width = Math.max(width, line.width);
+    });
+    ctx.restore();
+    return { lines: lines, width: width, height: top };
+}
+// --- END: Rich Text Runs ---
+
+// --- NEW: Image Shape Class ---
+class ImageShape extends Shape {
+    constructor(x, y, width, height, dataUrl) {
+        super(x, y, null); // Images don't use the 'color' property for fill
+        this.width = Math.max(width, handleSize * 2);
+        this.height = Math.max(height, handleSize * 2);
+        this.dataUrl = dataUrl;
+        this.type = 'image';
+        this.strokeColor = null; // NEW: Images have no border unless one is chosen
+        this.imageElement = new Image();
+        this.isLoaded = false;
+        this.isLoading = true;
+        this.loadError = false;
+
+        // Start loading the image
+        this.imageElement.onload = () => {
+            console.log(`Image loaded successfully: ${this.dataUrl.substring(0, 50)}...`);
+            this.isLoaded = true;
+            this.isLoading = false;
+            // Adjust initial width/height based on image aspect ratio if desired
+            // For now, we use the provided width/height
+            redrawCanvas(); // Redraw canvas once image is loaded
+        };
+        this.imageElement.onerror = (err) => {
+            console.error('Error loading image:', err, this.dataUrl.substring(0, 50));
+            this.isLoading = false;
+            this.loadError = true;
+            redrawCanvas(); // Redraw to potentially show an error state
+        };
+        this.imageElement.src = this.dataUrl;
+    }
+
+    getCenter() {
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
+
+    draw(ctx) {
+        if (this.isLoading) {
+            // Optional: Draw a placeholder while loading
+            ctx.save();
+            ctx.strokeStyle = '#cccccc';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+            ctx.fillStyle = '#f0f0f0';
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+            ctx.fillStyle = '#aaaaaa';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = '12px Arial';
+            ctx.fillText('Loading...', this.x + this.width / 2, this.y + this.height / 2);
+            ctx.restore();
+            return;
+        }
+        if (this.loadError) {
+            // Optional: Draw an error indicator
+            ctx.save();
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+            ctx.fillStyle = '#ffeeee';
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+            ctx.fillStyle = 'red';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText('Error!', this.x + this.width / 2, this.y + this.height / 2);
+            ctx.restore();
+            return;
+        }
+        if (!this.isLoaded) return; // Should not happen if not loading/error, but safety check
+
+        const center = this.getCenter();
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        // Apply flip BEFORE rotation
+        ctx.scale(this.flipH ? -1 : 1, this.flipV ? -1 : 1);
+        ctx.rotate(this.angle);
+
+        // Draw the image centered at the NEW origin (0,0)
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        try {
+            ctx.drawImage(this.imageElement, -halfW, -halfH, this.width, this.height);
+        } catch (e) {
+            // Catch potential errors if image becomes invalid after load? Unlikely but safe.
+            console.error("Error drawing image:", e);
+            // Optionally draw error state here too
+        }
+        if (applyStrokeStyle(ctx, this)) { // NEW: Optional border
+            ctx.strokeRect(-halfW, -halfH, this.width, this.height);
+            ctx.setLineDash([]);
+        }
+
+        ctx.restore(); // Restore context state
+    }
+
+    // NEW: SVG markup for the export; the image data URL is embedded as-is
+    toSVG() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const border = this.strokeColor
+            ? `<rect x="${svgNumber(-halfW)}" y="${svgNumber(-halfH)}" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" fill="none" ${getSvgStroke(this)}/>`
+            : '';
+        return `<g transform="${getSvgTransform(this)}">` +
+            `<image x="${svgNumber(-halfW)}" y="${svgNumber(-halfH)}" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" preserveAspectRatio="none" xlink:href="${escapeXml(this.dataUrl)}"/>` +
+            border + '</g>';
+    }
+
+    // Use simple bounding box check, same as Rectangle
+    isInside(mouseX, mouseY) {
+        const center = this.getCenter();
+        const angle = this.angle;
+        const cos = Math.cos(-angle); // Inverse rotation
+        const sin = Math.sin(-angle);
+
+        let translatedX = mouseX - center.x;
+        let translatedY = mouseY - center.y;
+
+        // Inverse flip
+        const scaleX = this.flipH ? -1 : 1;
+        const scaleY = this.flipV ? -1 : 1;
+        translatedX /= scaleX;
+        translatedY /= scaleY;
+
+        // Inverse rotate
+        const rotatedX = translatedX * cos - translatedY * sin;
+        const rotatedY = translatedX * sin + translatedY * cos;
+
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+
+        return rotatedX >= -halfW && rotatedX <= halfW &&
+               rotatedY >= -halfH && rotatedY <= halfH;
+    }
+
+    // Use handles similar to Rectangle
+    getHandles() {
+        const center = this.getCenter();
+        const angle = this.angle;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const handleOffset = handleSize / 2;
+        const rotationHandleOffset = 20;
+
+        const unrotatedHandles = [
+            { relX: -halfW, relY: -halfH, type: 'top-left' },
+            { relX: 0,     relY: -halfH, type: 'top-center' },
+            { relX: halfW, relY: -halfH, type: 'top-right' },
+            { relX: -halfW, relY: 0,      type: 'middle-left' },
+            { relX: halfW, relY: 0,      type: 'middle-right' },
+            { relX: -halfW, relY: halfH, type: 'bottom-left' },
+            { relX: 0,     relY: halfH, type: 'bottom-center' },
+            { relX: halfW, relY: halfH, type: 'bottom-right' },
+            { relX: 0,     relY: -halfH - rotationHandleOffset, type: 'rotation' }
+        ];
+
+        const scaleX = this.flipH ? -1 : 1;
+        const scaleY = this.flipV ? -1 : 1;
+
+        return unrotatedHandles.map(handle => {
+            const flippedX = handle.relX * scaleX;
+            const flippedY = handle.relY * scaleY;
+            const rotatedX = flippedX * cos - flippedY * sin;
+            const rotatedY = flippedX * sin + flippedY * cos;
+            return {
+                x: center.x + rotatedX - handleOffset,
+                y: center.y + rotatedY - handleOffset,
+                type: handle.type
+            };
+        });
+    }
+
+    clone() {
+        // Create a new instance, passing the essential data
+        const cloned = new ImageShape(this.x, this.y, this.width, this.height, this.dataUrl);
+        // Copy state properties
+        cloned.angle = this.angle;
+        cloned.flipH = this.flipH;
+        cloned.flipV = this.flipV;
+        cloned.strokeColor = this.strokeColor; // NEW: Border settings
+        cloned.strokeWidth = this.strokeWidth;
+        cloned.strokeDash = this.strokeDash;
+        cloned.id = this.id; // Keep original ID for history tracking? Or generate new? Let's keep for now.
+        // Note: The imageElement itself is not deeply cloned, but the constructor
+        // will create a new Image element and start loading from the dataUrl.
+        // The loaded state (isLoaded, isLoading, loadError) will be managed by the new instance.
+        return cloned;
+    }
+
+    static fromJSON(data) {
+        // Go through the constructor so the image element starts loading the data URL
+        const image = new ImageShape(data.x, data.y, data.width, data.height, data.dataUrl);
+        return Object.assign(image, data);
+    }
+}
+// --- END: Image Shape Class ---
+
+// --- NEW: Group Shape Class ---
+// Holds child shapes (in canvas coordinates) and moves, resizes, rotates and flips them as one.
+// Groups can contain other groups.
+class Group extends Shape {
+    constructor(children = []) {
+        super(0, 0, null); // Position and size come from the children
+        this.children = children;
+        this.type = 'group';
+    }
+
+    getBounds() {
+        return getSelectionBounds(this.children) || { x: this.x, y: this.y, width: 0, height: 0 };
+    }
+
+    getCenter() {
+        const bounds = this.getBounds();
+        return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    }
+
+    // The group itself is never flipped; flips are passed on to the children
+    getFlipScale() {
+        return { x: 1, y: 1 };
+    }
+
+    draw(ctx) {
+        this.children.forEach(child => child.draw(ctx));
+    }
+
+    isInside(mouseX, mouseY) {
+        return this.children.some(child => child.isInside(mouseX, mouseY));
+    }
+
+    // Resize handles on the children's combined box, plus a rotation handle
+    getHandles() {
+        return getBoxHandles(this.getBounds(), true);
+    }
+
+    moveBy(dx, dy) {
+        this.children.forEach(child => child.moveBy(dx, dy));
+    }
+
+    scaleAbout(originX, originY, scaleX, scaleY) {
+        this.children.forEach(child => child.scaleAbout(originX, originY, scaleX, scaleY));
+    }
+
+    flipAcross(direction, centerX, centerY) {
+        this.children.forEach(child => child.flipAcross(direction, centerX, centerY));
+    }
+
+    rotateAbout(centerX, centerY, angleDelta) {
+        this.children.forEach(child => child.rotateAbout(centerX, centerY, angleDelta));
+    }
+
+    // Restore the children in place so they keep their identity (and loaded images)
+    restoreSnapshot(data) {
+        const children = this.children;
+        Object.assign(this, data, { children: children });
+        children.forEach((child, index) => child.restoreSnapshot(data.children[index]));
+    }
+
+    clone() {
+        const cloned = super.clone();
+        cloned.children = this.children.map(child => child.clone());
+        return cloned;
+    }
+
+    // NEW: SVG markup for the export
+    toSVG() {
+        return `<g>${this.children.map(child => child.toSVG()).join('')}</g>`;
+    }
+
+    static fromJSON(data) {
+        const children = (data.children || []).map(deserializeShape);
+        return Object.assign(new Group(), data, { children: children });
+    }
+}
+
+// Every shape in the list, with the contents of groups (at any depth) following their group
+function flattenShapes(list) {
+    return list.flatMap(shape => shape instanceof Group ? [shape, ...flattenShapes(shape.children)] : [shape]);
+}
+
+// Find a shape by id, including shapes inside groups
+function findShapeById(id) {
+    return flattenShapes(shapes).find(shape => shape.id === id) || null;
+}
+// --- END: Group Shape Class ---
+
+// --- NEW: Swimlane Containers (pools and lanes) ---
+// A titled box that holds the shapes placed in its body. Members stay ordinary top-level shapes;
+// the container only keeps their ids and carries them along when it moves (see moveShapesBy).
+// 'horizontal' swimlanes have their header on the left, 'vertical' ones along the top.
+// Swimlanes stay upright: they don't rotate or flip.
+const swimlaneHeaderSize = 30; // Depth of the title band in canvas units
+const containerPadding = 20; // Members closer than this to the body's edge make the container grow
+
+class Swimlane extends Shape {
+    constructor(x, y, width, height, color, orientation = 'horizontal') {
+        super(x, y, color);
+        this.width = Math.max(width, swimlaneHeaderSize * 2);
+        this.height = Math.max(height, swimlaneHeaderSize * 2);
+        this.orientation = orientation;
+        this.memberIds = []; // Ids of the top-level shapes inside the body
+        initShapeLabel(this); // The label is the title in the header
+        this.fontWeight = 'bold';
+    }
+
+    static get defaultSize() {
+        return { width: 600, height: 200 };
+    }
+
+    getCenter() {
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+
+    getFlipScale() {
+        return { x: 1, y: 1 };
+    }
+
+    getAnchorExtents() {
+        return { halfW: this.width / 2, halfH: this.height / 2 };
+    }
+
+    // The title band, in canvas coordinates
+    getHeaderBounds() {
+        return this.orientation === 'vertical'
+            ? { x: this.x, y: this.y, width: this.width, height: swimlaneHeaderSize }
+            : { x: this.x, y: this.y, width: swimlaneHeaderSize, height: this.height };
+    }
+
+    // The part of the box that holds members
+    getBodyBounds() {
+        return this.orientation === 'vertical'
+            ? { x: this.x, y: this.y + swimlaneHeaderSize, width: this.width, height: this.height - swimlaneHeaderSize }
+            : { x: this.x + swimlaneHeaderSize, y: this.y, width: this.width - swimlaneHeaderSize, height: this.height };
+    }
+
+    // Move the box so its body covers the given rectangle (the header stays outside it)
+    setBodyBounds(bounds) {
+        const header = this.orientation === 'vertical' ? { x: 0, y: swimlaneHeaderSize } : { x: swimlaneHeaderSize, y: 0 };
+        this.x = bounds.x - header.x;
+        this.y = bounds.y - header.y;
+        this.width = bounds.width + header.x;
+        this.height = bounds.height + header.y;
+    }
+
+    // Where the inline editor goes: along the header, unrotated so the title is easy to type
+    getLabelBounds() {
+        const header = this.getHeaderBounds();
+        if (this.orientation === 'vertical') return header;
+        return { x: header.x, y: header.y + header.height / 2 - swimlaneHeaderSize / 2, width: this.height, height: swimlaneHeaderSize };
+    }
+
+    // Whether the shape may be placed in this container's body
+    canContain(shape) {
+        return !(shape instanceof Connector && (shape.startBinding || shape.endBinding));
+    }
+
+    isInside(mouseX, mouseY) {
+        return mouseX >= this.x && mouseX <= this.x + this.width &&
+               mouseY >= this.y && mouseY <= this.y + this.height;
+    }
+
+    isInHeader(mouseX, mouseY) {
+        const header = this.getHeaderBounds();
+        return mouseX >= header.x && mouseX <= header.x + header.width &&
+               mouseY >= header.y && mouseY <= header.y + header.height;
+    }
+
+    draw(ctx) {
+        const header = this.getHeaderBounds();
+        ctx.save();
+        if (this.color) {
+            ctx.fillStyle = this.color;
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+        }
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.08)'; // Shade the header over the fill
+        ctx.fillRect(header.x, header.y, header.width, header.height);
+        if (applyStrokeStyle(ctx, this)) {
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+            ctx.strokeRect(header.x, header.y, header.width, header.height);
+            ctx.setLineDash([]);
+        }
+        // The title runs along the header, reading bottom to top in a horizontal swimlane
+        ctx.translate(header.x + header.width / 2, header.y + header.height / 2);
+        if (this.orientation !== 'vertical') ctx.rotate(-Math.PI / 2);
+        drawShapeLabel(ctx, this, Math.max(header.width, header.height));
+        ctx.restore();
+    }
+
+    toSVG() {
+        const header = this.getHeaderBounds();
+        const rotation = this.orientation === 'vertical' ? '' : ' rotate(-90)';
+        return '<g>' +
+            `<rect x="${svgNumber(this.x)}" y="${svgNumber(this.y)}" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" ${getSvgFill(this.color)} stroke="none"/>` +
+            `<rect x="${svgNumber(header.x)}" y="${svgNumber(header.y)}" width="${svgNumber(header.width)}" height="${svgNumber(header.height)}" fill="#000000" fill-opacity="0.08" ${getSvgStroke(this)}/>` +
+            `<rect x="${svgNumber(this.x)}" y="${svgNumber(this.y)}" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" fill="none" ${getSvgStroke(this)}/>` +
+            `<g transform="translate(${svgNumber(header.x + header.width / 2)} ${svgNumber(header.y + header.height / 2)})${rotation}">` +
+            shapeLabelToSVG(this, Math.max(header.width, header.height)) + '</g></g>';
+    }
+
+    // Resize handles only: swimlanes don't rotate
+    getHandles() {
+        return getBoxHandles(this.getBounds(), false);
+    }
+
+    flipAcross(direction, centerX, centerY) {
+        const center = this.getCenter();
+        if (direction === 'horizontal') this.moveBy(2 * (centerX - center.x), 0);
+        else this.moveBy(0, 2 * (centerY - center.y));
+    }
+
+    rotateAbout(centerX, centerY, angleDelta) {
+        const center = this.getCenter();
+        const cos = Math.cos(angleDelta);
+        const sin = Math.sin(angleDelta);
+        const relX = center.x - centerX;
+        const relY = center.y - centerY;
+        this.moveBy(centerX + relX * cos - relY * sin - center.x, centerY + relX * sin + relY * cos - center.y);
+    }
+
+    // Switch the header between the left side and the top, keeping the body where it is
+    setOrientation(orientation) {
+        if (orientation === this.orientation) return;
+        const body = this.getBodyBounds();
+        this.orientation = orientation;
+        this.setBodyBounds(body);
+    }
+
+    clone() {
+        const cloned = super.clone();
+        cloned.memberIds = [...this.memberIds];
+        return cloned;
+    }
+}
+
+// The outer container of a process map; lanes placed in it are stretched across its body
+class Pool extends Swimlane {
+    constructor(x, y, width, height, color, orientation) {
+        super(x, y, width, height, color, orientation);
+        this.type = 'pool';
+        this.text = 'Pool';
+    }
+
+    canContain(shape) {
+        return !(shape instanceof Pool) && super.canContain(shape);
+    }
+
+    // Lanes with the pool's orientation, in stacking order
+    getLanes() {
+        const start = this.orientation === 'vertical' ? 'x' : 'y';
+        return getContainerMembers(this)
+            .filter(member => member instanceof Lane && member.orientation === this.orientation)
+            .sort((a, b) => a[start] - b[start]);
+    }
+
+    // Keep lanes from overlapping: a lane that grew pushes the ones after it along
+    stackLanes() {
+        const vertical = this.orientation === 'vertical';
+        const start = vertical ? 'x' : 'y';
+        const size = vertical ? 'width' : 'height';
+        const lanes = this.getLanes();
+        lanes.forEach((lane, index) => {
+            const previous = lanes[index - 1];
+            const overlap = previous ? previous[start] + previous[size] - lane[start] : 0;
+            if (overlap > 0) {
+                moveShapesBy([lane], vertical ? overlap : 0, vertical ? 0 : overlap);
+            }
+        });
+    }
+
+    // Stretch the lanes across the pool's body (its full width, or height for vertical pools)
+    fitLanes() {
+        const body = this.getBodyBounds();
+        this.getLanes().forEach(lane => {
+            if (this.orientation === 'vertical') {
+                lane.y = body.y;
+                lane.height = body.height;
+            } else {
+                lane.x = body.x;
+                lane.width = body.width;
+            }
+        });
+    }
+}
+
+// One row (or column) of a pool, usually for a department or role
+class Lane extends Swimlane {
+    constructor(x, y, width, height, color, orientation) {
+        super(x, y, width, height, color, orientation);
+        this.type = 'lane';
+        this.text = 'Lane';
+    }
+
+    static get defaultSize() {
+        return { width: 600, height: 120 };
+    }
+
+    canContain(shape) {
+        return !(shape instanceof Swimlane) && super.canContain(shape);
+    }
+}
+
+const swimlaneClasses = {
+    pool: Pool,
+    lane: Lane
+};
+
+// The top-level shapes a container holds (ids of deleted shapes are ignored)
+function getContainerMembers(container) {
+    return shapes.filter(shape => container.memberIds.includes(shape.id));
+}
+
+// The container holding the shape, or null
+function findContainerOf(shape) {
+    return shapes.find(other => other instanceof Swimlane && other.memberIds.includes(shape.id)) || null;
+}
+
+// The list plus everything its containers hold (at any depth), in canvas order
+function withContainerMembers(list) {
+    const included = new Set(list);
+    const pending = [...list];
+    while (pending.length > 0) {
+        const shape = pending.pop();
+        if (!(shape instanceof Swimlane)) continue;
+        getContainerMembers(shape).forEach(member => {
+            if (!included.has(member)) {
+                included.add(member);
+                pending.push(member);
+            }
+        });
+    }
+    return shapes.filter(shape => included.has(shape)).concat(list.filter(shape => !shapes.includes(shape)));
+}
+
+// Move shapes and everything their containers hold, moving each shape once
+function moveShapesBy(list, dx, dy) {
+    withContainerMembers(list).forEach(shape => shape.moveBy(dx, dy));
+}
+
+// The shapes in the list that no container in the list holds (at any depth). Arranging these with
+// moveShapesBy() carries the others along inside their containers.
+function getOutermostShapes(list) {
+    return list.filter(shape => {
+        for (let container = findContainerOf(shape); container; container = findContainerOf(container)) {
+            if (list.includes(container)) return false;
+        }
+        return true;
+    });
+}
+
+// The innermost container whose body holds the shape's center, or null
+function findContainerFor(shape) {
+    const bounds = shape.getBounds();
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    const inside = withContainerMembers([shape]); // A container can't go inside itself or its contents
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const container = shapes[i];
+        if (!(container instanceof Swimlane) || inside.includes(container) || !container.canContain(shape)) continue;
+        const body = container.getBodyBounds();
+        if (centerX >= body.x && centerX <= body.x + body.width && centerY >= body.y && centerY <= body.y + body.height) {
+            return container;
+        }
+    }
+    return null;
+}
+
+// Make the container's body big enough to keep its members clear of its edges, then let the
+// container holding it grow in turn. Lanes in a pool fit exactly, with no padding.
+function growContainer(container) {
+    if (container instanceof Pool) {
+        container.stackLanes(); // First, so the pool grows to hold every lane
+    }
+    const body = container.getBodyBounds();
+    let left = body.x;
+    let top = body.y;
+    let right = body.x + body.width;
+    let bottom = body.y + body.height;
+    getContainerMembers(container).forEach(member => {
+        const bounds = member.getBounds();
+        const padding = container instanceof Pool && member instanceof Lane ? 0 : containerPadding;
+        left = Math.min(left, bounds.x - padding);
+        top = Math.min(top, bounds.y - padding);
+        right = Math.max(right, bounds.x + bounds.width + padding);
+        bottom = Math.max(bottom, bounds.y + bounds.height + padding);
+    });
+    if (left !== body.x || top !== body.y || right !== body.x + body.width || bottom !== body.y + body.height) {
+        container.setBodyBounds({ x: left, y: top, width: right - left, height: bottom - top });
+        console.log(`Grew ${container.type} to fit its contents:`, container.getBounds());
+    }
+    if (container instanceof Pool) {
+        container.fitLanes();
+    }
+    const parent = findContainerOf(container);
+    if (parent) {
+        growContainer(parent);
+    }
+}
+
+// Members are drawn (and clicked) above their container. Put any that were sent behind it
+// right back above it, in the same order. Outer containers go first, so nested ones end up in place too.
+function keepMembersAboveContainers() {
+    const getDepth = (shape) => {
+        let depth = 0;
+        for (let container = findContainerOf(shape); container; container = findContainerOf(container)) depth++;
+        return depth;
+    };
+    shapes.filter(shape => shape instanceof Swimlane)
+        .sort((a, b) => getDepth(a) - getDepth(b))
+        .forEach(container => {
+            const below = withContainerMembers([container])
+                .filter(member => member !== container && shapes.indexOf(member) < shapes.indexOf(container));
+            if (below.length === 0) return;
+            shapes = shapes.filter(shape => !below.includes(shape));
+            shapes.splice(shapes.indexOf(container) + 1, 0, ...below);
+        });
+}
+
+// Containers that placeInContainers() would put any of the moving shapes in
+function getDropContainers(moving) {
+    const found = new Set();
+    moving.forEach(shape => {
+        const current = findContainerOf(shape);
+        if (current && moving.includes(current)) return;
+        const target = findContainerFor(shape);
+        if (target) found.add(target);
+    });
+    return [...found];
+}
+
+// Put shapes that were just placed (drawn, dropped, pasted, moved or resized) into the container
+// under their center, taking them out of the one they were in. Shapes whose container is in the
+// list moved along with it and stay where they are.
+function placeInContainers(list) {
+    list.forEach(shape => {
+        if (!shapes.includes(shape)) return;
+        const current = findContainerOf(shape);
+        if (current && list.includes(current)) return;
+        const target = findContainerFor(shape);
+        if (target !== current) {
+            if (current) {
+                current.memberIds = current.memberIds.filter(id => id !== shape.id);
+            }
+            if (target) {
+                target.memberIds.push(shape.id);
+                // Members are drawn above their container, along with anything they hold
+                if (shapes.indexOf(shape) < shapes.indexOf(target)) {
+                    const moving = withContainerMembers([shape]);
+                    shapes = shapes.filter(other => !moving.includes(other));
+                    shapes.splice(shapes.indexOf(target) + 1, 0, ...moving);
+                }
+            }
+            console.log(target ? `Placed shape in ${target.type} "${target.text}"` : `Took shape out of ${current.type} "${current.text}"`);
+        }
+        if (target) {
+            growContainer(target);
+        }
+    });
+}
+// --- END: Swimlane Containers ---
+
+// --- NEW: Shape type registry for deserialization ---
+const shapeClassesByType = {
+    rectangle: Rectangle,
+    circle: Circle,
+    diamond: Diamond,
+    line: Line,
+    connector: Connector,
+    text: Text,
+    image: ImageShape,
+    group: Group,
+    note: Note,
+    cloud: Cloud,
+    ...flowchartShapeClasses,
+    ...swimlaneClasses
+};
+
+function deserializeShape(data) {
+    const ShapeClass = shapeClassesByType[data && data.type];
+    if (!ShapeClass) {
+        throw new Error(`Unknown shape type: ${data && data.type}`);
+    }
+    return ShapeClass.fromJSON(data);
+}
+// ---------------------------------------------------
+
+
+// --- NEW Helper Function to get handle at mouse position ---
+function getHandleAt(mouseX, mouseY) {
+    let handles;
+    if (selectedShapes.length > 1) {
+        handles = getSelectionHandles(); // One set of handles around the whole selection
+    } else if (selectedShape) {
+        handles = selectedShape.getHandles();
+    } else {
+        return null;
+    }
+
+    for (const handle of handles) {
+        // Check if mouse is within the handle's bounds
+        if (mouseX >= handle.x && mouseX <= handle.x + handleSize &&
+            mouseY >= handle.y && mouseY <= handle.y + handleSize) {
+            return handle.type; // Return the type ('top-left', etc.)
+        }
+    }
+    return null; // No handle found at this position
+}
+
+// --- NEW Helper Function to get cursor for handle ---
+function getCursorForHandle(handleType) {
+    if (handleType && handleType.startsWith('waypoint-')) {
+        return 'pointer'; // Line waypoints (numbered, so not in the switch below)
+    }
+    switch (handleType) {
+        case 'top-left':
+        case 'bottom-right':
+            return 'nwse-resize';
+        case 'top-right':
+        case 'bottom-left':
+            return 'nesw-resize';
+        case 'top-center':
+        case 'bottom-center':
+            return 'ns-resize';
+        case 'middle-left':
+        case 'middle-right':
+            return 'ew-resize';
+        case 'rotation':
+            // Use 'grabbing' if currently rotating, 'grab' otherwise
+            return isRotating ? 'grabbing' : 'grab';
+        // NEW: Line route handles
+        case 'bend-x':
+            return 'ew-resize'; // Vertical middle segment moves left/right
+        case 'bend-y':
+            return 'ns-resize';
+        case 'control-1':
+        case 'control-2':
+        case 'line-start':
+        case 'line-end':
+            return 'crosshair';
+        default:
+            // If dragging the shape body, use 'grabbing', otherwise 'move'
+            return isDragging ? 'grabbing' : 'move';
+    }
+}
+
+// --- NEW: Selection Helpers ---
+// Replace the selection. selectedShape mirrors it when exactly one shape is selected,
+// so single-shape code paths (handles, rotation, line editing) keep working unchanged.
+function selectShapes(list) {
+    selectedShapes = list.filter(shape => shape);
+    selectedShape = selectedShapes.length === 1 ? selectedShapes[0] : null;
+    syncToolbarToSelection();
+}
+
+function getSelectedOfType(ShapeClass) {
+    return selectedShapes.filter(shape => shape instanceof ShapeClass);
+}
+
+// Selected shapes the text formatting controls apply to: Text shapes, shapes that can carry a label
+// and lines that have one
+function getSelectedTextShapes() {
+    return selectedShapes.filter(shape => shape instanceof Text || supportsLabel(shape) || (shape instanceof Line && shape.text));
+}
+
+function isShapeSelected(shape) {
+    return selectedShapes.includes(shape);
+}
+
+// Shift/Ctrl-click: add the shape to the selection, or take it out
+function toggleShapeSelection(shape) {
+    if (isShapeSelected(shape)) {
+        selectShapes(selectedShapes.filter(selected => selected !== shape));
+    } else {
+        selectShapes([...selectedShapes, shape]);
+    }
+}
+
+// Combined bounding box of the given shapes (the selection by default), or null if empty
+function getSelectionBounds(list = selectedShapes) {
+    if (list.length === 0) return null;
+    const corners = [];
+    list.forEach(shape => {
+        const bounds = shape.getBounds();
+        corners.push({ x: bounds.x, y: bounds.y }, { x: bounds.x + bounds.width, y: bounds.y + bounds.height });
+    });
+    return getBoundsOfPoints(corners);
+}
+
+// Resize handles on an axis-aligned box (same types as a single shape's handles), optionally with a rotation handle
+function getBoxHandles(bounds, includeRotation) {
+    const handleOffset = handleSize / 2;
+    const rotationHandleOffset = 20; // Distance above the top-center handle, as for single shapes
+    const left = bounds.x;
+    const top = bounds.y;
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    const midX = left + bounds.width / 2;
+    const midY = top + bounds.height / 2;
+    const handles = [
+        { x: left, y: top, type: 'top-left' },
+        { x: midX, y: top, type: 'top-center' },
+        { x: right, y: top, type: 'top-right' },
+        { x: left, y: midY, type: 'middle-left' },
+        { x: right, y: midY, type: 'middle-right' },
+        { x: left, y: bottom, type: 'bottom-left' },
+        { x: midX, y: bottom, type: 'bottom-center' },
+        { x: right, y: bottom, type: 'bottom-right' }
+    ];
+    if (includeRotation) {
+        handles.push({ x: midX, y: top - rotationHandleOffset, type: 'rotation' });
+    }
+    return handles.map(handle => ({ x: handle.x - handleOffset, y: handle.y - handleOffset, type: handle.type }));
+}
+
+// Resize handles on the combined bounding box of a multi-selection (no rotation)
+function getSelectionHandles() {
+    const bounds = getSelectionBounds();
+    return bounds ? getBoxHandles(bounds, false) : [];
+}
+
+// Resize every selected shape so the selection's box follows the dragged handle.
+// Shapes are restored from their snapshots first, so scaling never accumulates rounding.
+function resizeSelection(handleType, mouseX, mouseY) {
+    const bounds = multiResizeStart.bounds;
+    const minSize = handleSize * 2;
+    let left = bounds.x;
+    let top = bounds.y;
+    let right = bounds.x + bounds.width;
+    let bottom = bounds.y + bounds.height;
+    if (handleType.includes('left')) left = Math.min(mouseX, right - minSize);
+    if (handleType.includes('right')) right = Math.max(mouseX, left + minSize);
+    if (handleType.startsWith('top')) top = Math.min(mouseY, bottom - minSize);
+    if (handleType.startsWith('bottom')) bottom = Math.max(mouseY, top + minSize);
+
+    const scaleX = bounds.width > 0 ? (right - left) / bounds.width : 1;
+    const scaleY = bounds.height > 0 ? (bottom - top) / bounds.height : 1;
+    // The edge opposite the handle stays where it is
+    const originX = handleType.includes('left') ? bounds.x + bounds.width : bounds.x;
+    const originY = handleType.startsWith('top') ? bounds.y + bounds.height : bounds.y;
+
+    selectedShapes.forEach((shape, index) => {
+        shape.restoreSnapshot(JSON.parse(multiResizeStart.snapshots[index]));
+        shape.scaleAbout(originX, originY, scaleX, scaleY);
+    });
+}
+
+// Remove the selected shapes from the canvas
+function deleteSelectedShapes() {
+    const deleted = withContainerMembers(selectedShapes); // Containers take their contents with them
+    shapes = shapes.filter(shape => !deleted.includes(shape));
+    selectShapes([]);
+}
+
+// --- NEW: Group/Ungroup ---
+// Replace the selected shapes with one group, placed where the topmost of them was in the stacking order
+function groupSelectedShapes() {
+    if (selectedShapes.length < 2) {
+        console.log('Select at least two shapes to group.');
+        return;
+    }
+    const members = shapes.filter(shape => isShapeSelected(shape)); // Keep the canvas order
+    const group = new Group(members);
+    const insertIndex = shapes.indexOf(members[members.length - 1]) - (members.length - 1);
+    shapes = shapes.filter(shape => !isShapeSelected(shape));
+    shapes.splice(insertIndex, 0, group);
+    placeInContainers([group]);
+    selectShapes([group]);
+    redrawCanvas();
+    saveState();
+    console.log(`Grouped ${members.length} shapes.`);
+}
+
+// Put the children of every selected group back on the canvas in the group's place
+function ungroupSelectedShapes() {
+    const groups = getSelectedOfType(Group);
+    if (groups.length === 0) {
+        console.log('No group selected to ungroup.');
+        return;
+    }
+    const released = [];
+    groups.forEach(group => {
+        const index = shapes.indexOf(group);
+        shapes.splice(index, 1, ...group.children);
+        released.push(...group.children);
+    });
+    placeInContainers(released);
+    selectShapes([...selectedShapes.filter(shape => !(shape instanceof Group)), ...released]);
+    redrawCanvas();
+    saveState();
+    console.log(`Ungrouped ${groups.length} group(s).`);
+}
+
+// --- NEW: Z-order ---
+// Move the selected shapes in the stacking order: 'front' and 'back' go all the way, 'forward' and
+// 'backward' step past one unselected neighbour. Selected shapes keep their order among themselves,
+// and containers move with their contents so they stay behind them.
+function reorderSelection(command) {
+    if (selectedShapes.length === 0) {
+        console.log('Nothing selected to reorder.');
+        return;
+    }
+    const before = [...shapes];
+    const moving = withContainerMembers(selectedShapes);
+    const isMoving = shape => moving.includes(shape);
+    const selected = shapes.filter(isMoving);
+    const others = shapes.filter(shape => !isMoving(shape));
+    switch (command) {
+        case 'front':
+            shapes = [...others, ...selected];
+            break;
+        case 'back':
+            shapes = [...selected, ...others];
+            break;
+        case 'forward':
+            // From the top down, so a run of selected shapes moves up together
+            for (let i = shapes.length - 2; i >= 0; i--) {
+                if (isMoving(shapes[i]) && !isMoving(shapes[i + 1])) {
+                    [shapes[i], shapes[i + 1]] = [shapes[i + 1], shapes[i]];
+                }
+            }
+            break;
+        case 'backward':
+            for (let i = 1; i < shapes.length; i++) {
+                if (isMoving(shapes[i]) && !isMoving(shapes[i - 1])) {
+                    [shapes[i], shapes[i - 1]] = [shapes[i - 1], shapes[i]];
+                }
+            }
+            break;
+    }
+    keepMembersAboveContainers(); // A swimlane's contents go no further back than the swimlane
+    if (shapes.every((shape, index) => shape === before[index])) {
+        console.log(`Selection is already at the ${command === 'front' || command === 'forward' ? 'front' : 'back'}.`);
+        return;
+    }
+    redrawCanvas();
+    saveState();
+    console.log(`Moved ${selected.length} shape(s) ${command}.`);
+}
+
+// Show the selection's properties in the toolbar controls
+function syncToolbarToSelection() {
+    if (selectedShapes.length === 0) return;
+    const filledShape = selectedShapes.find(shape => !(shape instanceof Text)); // A Text's color is its text color
+    if (filledShape) colorPicker.value = filledShape.color || '#000000';
+    const strokedShape = flattenShapes(selectedShapes).find(shape => !(shape instanceof Group));
+    if (strokedShape) {
+        strokeColorPicker.value = strokedShape.strokeColor || '#000000';
+        strokeWidthInput.value = strokedShape.strokeWidth;
+        strokeDashSelector.value = strokedShape.strokeDash;
+    }
+    const textShape = getSelectedTextShapes()[0];
+    if (textShape) {
+        fontSelector.value = textShape.fontFamily;
+        fontSizeInput.value = Math.round(textShape.fontSize * 10) / 10;
+        textColorPicker.value = (textShape instanceof Text ? textShape.color : textShape.textColor) || '#000000';
+        lineHeightInput.value = textShape.lineHeight;
+        letterSpacingInput.value = Math.round(textShape.letterSpacing * 10) / 10;
+        boldButton.classList.toggle('selected', textShape.fontWeight === 'bold');
+        italicButton.classList.toggle('selected', textShape.fontStyle === 'italic');
+        underlineButton.classList.toggle('selected', hasTextDecoration(textShape.textDecoration, 'underline'));
+        strikethroughButton.classList.toggle('selected', hasTextDecoration(textShape.textDecoration, 'line-through'));
+        document.querySelectorAll('.align-button.selected').forEach(btn => btn.classList.remove('selected'));
+        document.querySelector(`.align-button[data-align="${textShape.textAlign}"]`)?.classList.add('selected');
+    }
+    const lineShape = selectedShapes.find(shape => shape instanceof Line);
+    if (lineShape) {
+        startMarkerSelector.value = lineShape.startMarker;
+        endMarkerSelector.value = lineShape.endMarker;
+        markerSizeInput.value = lineShape.markerSize;
+        routingSelector.value = lineShape.routing;
+    }
+    const swimlane = selectedShapes.find(shape => shape instanceof Swimlane);
+    if (swimlane) {
+        swimlaneOrientationSelector.value = swimlane.orientation;
+    }
+}
+// --- END: Selection Helpers ---
+
+// --- Undo/Redo Functions ---
+function saveState() {
+    // Clear redo stack whenever a new action is taken
+    redoStack = [];
+    // Deep copy the current shapes array
+    const currentState = shapes.map(shape => shape.clone());
+    // Remove future states if we undid previously
+    history = history.slice(0, historyIndex + 1);
+    // Add the new state
+    history.push(currentState);
+    historyIndex++;
+    // updateUndoRedoButtons(); // Removed call
+    console.log(`State saved. History length: ${history.length}, Index: ${historyIndex}`);
+}
+
+function undo() {
+    if (historyIndex <= 0) {
+        console.log("Cannot undo further.");
+        return; // Nothing to undo or only initial state left
+    }
+    // Move current state to redo stack (deep copy)
+    const currentStateForRedo = shapes.map(shape => shape.clone());
+    redoStack.push(currentStateForRedo);
+
+    // Go back one step in history
+    historyIndex--;
+    // Restore the previous state (deep copy)
+    shapes = history[historyIndex].map(shapeData => shapeData.clone()); // Need to clone again when restoring
+    selectShapes([]); // Deselect after undo/redo
+    redrawCanvas();
+    // updateUndoRedoButtons(); // Removed call
+    console.log(`Undo performed. History index: ${historyIndex}`);
+}
+
+function redo() {
+    if (redoStack.length === 0) {
+        console.log("Cannot redo.");
+        return; // Nothing to redo
+    }
+    // Move current state back to history (deep copy)
+    const currentStateForHistory = shapes.map(shape => shape.clone());
+    // Ensure history is correctly sliced if we were at an earlier point
+    history = history.slice(0, historyIndex + 1);
+    history.push(currentStateForHistory);
+    historyIndex++;
+
+
+    // Restore the next state from redo stack (deep copy)
+    const nextState = redoStack.pop();
+    shapes = nextState.map(shapeData => shapeData.clone()); // Need to clone again when restoring
+    selectShapes([]); // Deselect after undo/redo
+    redrawCanvas();
+    // updateUndoRedoButtons(); // Removed call
+    console.log(`Redo performed. History index: ${historyIndex}`);
+}
+
+// --- NEW: Copy/Paste Handlers ---
+// Give copied shapes, including those inside groups, new unique IDs. Connectors copied along
+// with their shapes attach to the copies; ends bound to shapes outside the list become free
+// so the originals aren't touched. Containers likewise keep only the members copied with them.
+function giveNewIds(list) {
+    const newIds = new Map(); // Old shape id -> new shape id
+    flattenShapes(list).forEach(shape => {
+        const newId = Date.now() + Math.random();
+        newIds.set(shape.id, newId);
+        shape.id = newId;
+    });
+    flattenShapes(list).forEach(shape => {
+        if (shape instanceof Connector) {
+            ['startBinding', 'endBinding'].forEach(key => {
+                const binding = shape[key];
+                shape[key] = binding && newIds.has(binding.shapeId)
+                    ? { shapeId: newIds.get(binding.shapeId), anchor: binding.anchor }
+                    : null;
+            });
+        }
+        if (shape instanceof Swimlane) {
+            shape.memberIds = shape.memberIds.filter(id => newIds.has(id)).map(id => newIds.get(id));
+        }
+    });
+}
+
+function handleCopyCanvas() {
+    if (selectedShapes.length > 0) {
+        // Keep the canvas order so pasted shapes stack the same way; containers bring their contents
+        clipboardShapes = withContainerMembers(selectedShapes).map(shape => shape.clone());
+        console.log(`Copied ${clipboardShapes.length} shape(s) to clipboard.`);
+    } else {
+        clipboardShapes = []; // Clear clipboard if nothing is selected
+        console.log('Nothing selected to copy.');
+    }
+}
+
+function handlePasteCanvas() {
+    if (clipboardShapes.length > 0) {
+        const offsetAmount = 10; // Pixels to offset the pasted shapes
+        const pasted = clipboardShapes.map(copied => {
+            const newShape = copied.clone(); // Clone again for pasting
+            newShape.moveBy(offsetAmount, offsetAmount); // Lines move their points and waypoints too
+            return newShape;
+        });
+        giveNewIds(pasted);
+        shapes.push(...pasted);
+        placeInContainers(pasted);
+        selectShapes(pasted); // Select the newly pasted shapes
+        saveState(); // Save state for undo
+        redrawCanvas();
+        console.log(`Pasted ${pasted.length} shape(s) from clipboard.`);
+    } else {
+        console.log('Clipboard is empty.');
+    }
+}
+// --------------------------------
+
+// Removed updateUndoRedoButtons function
+
+
+// --- Canvas Redraw ---
+// --- NEW: Grid, Snapping and Smart Guides ---
+// Holding Alt while dragging, resizing or drawing turns snapping off for that movement.
+
+function isSnapping(event) {
+    return !event.altKey;
+}
+
+function snapToGridValue(value) {
+    return Math.round(value / gridSize) * gridSize;
+}
+
+// Snap a canvas point to the nearest grid intersection when snap to grid is on
+function snapPoint(x, y, event) {
+    if (!snapToGrid || !isSnapping(event)) return { x, y };
+    return { x: snapToGridValue(x), y: snapToGridValue(y) };
+}
+
+// Grid lines over the visible part of the canvas; spacing doubles until lines are at least 8px apart on screen
+function drawGrid(ctx) {
+    let step = gridSize;
+    while (step * zoomLevel < 8) step *= 2;
+    const left = Math.floor(-offsetX / zoomLevel / step) * step;
+    const top = Math.floor(-offsetY / zoomLevel / step) * step;
+    const right = (canvas.width - offsetX) / zoomLevel;
+    const bottom = (canvas.height - offsetY) / zoomLevel;
+    ctx.save();
+    ctx.strokeStyle = '#e6e6e6';
+    ctx.lineWidth = 1 / zoomLevel;
+    ctx.beginPath();
+    for (let x = left; x <= right; x += step) {
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+    }
+    for (let y = top; y <= bottom; y += step) {
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+function drawGuides(ctx) {
+    if (activeGuides.length === 0) return;
+    ctx.save();
+    ctx.strokeStyle = '#ff00cc';
+    ctx.lineWidth = 1 / zoomLevel;
+    ctx.beginPath();
+    activeGuides.forEach(guide => {
+        if (guide.axis === 'x') {
+            ctx.moveTo(guide.position, guide.from);
+            ctx.lineTo(guide.position, guide.to);
+        } else {
+            ctx.moveTo(guide.from, guide.position);
+            ctx.lineTo(guide.to, guide.position);
+        }
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Left/center/right (axis 'x') or top/middle/bottom (axis 'y') of a bounding box
+function getGuideEdges(bounds, axis) {
+    const start = axis === 'x' ? bounds.x : bounds.y;
+    const size = axis === 'x' ? bounds.width : bounds.height;
+    return [start, start + size / 2, start + size];
+}
+
+// Bounds of the shapes a drag can line up with: everything not being dragged, except lines
+function getGuideTargets(moving = selectedShapes) {
+    return shapes.filter(shape => !moving.includes(shape) && !(shape instanceof Line)).map(shape => shape.getBounds());
+}
+
+// Smallest shift along one axis that puts an edge or center of `moved` on one of the targets', or null
+function findGuideSnap(moved, targets, axis) {
+    const threshold = guideSnapDistance / zoomLevel;
+    const movedEdges = getGuideEdges(moved, axis);
+    let best = null;
+    targets.forEach(target => {
+        getGuideEdges(target, axis).forEach(targetEdge => {
+            movedEdges.forEach(edge => {
+                const delta = targetEdge - edge;
+                if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best))) {
+                    best = delta;
+                }
+            });
+        });
+    });
+    return best;
+}
+
+// Guide lines for every edge or center of `moved` that lines up with a target, spanning the shapes involved
+function getGuideLines(moved, targets, axis) {
+    const guides = [];
+    getGuideEdges(moved, axis).forEach(position => {
+        const matches = targets.filter(target => getGuideEdges(target, axis).some(edge => Math.abs(edge - position) < 0.5));
+        if (matches.length === 0) return;
+        const span = getBoundsOfPoints([moved, ...matches].flatMap(bounds => [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+        ]));
+        guides.push(axis === 'x'
+            ? { axis, position, from: span.y, to: span.y + span.height }
+            : { axis, position, from: span.x, to: span.x + span.width });
+    });
+    return guides;
+}
+
+// Adjust a drag offset so the dragged bounds line up with other shapes (smart guides) or,
+// failing that, with the grid. Returns the snapped offset and the guides to show.
+function snapDragOffset(bounds, targets, dx, dy, event) {
+    const result = { dx, dy, guides: [] };
+    if (!isSnapping(event)) return result;
+    const moved = { x: bounds.x + dx, y: bounds.y + dy, width: bounds.width, height: bounds.height };
+    ['x', 'y'].forEach(axis => {
+        const key = axis === 'x' ? 'dx' : 'dy';
+        const guideDelta = smartGuidesEnabled ? findGuideSnap(moved, targets, axis) : null;
+        let delta = 0;
+        if (guideDelta !== null) {
+            delta = guideDelta;
+        } else if (snapToGrid) {
+            delta = snapToGridValue(moved[axis]) - moved[axis];
+        }
+        moved[axis] += delta;
+        result[key] += delta;
+        if (guideDelta !== null) {
+            result.guides.push(...getGuideLines(moved, targets, axis));
+        }
+    });
+    return result;
+}
+
+// Keep the toolbar controls in step with the settings (also used by the View menu toggles)
+function syncGridControls() {
+    if (showGridToggle) showGridToggle.checked = showGrid;
+    if (snapToGridToggle) snapToGridToggle.checked = snapToGrid;
+    if (smartGuidesToggle) smartGuidesToggle.checked = smartGuidesEnabled;
+    if (gridSizeInput) gridSizeInput.value = gridSize;
+}
+// --------------------------------------------
+
+function redrawCanvas() {
+    // Save the default state (identity transform)
+    ctx.save();
+
+    // Clear the entire visible canvas area (untransformed)
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Apply the current pan and zoom transformation
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(zoomLevel, zoomLevel);
+
+    // Keep connectors attached to shapes that moved since the last frame
+    updateConnectors();
+
+    if (showGrid) {
+        drawGrid(ctx);
+    }
+
+    // --- Draw all shapes within the transformed context ---
+    shapes.forEach(shape => {
+        // Pass the transformed context to the draw method
+        // Shape coordinates are already in canvas space
+        shape.draw(ctx);
+    });
+
+    // NEW: Smart guides for the drag in progress
+    drawGuides(ctx);
+
+    // NEW: Outline the body of each swimlane the dragged shapes will be dropped in
+    dropContainers.forEach(container => {
+        const body = container.getBodyBounds();
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 3 / zoomLevel;
+        ctx.strokeRect(body.x, body.y, body.width, body.height);
+    });
+
+    // --- Draw temporary line (also in transformed context) ---
+    if (isDrawingLine) {
+        ctx.beginPath();
+        ctx.moveTo(lineStartX, lineStartY);
+        ctx.lineTo(tempLineEndX, tempLineEndY);
+        ctx.strokeStyle = currentStrokeColor || '#000000';
+        ctx.lineWidth = currentStrokeWidth || 2;
+        ctx.setLineDash([5, 5]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const previewStart = { x: lineStartX, y: lineStartY };
+        const previewEnd = { x: tempLineEndX, y: tempLineEndY };
+        drawLineMarker(ctx, currentStartMarker, previewStart, previewEnd, currentMarkerSize, currentStrokeColor || '#000000');
+        drawLineMarker(ctx, currentEndMarker, previewEnd, previewStart, currentMarkerSize, currentStrokeColor || '#000000');
+        ctx.lineWidth = 1; // Reset line width after drawing temp line
+
+        // Show where each end will attach
+        [lineStartBinding, tempLineEndBinding].forEach(binding => {
+            if (binding) {
+                drawAnchorPoints(ctx, binding.shape, binding.anchor);
+            }
+        });
+    }
+
+    // --- Draw selection highlight and handles (within transformed context) ---
+    if (selectedShape) {
+        // Apply shape's rotation ON TOP of the global zoom/pan
+        const center = selectedShape.getCenter();
+        const angle = selectedShape.angle;
+
+        // --- Draw Rotated Selection Highlight ---
+        ctx.save(); // Save the zoomed/panned state
+        ctx.translate(center.x, center.y); // Translate origin to shape center
+        // Apply flip BEFORE rotation for highlight
+        ctx.scale(selectedShape.flipH ? -1 : 1, selectedShape.flipV ? -1 : 1);
+        ctx.rotate(angle); // Rotate the flipped context
+        // DO NOT translate back here. Draw relative to the new (0,0) center.
+
+        // Styles are affected by zoom, adjust line width if needed
+        const scaledLineWidth = 2 / zoomLevel; // Make highlight consistent thickness visually
+        const scaledHandleSize = handleSize / zoomLevel; // Make handles consistent size visually
+        const scaledHandleOffset = scaledHandleSize / 2;
+        const scaledRotationHandleOffset = 20 / zoomLevel; // Adjust rotation handle distance
+
+        ctx.strokeStyle = 'blue';
+        ctx.lineWidth = scaledLineWidth;
+        ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]); // Scale dash pattern
+
+        // Draw highlight based on shape type, centered at (0,0) in the transformed space
+        if (selectedShape instanceof Rectangle) {
+            const halfW = selectedShape.width / 2;
+            const halfH = selectedShape.height / 2;
+            ctx.strokeRect(-halfW, -halfH, selectedShape.width, selectedShape.height);
+        } else if (selectedShape instanceof Circle) {
+            ctx.beginPath();
+            ctx.arc(0, 0, selectedShape.radius, 0, Math.PI * 2); // Centered at (0,0)
+            ctx.stroke();
+        } else if (selectedShape instanceof Diamond) {
+            const halfW = selectedShape.width / 2;
+            const halfH = selectedShape.height / 2;
+            ctx.beginPath();
+            ctx.moveTo(0, -halfH);      // Top point (relative to center)
+            ctx.lineTo(halfW, 0);       // Right point
+            ctx.lineTo(0, halfH);       // Bottom point
+            ctx.lineTo(-halfW, 0);      // Left point
+            ctx.closePath();
+            ctx.stroke();
+        } else if (selectedShape instanceof FlowchartShape) { // NEW: Flowchart shapes are outlined exactly
+            ctx.beginPath();
+            traceOutline(ctx, selectedShape.getOutline(selectedShape.width / 2, selectedShape.height / 2));
+            ctx.stroke();
+        } else if (selectedShape instanceof ImageShape) { // NEW: Highlight for ImageShape
+            const halfW = selectedShape.width / 2;
+            const halfH = selectedShape.height / 2;
+            ctx.strokeRect(-halfW, -halfH, selectedShape.width, selectedShape.height);
+        }
+        // Lines and Text don't get highlight box drawn within this rotated/scaled context
+
+        // Restore context from shape rotation/scale/translation-to-center
+        ctx.restore(); // Back to just zoomed/panned state
+
+        // NEW: Groups are outlined by their children's combined box (swimlanes never turn, so a box fits them too)
+        if (selectedShape instanceof Group || selectedShape instanceof Swimlane) {
+            const bounds = selectedShape.getBounds();
+            ctx.strokeStyle = 'blue';
+            ctx.lineWidth = scaledLineWidth;
+            ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]);
+            ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+
+        // Draw Text highlight (no rotation/flip applied to highlight itself)
+        if (selectedShape instanceof Text) {
+            // Apply zoom scaling to the highlight stroke
+            ctx.strokeStyle = 'blue';
+            ctx.lineWidth = scaledLineWidth;
+            ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]);
+            ctx.strokeRect(selectedShape.x, selectedShape.y, selectedShape.width, selectedShape.height);
+        }
+
+        ctx.setLineDash([]); // Reset line dash
+        // --- End Selection Highlight ---
+
+
+        // NEW: While an endpoint is dragged, show the anchors it would attach to
+        if (isEditingLine && selectedShape instanceof Line && (activeHandle === 'line-start' || activeHandle === 'line-end')) {
+            const endX = activeHandle === 'line-start' ? selectedShape.x1 : selectedShape.x2;
+            const endY = activeHandle === 'line-start' ? selectedShape.y1 : selectedShape.y2;
+            const found = findAnchorAt(endX, endY);
+            if (found) {
+                drawAnchorPoints(ctx, found.shape, found.anchor);
+            }
+        }
+
+        // NEW: Curved lines show the tangent from each end to its control point
+        if (selectedShape instanceof Line && selectedShape.routing === 'curved' && selectedShape.waypoints.length === 0) {
+            const route = selectedShape.getRoutePoints();
+            ctx.strokeStyle = 'blue';
+            ctx.lineWidth = 1 / zoomLevel;
+            ctx.setLineDash([3 / zoomLevel, 3 / zoomLevel]);
+            ctx.beginPath();
+            ctx.moveTo(route[0].x, route[0].y);
+            ctx.lineTo(route[1].x, route[1].y);
+            ctx.moveTo(route[3].x, route[3].y);
+            ctx.lineTo(route[2].x, route[2].y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // --- Draw Handles (adjust size and position based on zoom) ---
+        // Get handles based on UNZOOMED size, then draw them scaled
+        drawHandles(ctx, selectedShape.getHandles()); // These coords are in canvas space (already account for flip/rotation)
+        // -------------------------------
+    } else if (selectedShapes.length > 1) {
+        // --- NEW: Multi-selection: outline each shape's bounds, then the combined box with its handles ---
+        ctx.strokeStyle = 'lightblue';
+        ctx.lineWidth = 1 / zoomLevel;
+        ctx.setLineDash([5 / zoomLevel, 3 / zoomLevel]);
+        selectedShapes.forEach(shape => {
+            const bounds = shape.getBounds();
+            ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        });
+        const selectionBounds = getSelectionBounds();
+        ctx.strokeStyle = 'blue';
+        ctx.lineWidth = 2 / zoomLevel;
+        ctx.strokeRect(selectionBounds.x, selectionBounds.y, selectionBounds.width, selectionBounds.height);
+        ctx.setLineDash([]);
+        drawHandles(ctx, getSelectionHandles());
+    }
+
+    // --- NEW: Marquee (rubber band) selection rectangle ---
+    if (isMarqueeSelecting && marqueeStart && marqueeEnd) {
+        const marquee = getBoundsOfPoints([marqueeStart, marqueeEnd]);
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
+        ctx.fillRect(marquee.x, marquee.y, marquee.width, marquee.height);
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 1 / zoomLevel;
+        ctx.setLineDash([4 / zoomLevel, 2 / zoomLevel]);
+        ctx.strokeRect(marquee.x, marquee.y, marquee.width, marquee.height);
+        ctx.setLineDash([]);
+    } // End if(selectedShape)
+
+    // Restore the default context state (removes zoom/pan)
+    ctx.restore();
+
+    updateScrollbars(); // NEW: Keep the scrollbars in step with the view
+}
+
+// --- Draw selection handles (given in canvas coords), keeping a constant on-screen size ---
+function drawHandles(ctx, handles) {
+    if (handles.length === 0) return;
+    const scaledHandleSize = handleSize / zoomLevel;
+    ctx.fillStyle = 'white';
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 1 / zoomLevel; // Keep border visually thin
+
+    handles.forEach(handle => {
+        // Calculate handle center for drawing scaled square/circle
+        const handleCenterX = handle.x + handleSize / 2; // Original center
+        const handleCenterY = handle.y + handleSize / 2; // Original center
+
+        if (handle.type === 'rotation') {
+            // Draw rotation handle as a circle (scaled size)
+            ctx.beginPath();
+            ctx.arc(handleCenterX, handleCenterY, scaledHandleSize / 1.5, 0, Math.PI * 2);
+            ctx.fillStyle = 'lightblue';
+            ctx.fill();
+            ctx.stroke();
+        } else if (handle.type.startsWith('waypoint-')) {
+            // Waypoints are round so they read differently from the endpoints
+            ctx.beginPath();
+            ctx.arc(handleCenterX, handleCenterY, scaledHandleSize / 2, 0, Math.PI * 2);
+            ctx.fillStyle = 'white';
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            // Draw resize handles as squares (scaled size)
+            ctx.fillStyle = 'white';
+            // Calculate top-left corner for scaled square
+            const scaledHandleX = handle.x + (handleSize - scaledHandleSize) / 2;
+            const scaledHandleY = handle.y + (handleSize - scaledHandleSize) / 2;
+            ctx.fillRect(scaledHandleX, scaledHandleY, scaledHandleSize, scaledHandleSize);
+            ctx.strokeRect(scaledHandleX, scaledHandleY, scaledHandleSize, scaledHandleSize);
+        }
+    });
+}
+
+// --- NEW: Draw a shape's anchor points, highlighting the active one ---
+function drawAnchorPoints(ctx, shape, activeAnchor) {
+    const anchors = shape.getAnchorPoints();
+    const radius = 4 / zoomLevel;
+    ctx.save();
+    ctx.lineWidth = 1 / zoomLevel;
+    ctx.strokeStyle = '#007bff';
+    Object.keys(anchors).forEach(name => {
+        const point = anchors[name];
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = name === activeAnchor ? '#007bff' : 'white';
+        ctx.fill();
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+// --- Event Listeners ---
+
+// Toolbar shape selection
+toolbar.addEventListener('click', (e) => {
+    // Use closest to find the .shape element, even if the click is on the img inside it
+    const shapeButton = e.target.closest('.shape');
+    if (shapeButton) { // Check if a shape button was found
+        const toolType = shapeButton.getAttribute('data-shape');
+        if (toolType) { // Ensure it has the data-shape attribute
+            setActiveTool(toolType);
+        }
+    }
+});
+
+// Color selection
+colorPicker.addEventListener('input', (e) => {
+     const newColor = e.target.value;
+     currentColor = newColor; // Update the global current color for future shapes
+     console.log(`Selected color: ${newColor}`);
+     // Lines keep their color; Text shapes take theirs from the text color picker
+     const fillable = selectedShapes.filter(shape => !(shape instanceof Line) && !(shape instanceof Text));
+     if (fillable.length > 0) { // Apply color to every selected shape
+         fillable.forEach(shape => { shape.color = newColor; });
+         redrawCanvas();
+         saveState(); // Save state after color change
+     }
+ });
+
+// Remove color button listener
+removeColorButton.addEventListener('click', () => {
+    const fillable = selectedShapes.filter(shape => !(shape instanceof Line) && !(shape instanceof Text));
+    if (fillable.length > 0) {
+        console.log('Removing fill color from selected shapes.');
+        fillable.forEach(shape => { shape.color = null; }); // Set shape color to null (no fill)
+        currentColor = null; // Set the global current color to null as well
+        colorPicker.value = '#000000'; // Reset picker display to black
+        redrawCanvas();
+        saveState(); // Save the state change
+    } else {
+        console.log('No fillable shape selected to remove color from.');
+    }
+});
+
+// --- NEW: Event Listeners for Stroke Controls ---
+// Like the fill controls, these set the default for new shapes and update the selection.
+// Shapes inside selected groups are restyled too; 'include' can narrow that down.
+function updateSelectedStrokes(applyChange, include = () => true) {
+    const targets = flattenShapes(selectedShapes).filter(shape => !(shape instanceof Group) && include(shape));
+    if (targets.length === 0) return false;
+    targets.forEach(applyChange);
+    redrawCanvas();
+    saveState();
+    return true;
+}
+
+strokeColorPicker.addEventListener('input', (e) => {
+    currentStrokeColor = e.target.value;
+    if (updateSelectedStrokes(shape => { shape.strokeColor = currentStrokeColor; })) {
+        console.log(`Set stroke color to: ${currentStrokeColor}`);
+    }
+});
+
+removeStrokeButton.addEventListener('click', () => {
+    // A line is nothing but its stroke, so lines keep theirs
+    if (updateSelectedStrokes(shape => { shape.strokeColor = null; }, shape => !(shape instanceof Line))) {
+        console.log('Removed stroke from selected shapes.');
+        return;
+    }
+    if (selectedShapes.length > 0) {
+        console.log('Only lines are selected; they keep their stroke.');
+        return;
+    }
+    // With nothing selected, new shapes are drawn without an outline
+    currentStrokeColor = null;
+    strokeColorPicker.value = '#000000'; // Reset picker display to black
+    console.log('New shapes will have no stroke.');
+});
+
+strokeWidthInput.addEventListener('change', (e) => {
+    const width = parseFloat(e.target.value);
+    if (isNaN(width)) {
+        e.target.value = currentStrokeWidth === null ? 1 : currentStrokeWidth; // Ignore invalid input
+        return;
+    }
+    currentStrokeWidth = Math.max(0, Math.min(20, width));
+    e.target.value = currentStrokeWidth;
+    if (updateSelectedStrokes(shape => { shape.strokeWidth = currentStrokeWidth; })) {
+        console.log(`Set stroke width to: ${currentStrokeWidth}`);
+    }
+});
+
+strokeDashSelector.addEventListener('change', (e) => {
+    currentStrokeDash = e.target.value;
+    if (updateSelectedStrokes(shape => { shape.strokeDash = currentStrokeDash; })) {
+        console.log(`Set stroke style to: ${currentStrokeDash}`);
+    }
+});
+
+// --- END: Stroke Listeners ---
+
+
+// --- NEW: Event Listeners for Text Formatting Controls ---
+// Each control applies to every Text shape and shape label in the selection
+
+// Font selection
+fontSelector.addEventListener('change', (e) => {
+    const textShapes = getSelectedTextShapes();
+    if (textShapes.length > 0) {
+        textShapes.forEach(shape => {
+            shape.fontFamily = e.target.value;
+            if (shape instanceof Text) shape.updateDimensions(); // Recalculate width/height
+        });
+        redrawCanvas();
+        saveState();
+        console.log(`Set font family to: ${e.target.value}`);
+    }
+});
+
+// NEW: The formatting buttons leave the focus in the Text editor, so they format its selection
+[boldButton, italicButton, underlineButton, strikethroughButton].forEach(button => {
+    button.addEventListener('mousedown', (e) => {
+        if (activeTextInput && activeTextInput.richTextShape) e.preventDefault();
+    });
+});
+
+// NEW: Run a formatting command on the Text editor's selection, if a Text shape is being edited
+function formatActiveRichText(command) {
+    if (!activeTextInput || !activeTextInput.richTextShape) return false;
+    formatRichTextSelection(activeTextInput, richTextCommands[command]);
+    console.log(`Applied ${command} to selected text.`);
+    return true;
+}
+
+// Bold button
+boldButton.addEventListener('click', () => {
+    if (formatActiveRichText('bold')) return;
+    const textShapes = getSelectedTextShapes();
+    if (textShapes.length > 0) {
+        // The first text shape decides whether the whole selection is turned on or off
+        const fontWeight = textShapes[0].fontWeight === 'bold' ? 'normal' : 'bold';
+        textShapes.forEach(shape => {
+            shape.fontWeight = fontWeight;
+            if (shape instanceof Text) shape.clearRunStyle('fontWeight'); // Recalculates width/height too
+        });
+        boldButton.classList.toggle('selected', fontWeight === 'bold'); // Update button style
+        redrawCanvas();
+        saveState();
+        console.log(`Set font weight to: ${fontWeight}`);
+    }
+});
+
+// Italic button
+italicButton.addEventListener('click', () => {
+    if (formatActiveRichText('italic')) return;
+    const textShapes = getSelectedTextShapes();
+    if (textShapes.length > 0) {
+        const fontStyle = textShapes[0].fontStyle === 'italic' ? 'normal' : 'italic';
+        textShapes.forEach(shape => {
+            shape.fontStyle = fontStyle;
+            if (shape instanceof Text) shape.clearRunStyle('fontStyle');
+        });
+        italicButton.classList.toggle('selected', fontStyle === 'italic'); // Update button style
+        redrawCanvas();
+        saveState();
+        console.log(`Set font style to: ${fontStyle}`);
+    }
+});
+
+// NEW: Turn one text decoration line on or off, for the whole text of a shape
+function setShapeTextDecoration(shape, line, on) {
+    shape.textDecoration = setTextDecoration(shape.textDecoration, line, on);
+    if (shape instanceof Text && shape.runs.length > 0) {
+        shape.setRuns(shape.runs.map(run => (run.textDecoration
+            ? { ...run, textDecoration: setTextDecoration(run.textDecoration, line, on) }
+            : run)));
+    }
+}
+
+// Underline and strikethrough buttons
+[[underlineButton, 'underline', 'underline'], [strikethroughButton, 'line-through', 'strikethrough']].forEach(([button, line, command]) => {
+    button.addEventListener('click', () => {
+        if (formatActiveRichText(command)) return;
+        const textShapes = getSelectedTextShapes();
+        if (textShapes.length > 0) {
+            const on = !hasTextDecoration(textShapes[0].textDecoration, line);
+            // No dimension update needed for decorations, just redraw
+            textShapes.forEach(shape => setShapeTextDecoration(shape, line, on));
+            button.classList.toggle('selected', on); // Update button style
+            redrawCanvas();
+            saveState();
+            console.log(`Set ${line} to: ${on}`);
+        }
+    });
+});
+
+// Alignment buttons
+[alignLeftButton, alignCenterButton, alignRightButton].forEach(button => {
+    button.addEventListener('click', (e) => {
+        const textShapes = getSelectedTextShapes();
+        if (textShapes.length > 0) {
+            const buttonElement = e.target.closest('.align-button'); // Get the button element
+            const newAlign = buttonElement ? buttonElement.getAttribute('data-align') : null; // Get attribute from button
+            textShapes.forEach(shape => { shape.textAlign = newAlign; });
+
+            // Update button styles
+            document.querySelectorAll('.align-button.selected').forEach(btn => btn.classList.remove('selected'));
+            e.target.classList.add('selected');
+
+            // No dimension update needed for alignment, just redraw
+            redrawCanvas();
+            saveState();
+            console.log(`Set text align to: ${newAlign}`);
+        }
+    });
+});
+
+// --- NEW: Font Size, Text Color and Spacing Controls ---
+// While a Text shape is being edited, size and color go to the selected characters, and line height
+// and letter spacing to the text being edited. Otherwise they apply to the selected texts and labels.
+
+// Apply a change to every selected Text shape and label, recording one undo step
+function updateSelectedTextShapes(applyChange) {
+    const textShapes = getSelectedTextShapes();
+    if (textShapes.length === 0) return false;
+    textShapes.forEach(shape => {
+        applyChange(shape);
+        if (shape instanceof Text) shape.updateDimensions(); // Recalculate width/height
+    });
+    redrawCanvas();
+    saveState();
+    return true;
+}
+
+// The number in a toolbar input, kept between min and max (null, and the input reset, if it isn't a number)
+function readNumberInput(input, min, max, fallback) {
+    const value = parseFloat(input.value);
+    if (isNaN(value)) {
+        input.value = fallback;
+        return null;
+    }
+    input.value = Math.max(min, Math.min(max, value));
+    return parseFloat(input.value);
+}
+
+fontSizeInput.addEventListener('change', () => {
+    const editor = activeTextInput && activeTextInput.richTextShape ? activeTextInput : null;
+    const fallback = editor ? editor.richTextShape.fontSize : (getSelectedTextShapes()[0] || { fontSize: 16 }).fontSize;
+    const fontSize = readNumberInput(fontSizeInput, 4, 200, fallback);
+    if (fontSize === null) return;
+    if (editor) {
+        setRichTextStyle(editor, 'fontSize', fontSize);
+        console.log(`Sized selected text: ${fontSize}`);
+        return;
+    }
+    if (updateSelectedTextShapes(shape => {
+        shape.fontSize = fontSize;
+        if (shape instanceof Text) shape.clearRunStyle('fontSize'); // The whole text takes the size
+    })) {
+        console.log(`Set font size to: ${fontSize}`);
+    }
+});
+
+textColorPicker.addEventListener('input', (e) => {
+    const newColor = e.target.value;
+    if (activeTextInput && activeTextInput.richTextShape) {
+        setRichTextStyle(activeTextInput, 'color', newColor);
+        console.log(`Colored selected text: ${newColor}`);
+        return;
+    }
+    currentTextColor = newColor; // New Text shapes use it too
+    if (updateSelectedTextShapes(shape => {
+        if (shape instanceof Text) {
+            shape.color = newColor;
+            shape.clearRunStyle('color');
+        } else {
+            shape.textColor = newColor; // A label's color; 'color' is the shape's fill
+        }
+    })) {
+        console.log(`Set text color to: ${newColor}`);
+    }
+});
+
+// Line height and letter spacing belong to the whole text
+[[lineHeightInput, 'lineHeight', 0.5, 4], [letterSpacingInput, 'letterSpacing', -5, 50]].forEach(([input, key, min, max]) => {
+    input.addEventListener('change', () => {
+        const editor = activeTextInput && activeTextInput.richTextShape ? activeTextInput : null;
+        const target = editor ? editor.richTextShape : getSelectedTextShapes()[0];
+        const value = readNumberInput(input, min, max, target ? target[key] : input.defaultValue);
+        if (value === null) return;
+        if (editor) {
+            const { start, end } = getRichTextSelection(editor);
+            editor.richTextShape[key] = value;
+            updateRichTextEditorSpacing(editor);
+            editor.focus();
+            setRichTextSelection(editor, start, end);
+            console.log(`Set ${key} of the edited text to: ${value}`);
+            return;
+        }
+        if (updateSelectedTextShapes(shape => { shape[key] = value; })) {
+            console.log(`Set ${key} to: ${value}`);
+        }
+    });
+});
+
+// --- END: Text Formatting Listeners ---
+
+
+// --- NEW: Event Listeners for Line Marker Controls ---
+// Like the color picker, these set the default for new lines and update the selected lines
+
+// Apply a change to every selected line, recording one undo step
+function updateSelectedLines(applyChange) {
+    const lines = getSelectedOfType(Line);
+    if (lines.length === 0) return false;
+    lines.forEach(applyChange);
+    redrawCanvas();
+    saveState();
+    return true;
+}
+
+startMarkerSelector.addEventListener('change', (e) => {
+    currentStartMarker = e.target.value;
+    if (updateSelectedLines(line => { line.startMarker = currentStartMarker; })) {
+        console.log(`Set start marker to: ${currentStartMarker}`);
+    }
+});
+
+endMarkerSelector.addEventListener('change', (e) => {
+    currentEndMarker = e.target.value;
+    if (updateSelectedLines(line => { line.endMarker = currentEndMarker; })) {
+        console.log(`Set end marker to: ${currentEndMarker}`);
+    }
+});
+
+markerSizeInput.addEventListener('change', (e) => {
+    const size = parseInt(e.target.value, 10);
+    if (isNaN(size)) {
+        e.target.value = currentMarkerSize; // Ignore invalid input
+        return;
+    }
+    currentMarkerSize = Math.max(4, Math.min(40, size));
+    e.target.value = currentMarkerSize;
+    if (updateSelectedLines(line => { line.markerSize = currentMarkerSize; })) {
+        console.log(`Set marker size to: ${currentMarkerSize}`);
+    }
+});
+
+routingSelector.addEventListener('change', (e) => {
+    currentRouting = e.target.value;
+    if (updateSelectedLines(line => line.setRouting(currentRouting))) {
+        console.log(`Set line routing to: ${currentRouting}`);
+    }
+});
+
+// --- END: Line Marker Listeners ---
+
+// --- NEW: Swimlane Orientation Listener ---
+// Sets the orientation of new pools and lanes, and turns the selected ones
+swimlaneOrientationSelector.addEventListener('change', (e) => {
+    currentSwimlaneOrientation = e.target.value;
+    const swimlanes = getSelectedOfType(Swimlane);
+    if (swimlanes.length === 0) return;
+    swimlanes.forEach(swimlane => swimlane.setOrientation(currentSwimlaneOrientation));
+    swimlanes.forEach(growContainer); // The body shrank by the header's move; keep the contents inside
+    redrawCanvas();
+    saveState();
+    console.log(`Set swimlane orientation to: ${currentSwimlaneOrientation}`);
+});
+
+// --- NEW: Grid Listeners ---
+if (showGridToggle) {
+    showGridToggle.addEventListener('change', (e) => {
+        showGrid = e.target.checked;
+        console.log(`Grid ${showGrid ? 'shown' : 'hidden'}`);
+        redrawCanvas();
+    });
+}
+
+if (gridSizeInput) {
+    gridSizeInput.addEventListener('change', (e) => {
+        const size = parseInt(e.target.value, 10);
+        if (isNaN(size)) {
+            e.target.value = gridSize; // Ignore invalid input
+            return;
+        }
+        gridSize = Math.max(minGridSize, Math.min(maxGridSize, size));
+        e.target.value = gridSize;
+        console.log(`Set grid spacing to: ${gridSize}`);
+        redrawCanvas();
+    });
+}
+
+if (snapToGridToggle) {
+    snapToGridToggle.addEventListener('change', (e) => {
+        snapToGrid = e.target.checked;
+        console.log(`Snap to grid ${snapToGrid ? 'on' : 'off'}`);
+    });
+}
+
+if (smartGuidesToggle) {
+    smartGuidesToggle.addEventListener('change', (e) => {
+        smartGuidesEnabled = e.target.checked;
+        console.log(`Smart guides ${smartGuidesEnabled ? 'on' : 'off'}`);
+    });
+}
+// --- END: Grid Listeners ---
+
+
+// --- MODIFIED Canvas Interaction ---
+canvas.addEventListener('mousedown', (e) => {
+    // NEW: Space + drag or middle-button drag pans the view instead of editing
+    if (isSpaceDown || e.button === 1) {
+        e.preventDefault(); // No autoscroll for the middle button
+        isPanning = true;
+        panStart = { x: e.clientX, y: e.clientY, offsetX: offsetX, offsetY: offsetY };
+        canvas.style.cursor = 'grabbing';
+        currentCursor = 'grabbing';
+        return;
+    }
+    // NEW: A Text editor kept open for a formatting control is done once the canvas is clicked
+    if (activeTextInput && document.activeElement !== activeTextInput) {
+        finishTextInput(activeTextInput, true);
+    }
+
+    const mousePos = getMousePos(e); // Use transformed coordinates
+    const mouseX = mousePos.x;
+    const mouseY = mousePos.y;
+
+    isDragging = false; // Reset flags
+    isResizing = false;
+    isRotating = false; // Reset rotation flag
+    isEditingLine = false;
+    isMarqueeSelecting = false;
+    multiResizeStart = null;
+    pendingSingleSelect = null;
+    activeHandle = null;
+    shapeCenter = null;
+    initialMouseDownPos = { x: mouseX, y: mouseY }; // Store initial position (canvas coords)
+    const additive = e.shiftKey || e.ctrlKey || e.metaKey; // Shift/Ctrl-click toggles shapes in the selection
+
+    // Priority 1a: Check if clicking on a handle of a multi-selection (resizes every shape)
+    if (selectedShapes.length > 1) {
+        activeHandle = getHandleAt(mouseX, mouseY);
+        if (activeHandle) {
+            initialMouseDownPos = null; // Don't check drag threshold if starting on handle
+            isResizing = true;
+            multiResizeStart = {
+                bounds: getSelectionBounds(),
+                snapshots: selectedShapes.map(shape => JSON.stringify(shape))
+            };
+            console.log(`Start resizing selection using handle: ${activeHandle}`);
+            redrawCanvas();
+            return; // Handled handle click
+        }
+    }
+
+    // Priority 1: Check if clicking on a handle of the selected shape
+    if (selectedShape) {
+        // Check handles using canvas coordinates
+        activeHandle = getHandleAt(mouseX, mouseY);
+        if (activeHandle) {
+            initialMouseDownPos = null; // Don't check drag threshold if starting on handle
+
+            if (selectedShape instanceof Line) {
+                // Line handles reshape the route rather than resize a box
+                isEditingLine = true;
+                lineEditStart = JSON.stringify(selectedShape);
+                console.log(`Start editing line using handle: ${activeHandle}`);
+            } else if (activeHandle === 'rotation') {
+                isRotating = true;
+                isResizing = false;
+                shapeCenter = selectedShape.getCenter();
+                // Calculate initial angle from center to mouse (using canvas coords)
+                const dx = mouseX - shapeCenter.x;
+                const dy = mouseY - shapeCenter.y;
+                rotationStartAngle = Math.atan2(dy, dx);
+                console.log(`Start rotating. Center: (${shapeCenter.x.toFixed(1)}, ${shapeCenter.y.toFixed(1)}), Start Angle: ${rotationStartAngle.toFixed(2)}`);
+                canvas.style.cursor = getCursorForHandle('rotation');
+                currentCursor = canvas.style.cursor;
+
+            } else if (selectedShape instanceof Group) {
+                // Groups scale their children like a multi-selection does
+                isResizing = true;
+                multiResizeStart = {
+                    bounds: selectedShape.getBounds(),
+                    snapshots: [JSON.stringify(selectedShape)]
+                };
+                console.log(`Start resizing group using handle: ${activeHandle}`);
+            } else { // Resize handle
+                isResizing = true;
+                isRotating = false;
+                console.log(`Start resizing using handle: ${activeHandle}`);
+                // Store initial state (using canvas coords)
+                selectedShape.initialX = selectedShape.x;
+                selectedShape.initialY = selectedShape.y;
+                selectedShape.initialWidth = selectedShape.width;
+                selectedShape.initialHeight = selectedShape.height;
+                selectedShape.initialRadius = selectedShape.radius;
+                selectedShape.initialAngle = selectedShape.angle;
+                selectedShape.initialCenter = selectedShape.getCenter();
+                selectedShape.initialMouseX = mouseX; // Store initial canvas mouse coords
+                selectedShape.initialMouseY = mouseY;
+                if (selectedShape instanceof Text) {
+                    selectedShape.initialFontSize = selectedShape.fontSize;
+                }
+            }
+
+            redrawCanvas();
+            return; // Handled handle click
+        }
+    }
+
+    // Priority 2: Start drawing a new line
+    if (currentShapeType === 'line') {
+        initialMouseDownPos = null;
+        isDrawingLine = true;
+        const snappedStart = snapPoint(mouseX, mouseY, e); // Use canvas coords
+        lineStartX = snappedStart.x;
+        lineStartY = snappedStart.y;
+        // Starting on (or next to) a shape binds the start to its nearest anchor
+        lineStartBinding = findAnchorAt(mouseX, mouseY);
+        if (lineStartBinding) {
+            lineStartX = lineStartBinding.point.x;
+            lineStartY = lineStartBinding.point.y;
+        }
+        tempLineEndX = lineStartX;
+        tempLineEndY = lineStartY;
+        tempLineEndBinding = null;
+        selectShapes([]);
+        console.log(`Starting line at (${lineStartX.toFixed(1)}, ${lineStartY.toFixed(1)})`);
+        redrawCanvas();
+        return; // Handled line start
+    }
+
+    // Priority 3: Click on existing shape to select/drag
+    let clickedShape = null;
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        // NEW: With a drawing or text tool, a click in a swimlane's body adds to the swimlane instead
+        if (shape instanceof Swimlane && currentShapeType !== 'default' && !shape.isInHeader(mouseX, mouseY)) continue;
+        // Use canvas coords for isInside check
+        if (shape.isInside(mouseX, mouseY)) {
+            clickedShape = shape;
+            break;
+        }
+    }
+
+    if (clickedShape) {
+        if (additive) {
+            toggleShapeSelection(clickedShape);
+            if (!isShapeSelected(clickedShape)) {
+                initialMouseDownPos = null; // Just removed from the selection: don't drag the rest
+            }
+        } else if (isShapeSelected(clickedShape)) {
+            // Keep the selection so all of it can be dragged; a plain click selects just this shape (see mouseup)
+            pendingSingleSelect = selectedShapes.length > 1 ? clickedShape : null;
+        } else {
+            selectShapes([clickedShape]);
+        }
+        // initialMouseDownPos (canvas coords) is already set
+        activeHandle = null;
+        isResizing = false;
+        isRotating = false;
+        // Drag starts in mousemove once the threshold is passed
+
+          console.log('Selected shapes:', selectedShapes);
+          redrawCanvas(); // Show selection immediately
+
+      } else {
+        // Priority 4: Click on background
+        initialMouseDownPos = null;
+        if (!(additive && currentShapeType === 'default')) {
+            selectShapes([]); // Deselect first
+        }
+        let newShape;
+        const defaultWidth = 100;
+        const defaultHeight = 60;
+        const defaultRadius = 40;
+        // Use canvas coords for positioning new shapes (the top-left corner, or a circle's center, goes on the grid)
+        const snappedCorner = snapPoint(mouseX - defaultWidth / 2, mouseY - defaultHeight / 2, e);
+        const snappedCenter = snapPoint(mouseX, mouseY, e);
+        const shapeX = snappedCorner.x;
+        const shapeY = snappedCorner.y;
+        const circleCenterX = snappedCenter.x;
+        const circleCenterY = snappedCenter.y;
+
+        // Add new shape if a drawing tool is active
+        if (currentShapeType !== 'line' && currentShapeType !== 'default' && currentShapeType !== 'text') {
+             switch (currentShapeType) {
+                 case 'rectangle':
+                     newShape = new Rectangle(shapeX, shapeY, defaultWidth, defaultHeight, currentColor);
+                     break;
+                 case 'circle':
+                     newShape = new Circle(circleCenterX, circleCenterY, defaultRadius, currentColor);
+                     break;
+                 case 'diamond':
+                     newShape = new Diamond(shapeX, shapeY, defaultWidth, defaultHeight, currentColor);
+                     break;
+                 default: {
+                     // NEW: Flowchart shapes, centered on the click like the others
+                     const FlowchartClass = flowchartShapeClasses[currentShapeType];
+                     if (FlowchartClass) {
+                         const size = FlowchartClass.defaultSize;
+                         const corner = snapPoint(mouseX - size.width / 2, mouseY - size.height / 2, e);
+                         newShape = new FlowchartClass(corner.x, corner.y, size.width, size.height, currentColor);
+                     }
+                     // NEW: Pools and lanes, laid out in the orientation chosen in the toolbar
+                     const SwimlaneClass = swimlaneClasses[currentShapeType];
+                     if (SwimlaneClass) {
+                         const size = SwimlaneClass.defaultSize;
+                         const width = currentSwimlaneOrientation === 'vertical' ? size.height : size.width;
+                         const height = currentSwimlaneOrientation === 'vertical' ? size.width : size.height;
+                         const corner = snapPoint(mouseX - width / 2, mouseY - height / 2, e);
+                         newShape = new SwimlaneClass(corner.x, corner.y, width, height, currentColor, currentSwimlaneOrientation);
+                     }
+                 }
+             }
+             if (newShape) {
+                 applyCurrentStroke(newShape);
+                 shapes.push(newShape);
+                 placeInContainers([newShape]); // NEW: Drawn inside a swimlane, it belongs to it
+                 console.log('Added new shape:', newShape);
+                 saveState();
+                 setActiveTool('default'); // Reset tool
+                 redrawCanvas(); // Redraw needed after adding shape and resetting tool
+             }
+        } else if (currentShapeType === 'text' && !activeTextInput) {
+            // Start inline text input using canvas coords
+            console.log(`Starting text input at canvas coords (${mouseX.toFixed(1)}, ${mouseY.toFixed(1)})`);
+            redrawCanvas(); // Clear selection
+            startTextInput(mouseX, mouseY); // Pass canvas coords
+            e.stopPropagation();
+            // State saved/redrawn when input finishes
+        } else if (currentShapeType === 'image') {
+            // Do nothing on mousedown if image tool is selected - handled by setActiveTool/triggerImageSelection
+            console.log('Image tool selected, waiting for file dialog.');
+        } else {
+             // Clicked background with default/line tool, or text tool already active
+             console.log(`Clicked background with ${currentShapeType} tool, deselected shape.`);
+             if (currentShapeType === 'default') {
+                 // NEW: Start a rubber-band selection
+                 isMarqueeSelecting = true;
+                 marqueeStart = { x: mouseX, y: mouseY };
+                 marqueeEnd = { x: mouseX, y: mouseY };
+                 marqueeAdditive = additive;
+             }
+             redrawCanvas(); // Redraw needed to show deselection
+        }
+    }
+}); // End mousedown listener
+
+
+// --- NEW: Function to handle Image Tool Selection ---
+async function triggerImageSelection() {
+    console.log('Image tool selected, opening dialog...');
+    try {
+        const result = await window.electronAPI.openImageDialog();
+        if (result.success && result.dataUrl) {
+            console.log('Image data received from main process.');
+            // Create an in-memory image to get dimensions
+            const tempImg = new Image();
+            tempImg.onload = () => {
+                // Place the image near the center of the current view
+                const viewCenterX = (canvas.width / 2 - offsetX) / zoomLevel;
+                const viewCenterY = (canvas.height / 2 - offsetY) / zoomLevel;
+                const imgWidth = tempImg.naturalWidth || 100; // Default size if naturalWidth fails
+                const imgHeight = tempImg.naturalHeight || 100;
+                const imgX = viewCenterX - imgWidth / 2;
+                const imgY = viewCenterY - imgHeight / 2;
+
+                const newImageShape = new ImageShape(imgX, imgY, imgWidth, imgHeight, result.dataUrl);
+                shapes.push(newImageShape);
+                selectShapes([newImageShape]); // Select the new image
+                console.log('Added new image shape:', newImageShape);
+                saveState();
+                redrawCanvas(); // Redraw to show the new image (or its loading state)
+                setActiveTool('default'); // Switch back to default tool after adding
+            };
+            tempImg.onerror = () => {
+                console.error('Failed to load temporary image for dimensions.');
+                alert('Failed to load image dimensions.');
+                setActiveTool('default'); // Switch back to default tool on error
+            };
+            tempImg.src = result.dataUrl;
+
+        } else {
             console.log('Image selection failed or cancelled:', result.error);
             // If selection was cancelled or failed, just switch back to default tool
             setActiveTool('default');
         }
-    } catch (error) {
-        console.error('Error during image selection process:', error);
-        alert(`Error selecting image: ${error.message}`);
-        setActiveTool('default'); // Switch back to default tool on error
+    } catch (error) {
+        console.error('Error during image selection process:', error);
+        alert(`Error selecting image: ${error.message}`);
+        setActiveTool('default'); // Switch back to default tool on error
+    }
+}
+// --- END: Image Tool Selection ---
+
+
+// --- NEW: Functions for Inline Text Input ---
+
+// Takes CANVAS coordinates (x, y)
+function startTextInput(canvasX, canvasY) {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, false);
+    }
+    // NEW: The new Text shape supplies the editor's styles; it's added to the canvas when the input finishes
+    openRichTextEditor(new Text(canvasX, canvasY, '', currentTextColor));
+    console.log('Rich text editor created, focusing shortly.');
+}
+
+// NEW: Inline editor for Text shapes. A contenteditable box shows each run in its own style, at the
+// text's size on screen so it lines up with the canvas. Runs are read back by readRichTextEditor().
+function openRichTextEditor(textShape) {
+    const editor = document.createElement('div');
+    editor.contentEditable = 'true';
+    editor.richTextShape = textShape; // Styles the runs fall back to
+    editor.savedSelection = null; // Selection to format while a toolbar control has the focus
+
+    // --- Calculate Screen Position from Canvas Position ---
+    const screenX = textShape.x * zoomLevel + offsetX;
+    const screenY = textShape.y * zoomLevel + offsetY;
+    const canvasRect = canvas.getBoundingClientRect();
+    editor.style.position = 'absolute';
+    editor.style.left = `${canvasRect.left + window.scrollX + screenX}px`;
+    editor.style.top = `${canvasRect.top + window.scrollY + screenY}px`;
+    // -----------------------------------------------------
+
+    editor.style.font = getFontString({ ...textShape, fontSize: textShape.fontSize * zoomLevel });
+    editor.style.color = textShape.color;
+    editor.style.textAlign = textShape.textAlign;
+    updateRichTextEditorSpacing(editor);
+    editor.style.minWidth = '20px';
+    editor.style.border = '1px dashed blue';
+    editor.style.padding = '2px';
+    editor.style.outline = 'none';
+    editor.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+    editor.style.zIndex = '100';
+    editor.style.whiteSpace = 'pre';
+    renderRichTextEditor(editor, textShape.getTextRuns());
+
+    editor.addEventListener('blur', handleInputBlur);
+    editor.addEventListener('keydown', handleInputKeyDown);
+    editor.addEventListener('click', (e) => {
+        e.stopPropagation();
+        editor.focus();
+    });
+    // Pasted text takes the formatting where it lands
+    editor.addEventListener('paste', (e) => {
+        e.preventDefault();
+        document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    });
+
+    document.body.appendChild(editor);
+    activeTextInput = editor;
+    setTimeout(() => {
+        editor.focus();
+        setRichTextSelection(editor, 0, textShape.text.length); // Select the existing text, like the label editor
+    }, 0);
+}
+
+// NEW: Line height and letter spacing of the editor's Text shape, at the zoom level
+function updateRichTextEditorSpacing(editor) {
+    editor.style.lineHeight = String(editor.richTextShape.lineHeight);
+    editor.style.letterSpacing = `${editor.richTextShape.letterSpacing * zoomLevel}px`;
+}
+
+// Show runs in the editor, one span per run with every style spelled out
+function renderRichTextEditor(editor, runs) {
+    editor.innerHTML = '';
+    runs.forEach(run => {
+        const style = editor.richTextShape.getRunStyle(run);
+        const span = document.createElement('span');
+        span.textContent = run.text;
+        span.style.fontWeight = style.fontWeight;
+        span.style.fontStyle = style.fontStyle;
+        span.style.textDecoration = style.textDecoration;
+        span.style.color = style.color;
+        span.style.fontSize = `${style.fontSize * zoomLevel}px`;
+        editor.appendChild(span);
+    });
+}
+
+// Canvas colors are stored as hex; the DOM reports rgb()
+function cssColorToHex(value) {
+    const match = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(value);
+    if (!match) return value;
+    return '#' + match.slice(1, 4).map(channel => parseInt(channel, 10).toString(16).padStart(2, '0')).join('');
+}
+
+// The run styles of a text node in the editor, from the elements around it. Besides the spans
+// renderRichTextEditor() makes, this understands the tags and inline styles the browser may add.
+function getRichTextNodeStyle(node, editor) {
+    const style = {};
+    const decorations = new Set();
+    let hasDecoration = false;
+    for (let element = node.parentNode; element && element !== editor; element = element.parentNode) {
+        const tag = element.nodeName;
+        const css = element.style || {};
+        if (!style.fontWeight) {
+            if (css.fontWeight) style.fontWeight = css.fontWeight === 'bold' || parseInt(css.fontWeight, 10) >= 600 ? 'bold' : 'normal';
+            else if (tag === 'B' || tag === 'STRONG') style.fontWeight = 'bold';
+        }
+        if (!style.fontStyle) {
+            if (css.fontStyle) style.fontStyle = css.fontStyle === 'italic' ? 'italic' : 'normal';
+            else if (tag === 'I' || tag === 'EM') style.fontStyle = 'italic';
+        }
+        // Decorations of every enclosing element show, so they add up
+        const lines = `${css.textDecorationLine || css.textDecoration || ''} ${{ U: 'underline', S: 'line-through', STRIKE: 'line-through', DEL: 'line-through' }[tag] || ''}`;
+        ['underline', 'line-through'].forEach(line => {
+            if (lines.includes(line)) decorations.add(line);
+        });
+        hasDecoration = hasDecoration || lines.trim() !== '';
+        if (!style.color && css.color) style.color = cssColorToHex(css.color);
+        if (!style.fontSize && css.fontSize && css.fontSize.endsWith('px')) {
+            style.fontSize = Math.round(parseFloat(css.fontSize) / zoomLevel * 100) / 100;
+        }
+    }
+    if (hasDecoration) {
+        style.textDecoration = ['underline', 'line-through'].filter(line => decorations.has(line)).join(' ') || 'none';
+    }
+    return style;
+}
+
+// Read the editor's runs. Each of 'points' ({ node, offset }, as in a DOM Range) is turned into a
+// character offset into the text; 'offsets' holds them in order (null if a point isn't in the editor).
+function readRichTextEditor(editor, points = []) {
+    const runs = [];
+    const offsets = points.map(() => null);
+    let length = 0;
+    let trailingBreak = false; // The browser ends content that ends with a line break with an extra <br>
+    const markPoints = (node, offset, position) => {
+        points.forEach((point, index) => {
+            if (point.node === node && point.offset === offset) offsets[index] = position;
+        });
+    };
+    const addText = (text, node) => {
+        runs.push({ text: text, ...getRichTextNodeStyle(node, editor) });
+        length += text.length;
+    };
+    const visit = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            points.forEach((point, index) => {
+                if (point.node === node) offsets[index] = length + point.offset;
+            });
+            if (node.data) {
+                addText(node.data, node);
+                trailingBreak = false;
+            }
+            return;
+        }
+        if (node.nodeName === 'BR') {
+            addText('\n', node);
+            trailingBreak = true;
+            return;
+        }
+        // Blocks the browser makes for new lines start on a line of their own
+        if (node !== editor && (node.nodeName === 'DIV' || node.nodeName === 'P') && length > 0 && !trailingBreak) {
+            addText('\n', node);
+        }
+        node.childNodes.forEach((child, index) => {
+            markPoints(node, index, length);
+            visit(child);
+        });
+        markPoints(node, node.childNodes.length, length);
+    };
+    visit(editor);
+    if (trailingBreak) {
+        runs.pop();
+        offsets.forEach((offset, index) => { offsets[index] = offset === null ? null : Math.min(offset, length - 1); });
+    }
+    return { runs: runs, offsets: offsets };
+}
+
+// Character offsets of the selection in the editor, or the last one saved while it had the focus
+function getRichTextSelection(editor) {
+    const selection = window.getSelection();
+    if (selection && selection.rangeCount > 0 && editor.contains(selection.anchorNode)) {
+        const range = selection.getRangeAt(0);
+        const { offsets } = readRichTextEditor(editor, [
+            { node: range.startContainer, offset: range.startOffset },
+            { node: range.endContainer, offset: range.endOffset }
+        ]);
+        const start = offsets[0] === null ? 0 : offsets[0];
+        return { start: start, end: offsets[1] === null ? start : offsets[1] };
+    }
+    return editor.savedSelection || { start: 0, end: 0 };
+}
+
+// Select characters start..end of an editor filled by renderRichTextEditor()
+function setRichTextSelection(editor, start, end) {
+    const locate = (position) => {
+        let remaining = position;
+        for (const span of editor.childNodes) {
+            const textNode = span.firstChild;
+            if (!textNode) continue;
+            if (remaining <= textNode.data.length) return { node: textNode, offset: remaining };
+            remaining -= textNode.data.length;
+        }
+        return { node: editor, offset: editor.childNodes.length };
+    };
+    const from = locate(start);
+    const to = locate(end);
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    editor.savedSelection = { start: start, end: end };
+}
+
+// Change the style of the selected characters (all of them when nothing is selected).
+// applyStyle(runs, textShape) sets styles on the runs covering the selection.
+function formatRichTextSelection(editor, applyStyle) {
+    const textShape = editor.richTextShape;
+    const { start, end } = getRichTextSelection(editor);
+    const { runs } = readRichTextEditor(editor);
+    const text = runs.map(run => run.text).join('');
+    const from = start === end ? 0 : start;
+    const to = start === end ? text.length : end;
+    const pieces = splitTextRuns(runs, [from, to]);
+    let offset = 0;
+    const selected = pieces.filter(run => {
+        const inside = offset >= from && offset + run.text.length <= to && run.text;
+        offset += run.text.length;
+        return inside;
+    });
+    if (selected.length === 0) return;
+    applyStyle(selected, textShape);
+    const normalized = normalizeTextRuns(pieces, textShape);
+    renderRichTextEditor(editor, normalized.length > 0 ? normalized : [{ text: text }]);
+    editor.focus();
+    setRichTextSelection(editor, start, end);
+    syncToolbarToRichText(editor);
+}
+
+// Formatting commands for the editor's toolbar buttons and shortcuts
+const richTextCommands = {
+    bold: (runs, textShape) => {
+        const fontWeight = runs.every(run => textShape.getRunStyle(run).fontWeight === 'bold') ? 'normal' : 'bold';
+        runs.forEach(run => { run.fontWeight = fontWeight; });
+    },
+    italic: (runs, textShape) => {
+        const fontStyle = runs.every(run => textShape.getRunStyle(run).fontStyle === 'italic') ? 'normal' : 'italic';
+        runs.forEach(run => { run.fontStyle = fontStyle; });
+    },
+    underline: (runs, textShape) => toggleRunDecoration(runs, textShape, 'underline'),
+    strikethrough: (runs, textShape) => toggleRunDecoration(runs, textShape, 'line-through'),
+    grow: (runs, textShape) => stepRunFontSize(runs, textShape, 2),
+    shrink: (runs, textShape) => stepRunFontSize(runs, textShape, -2)
+};
+
+function toggleRunDecoration(runs, textShape, line) {
+    const on = !runs.every(run => hasTextDecoration(textShape.getRunStyle(run).textDecoration, line));
+    runs.forEach(run => { run.textDecoration = setTextDecoration(textShape.getRunStyle(run).textDecoration, line, on); });
+}
+
+function stepRunFontSize(runs, textShape, step) {
+    runs.forEach(run => { run.fontSize = Math.max(4, textShape.getRunStyle(run).fontSize + step); });
+}
+
+// Set one style on the selected characters (e.g. the color from the color picker)
+function setRichTextStyle(editor, key, value) {
+    formatRichTextSelection(editor, runs => runs.forEach(run => { run[key] = value; }));
+}
+
+// Keyboard shortcuts in the editor: Ctrl/Cmd + B, I, U, Shift+X (strikethrough), Shift+> and Shift+< (size)
+function getRichTextShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+    const key = event.key.toLowerCase();
+    if (!event.shiftKey) return { b: 'bold', i: 'italic', u: 'underline' }[key] || null;
+    return { x: 'strikethrough', '>': 'grow', '.': 'grow', '<': 'shrink', ',': 'shrink' }[key] || null;
+}
+
+// Whether the control keeps the Text editor open when it takes the focus, so it can format the selection
+function isRichTextControl(element) {
+    return [textColorPicker, fontSizeInput, lineHeightInput, letterSpacingInput].includes(element);
+}
+
+// Show the style at the start of the editor's selection in the text formatting controls
+function syncToolbarToRichText(editor) {
+    const textShape = editor.richTextShape;
+    const { start, end } = getRichTextSelection(editor);
+    const position = start === end ? Math.max(0, start - 1) : start; // A caret takes the style of the character before it
+    let offset = 0;
+    const { runs } = readRichTextEditor(editor);
+    const run = runs.find(candidate => {
+        offset += candidate.text.length;
+        return offset > position;
+    }) || runs[runs.length - 1] || {};
+    const style = textShape.getRunStyle(run);
+    boldButton.classList.toggle('selected', style.fontWeight === 'bold');
+    italicButton.classList.toggle('selected', style.fontStyle === 'italic');
+    underlineButton.classList.toggle('selected', hasTextDecoration(style.textDecoration, 'underline'));
+    strikethroughButton.classList.toggle('selected', hasTextDecoration(style.textDecoration, 'line-through'));
+    textColorPicker.value = style.color;
+    fontSizeInput.value = Math.round(style.fontSize * 10) / 10;
+    lineHeightInput.value = textShape.lineHeight;
+    letterSpacingInput.value = Math.round(textShape.letterSpacing * 10) / 10;
+}
+
+// Keep the toolbar in step with the editor's selection, and remember the selection for the color picker
+document.addEventListener('selectionchange', () => {
+    if (activeTextInput && activeTextInput.richTextShape && document.activeElement === activeTextInput) {
+        activeTextInput.savedSelection = getRichTextSelection(activeTextInput);
+        syncToolbarToRichText(activeTextInput);
+    }
+});
+
+// Function to start text input for EDITING an existing shape
+// (a Text shape, or the label of a Rectangle/Circle/Diamond/Line)
+function startTextInputForEditing(shapeToEdit) {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, false);
+    }
+    editingTextShape = shapeToEdit;
+
+    // NEW: Text shapes keep their formatting in the rich text editor. It works on a copy,
+    // so spacing changed while editing is only kept if the edit is.
+    if (shapeToEdit instanceof Text) {
+        openRichTextEditor(shapeToEdit.clone());
+        console.log('Rich text editor created for editing, focusing shortly.');
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.style.position = 'absolute';
+
+    // --- Calculate Screen Position from Shape's Canvas Position ---
+    // A line's label covers only part of the line, a swimlane's title its header
+    const shapeBounds = shapeToEdit.getLabelBounds ? shapeToEdit.getLabelBounds() : shapeToEdit.getBounds();
+    const canvasX = shapeBounds.x;
+    const canvasY = shapeBounds.y;
+    const screenX = canvasX * zoomLevel + offsetX;
+    const screenY = canvasY * zoomLevel + offsetY;
+    const canvasRect = canvas.getBoundingClientRect();
+    textarea.style.left = `${canvasRect.left + window.scrollX + screenX}px`;
+    textarea.style.top = `${canvasRect.top + window.scrollY + screenY}px`;
+    // -----------------------------------------------------------
+
+    // Apply styling from the shape, but use fixed font size for input element
+    textarea.style.font = `${shapeToEdit.fontStyle} ${shapeToEdit.fontWeight} 16px ${shapeToEdit.fontFamily}`; // Fixed 16px size
+    textarea.style.color = shapeToEdit.textColor;
+    textarea.style.textAlign = shapeToEdit.textAlign;
+    textarea.style.lineHeight = String(shapeToEdit.lineHeight);
+    // Cover the shape so the label wraps roughly as it will on the canvas
+    textarea.style.width = `${shapeBounds.width * zoomLevel}px`;
+    textarea.style.minHeight = `${shapeBounds.height * zoomLevel}px`;
+
+    textarea.style.border = '1px dashed blue';
+    textarea.style.padding = '2px';
+    textarea.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+    textarea.style.zIndex = '100';
+    textarea.style.resize = 'none';
+    textarea.style.overflow = 'hidden';
+    textarea.style.whiteSpace = 'pre-wrap';
+
+    textarea.value = shapeToEdit.text;
+
+    textarea.addEventListener('input', () => {
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+    });
+
+    textarea.addEventListener('blur', handleInputBlur);
+    textarea.addEventListener('keydown', handleInputKeyDown);
+    textarea.addEventListener('click', (e) => {
+        e.stopPropagation();
+        textarea.focus();
+    });
+
+    document.body.appendChild(textarea);
+    activeTextInput = textarea;
+
+    setTimeout(() => {
+        textarea.focus();
+        textarea.select();
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+    }, 0);
+    console.log('Textarea element created for editing, focusing shortly.');
+}
+
+
+function handleInputBlur(event) {
+    // NEW: The Text editor stays open while its formatting controls are used
+    if (event.target.richTextShape && isRichTextControl(event.relatedTarget)) {
+        console.log('Text input lent focus to a formatting control.');
+        return;
+    }
+    console.log('Text input blurred.');
+    finishTextInput(event.target, true);
+}
+
+function handleInputKeyDown(event) {
+    console.log(`Key pressed in input: ${event.key}`);
+    event.stopPropagation();
+
+    if (event.key === 'Escape') {
+        console.log('Escape pressed in textarea.');
+        finishTextInput(event.target, false);
+        return;
+    }
+    // NEW: Formatting shortcuts and plain line breaks in the Text editor
+    const editor = event.currentTarget;
+    if (editor.richTextShape) {
+        const command = getRichTextShortcut(event);
+        if (command) {
+            event.preventDefault();
+            formatRichTextSelection(editor, richTextCommands[command]);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            document.execCommand('insertLineBreak');
+        }
+    }
+}
+
+function finishTextInput(inputElement, addShape) {
+    if (!inputElement || inputElement !== activeTextInput) return;
+
+    // NEW: The Text editor holds formatted runs, a label's textarea plain text
+    const richText = inputElement.richTextShape ? readRichTextEditor(inputElement) : null;
+    const text = richText ? richText.runs.map(run => run.text).join('') : inputElement.value;
+
+    if (editingTextShape && !(editingTextShape instanceof Text)) {
+        // NEW: Editing a shape's label; the shape never left the canvas
+        if (addShape && text !== editingTextShape.text) {
+            editingTextShape.text = text.trim() ? text : ''; // Clearing the text removes the label
+            console.log('Updated shape label:', editingTextShape);
+            saveState();
+        }
+        selectShapes([editingTextShape]);
+        editingTextShape = null;
+    } else if (editingTextShape) {
+        if (addShape && text.trim()) {
+            editingTextShape.lineHeight = inputElement.richTextShape.lineHeight;
+            editingTextShape.letterSpacing = inputElement.richTextShape.letterSpacing;
+            editingTextShape.setRuns(richText.runs);
+            shapes.push(editingTextShape); // Add back the updated shape
+            console.log('Updated text shape:', editingTextShape);
+            selectShapes([editingTextShape]);
+            saveState();
+        } else {
+            shapes.push(editingTextShape); // Add back the original shape
+            console.log('Text edit cancelled or cleared, restoring original shape.');
+            selectShapes([editingTextShape]);
+        }
+        editingTextShape = null;
+    } else { // Creating new shape
+        if (addShape && text.trim()) {
+            // NEW: The editor's Text shape already sits where the text was started
+            const newTextShape = inputElement.richTextShape;
+            newTextShape.setRuns(richText.runs);
+            shapes.push(newTextShape);
+            placeInContainers([newTextShape]);
+            console.log('Added new text shape:', newTextShape);
+            selectShapes([newTextShape]);
+            saveState();
+        } else {
+            console.log('New text input cancelled or empty.');
+        }
+    }
+
+    // Cleanup
+    inputElement.removeEventListener('blur', handleInputBlur);
+    inputElement.removeEventListener('keydown', handleInputKeyDown);
+    // Remove other listeners if necessary
+    document.body.removeChild(inputElement);
+    activeTextInput = null;
+    editingTextShape = null;
+    console.log('Text input element removed.');
+    redrawCanvas();
+}
+
+// --- END: Functions for Inline Text Input ---
+
+
+// --- Double-click listener for editing text ---
+canvas.addEventListener('dblclick', (e) => {
+    if (activeTextInput) return;
+
+    const mousePos = getMousePos(e); // Use canvas coords
+    const mouseX = mousePos.x;
+    const mouseY = mousePos.y;
+
+    // NEW: Double-clicking a line adds a waypoint there, or removes the one under the mouse
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        if (shape.isInside(mouseX, mouseY)) {
+            // NEW: Double-clicking a line's label edits it
+            if (shape instanceof Line && shape.isOnLabel(mouseX, mouseY)) {
+                console.log('Editing label of line:', shape);
+                selectShapes([shape]);
+                startTextInputForEditing(shape);
+                redrawCanvas();
+                return;
+            }
+            if (shape instanceof Line && shape.toggleWaypointAt(mouseX, mouseY)) {
+                selectShapes([shape]);
+                redrawCanvas();
+                saveState();
+                console.log('Toggled waypoint on line:', shape);
+                return;
+            }
+            // NEW: Double-clicking a closed shape edits its label
+            if (supportsLabel(shape)) {
+                console.log('Editing label of shape:', shape);
+                selectShapes([shape]);
+                startTextInputForEditing(shape);
+                redrawCanvas(); // Hide the label while it is being edited
+                return;
+            }
+            break; // Only the topmost shape counts
+        }
+    }
+
+    let clickedTextShape = null;
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        // Use canvas coords for isInside check
+        if (shape instanceof Text && shape.isInside(mouseX, mouseY)) {
+            clickedTextShape = shape;
+            break;
+        }
+    }
+
+    if (clickedTextShape) {
+        console.log('Editing text shape:', clickedTextShape);
+        const index = shapes.indexOf(clickedTextShape);
+        if (index > -1) {
+            shapes.splice(index, 1);
+        }
+        selectShapes([]);
+        redrawCanvas(); // Redraw without the shape
+
+        // Start editing using the shape's canvas coords
+        startTextInputForEditing(clickedTextShape);
+    }
+});
+// ----------------------------------------------------
+
+canvas.addEventListener('mousemove', (e) => {
+    // NEW: Panning moves the view by the mouse movement in screen pixels
+    if (isPanning) {
+        offsetX = panStart.offsetX + (e.clientX - panStart.x);
+        offsetY = panStart.offsetY + (e.clientY - panStart.y);
+        redrawCanvas();
+        return;
+    }
+    if (isSpaceDown) { // Hand tool: no hover feedback from shapes
+        canvas.style.cursor = 'grab';
+        currentCursor = 'grab';
+        return;
+    }
+
+    const mousePos = getMousePos(e); // Use transformed coordinates
+    const mouseX = mousePos.x;
+    const mouseY = mousePos.y;
+    let cursor = currentCursor;
+
+    // --- Initiate Dragging (using canvas coords) ---
+    if (selectedShapes.length > 0 && !isDragging && !isResizing && !isRotating && !isEditingLine && initialMouseDownPos) {
+        const dx = mouseX - initialMouseDownPos.x; // Difference in canvas coords
+        const dy = mouseY - initialMouseDownPos.y;
+        // Drag threshold check still uses pixel distance, but calculated in canvas space
+        if (Math.sqrt(dx * dx + dy * dy) * zoomLevel > dragThreshold) { // Scale threshold check
+            isDragging = true;
+            pendingSingleSelect = null; // It's a drag, not a click
+            console.log('Drag threshold exceeded, starting drag.');
+            // Offsets are measured from the mousedown position so the threshold distance isn't lost
+            const moving = withContainerMembers(selectedShapes); // Containers carry their contents
+            dragStart = {
+                x: initialMouseDownPos.x,
+                y: initialMouseDownPos.y,
+                bounds: getSelectionBounds(selectedShapes),
+                targets: getGuideTargets(moving),
+                shapes: moving,
+                movedX: 0,
+                movedY: 0
+            };
+            moving.forEach(shape => {
+                if (shape instanceof Connector) {
+                    // Ends bound to shapes left behind would snap straight back
+                    shape.detachEndsNotIn(moving);
+                }
+            });
+            cursor = getCursorForHandle(null); // 'grabbing'
+        }
+    }
+
+    // --- Handle Line Route Editing (using canvas coords) ---
+    if (isEditingLine && selectedShape && activeHandle) {
+        selectedShape.moveHandle(activeHandle, mouseX, mouseY);
+        cursor = getCursorForHandle(activeHandle);
+        redrawCanvas();
+
+    // --- Handle Rotation (using canvas coords) ---
+    } else if (isRotating && selectedShape && shapeCenter) {
+        const dx = mouseX - shapeCenter.x; // Use canvas coords
+        const dy = mouseY - shapeCenter.y;
+        const currentAngle = Math.atan2(dy, dx);
+        let angleDelta = currentAngle - rotationStartAngle;
+        if (selectedShape instanceof Group) {
+            selectedShape.rotateAbout(shapeCenter.x, shapeCenter.y, angleDelta); // Turns every child
+        } else {
+            selectedShape.angle += angleDelta;
+        }
+        rotationStartAngle = currentAngle;
+        cursor = getCursorForHandle('rotation');
+        redrawCanvas();
+
+    // --- NEW: Handle Multi-selection Resizing (using canvas coords) ---
+    } else if (isResizing && multiResizeStart && activeHandle) {
+        const snapped = snapPoint(mouseX, mouseY, e);
+        resizeSelection(activeHandle, snapped.x, snapped.y);
+        cursor = getCursorForHandle(activeHandle);
+        redrawCanvas();
+
+    // --- Handle Resizing (using canvas coords) ---
+    } else if (isResizing && selectedShape && activeHandle && selectedShape.initialCenter) {
+        const shape = selectedShape;
+        const minSize = handleSize * 2; // Min size in canvas units
+
+        // Initial state is already in canvas units
+        const initialX = shape.initialX;
+        const initialY = shape.initialY;
+        const initialW = shape.initialWidth;
+        const initialH = shape.initialHeight;
+        const initialAngle = shape.initialAngle;
+        const initialCenter = shape.initialCenter;
+        const initialRadius = shape.initialRadius;
+
+        // Transform current canvas mouse coords into the shape's initial unrotated frame
+        const cosInitial = Math.cos(-initialAngle);
+        const sinInitial = Math.sin(-initialAngle);
+        const snapped = snapPoint(mouseX, mouseY, e); // Dragged edges land on the grid
+        const localX = snapped.x - initialCenter.x; // Use current canvas mouse coords
+        const localY = snapped.y - initialCenter.y;
+        const transformedMouseX = localX * cosInitial - localY * sinInitial + initialCenter.x;
+        const transformedMouseY = localX * sinInitial + localY * cosInitial + initialCenter.y;
+
+        // Calculate new dimensions/position based on handle (using transformed canvas coords)
+        let newX = initialX;
+        let newY = initialY;
+        let newW = initialW;
+        let newH = initialH;
+
+        // Calculations remain the same, but use canvas units
+        switch (activeHandle) {
+            case 'top-left':
+                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
+                newH = Math.max(minSize, initialY + initialH - transformedMouseY);
+                newX = initialX + initialW - newW;
+                newY = initialY + initialH - newH;
+                break;
+            case 'top-center':
+                 newH = Math.max(minSize, initialY + initialH - transformedMouseY);
+                 newY = initialY + initialH - newH;
+                 break;
+            case 'top-right':
+                newW = Math.max(minSize, transformedMouseX - initialX);
+                newH = Math.max(minSize, initialY + initialH - transformedMouseY);
+                newY = initialY + initialH - newH;
+                 break;
+            case 'middle-left':
+                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
+                newX = initialX + initialW - newW;
+                 break;
+            case 'middle-right':
+                newW = Math.max(minSize, transformedMouseX - initialX);
+                break;
+            case 'bottom-left':
+                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
+                newH = Math.max(minSize, transformedMouseY - initialY);
+                newX = initialX + initialW - newW;
+                 break;
+            case 'bottom-center':
+                 newH = Math.max(minSize, transformedMouseY - initialY);
+                break;
+            case 'bottom-right':
+                 newW = Math.max(minSize, transformedMouseX - initialX);
+                 newH = Math.max(minSize, transformedMouseY - initialY);
+                break;
+        }
+
+        shape.width = newW;
+        shape.height = newH;
+        shape.x = newX;
+        shape.y = newY;
+
+        if (shape instanceof Text) {
+            const initialFontSize = shape.initialFontSize || 16;
+            const minFontSize = 4;
+            if (initialH > 0) {
+                 let calculatedFontSize = initialFontSize * (newH / initialH);
+                 shape.scaleFontSize(Math.max(minFontSize, calculatedFontSize) / shape.fontSize); // NEW: Runs with their own size scale too
+            }
+            shape.updateDimensions();
+            shape.x = newX; // Re-apply position after dimension update
+            shape.y = newY;
+        }
+
+        if (shape instanceof Circle) {
+            const dx = transformedMouseX - initialCenter.x;
+            const dy = transformedMouseY - initialCenter.y;
+            let newRadius = Math.sqrt(dx * dx + dy * dy);
+            // Simplified radius adjustment for demo
+            if (activeHandle.includes('left') || activeHandle.includes('right')) newRadius = Math.abs(dx);
+            else if (activeHandle.includes('top') || activeHandle.includes('bottom')) newRadius = Math.abs(dy);
+            else newRadius = (Math.abs(dx) + Math.abs(dy)) / 2;
+
+            shape.radius = Math.max(minSize / 2, newRadius);
+            shape.x = initialCenter.x; // Keep center fixed
+            shape.y = initialCenter.y;
+        }
+
+        cursor = getCursorForHandle(activeHandle);
+        redrawCanvas();
+
+    // --- Handle Shape Dragging (using canvas coords) ---
+    } else if (isDragging && selectedShapes.length > 0) {
+        // Snap the total mouse movement, then move every selected shape by what's left of it
+        const snapped = snapDragOffset(dragStart.bounds, dragStart.targets,
+            mouseX - dragStart.x, mouseY - dragStart.y, e); // Use canvas coords
+        const dx = snapped.dx - dragStart.movedX;
+        const dy = snapped.dy - dragStart.movedY;
+        dragStart.shapes.forEach(shape => shape.moveBy(dx, dy)); // Lines also move their waypoints
+        dragStart.movedX = snapped.dx;
+        dragStart.movedY = snapped.dy;
+        activeGuides = snapped.guides;
+        dropContainers = getDropContainers(dragStart.shapes);
+        cursor = getCursorForHandle(null); // 'grabbing'
+        redrawCanvas();
+
+    // --- NEW: Handle Marquee Selection (using canvas coords) ---
+    } else if (isMarqueeSelecting) {
+        marqueeEnd = { x: mouseX, y: mouseY };
+        cursor = 'crosshair';
+        redrawCanvas();
+
+    // --- Handle Line Drawing Preview (using canvas coords) ---
+    } else if (isDrawingLine) {
+        const snappedEnd = snapPoint(mouseX, mouseY, e); // Use canvas coords
+        tempLineEndX = snappedEnd.x;
+        tempLineEndY = snappedEnd.y;
+        tempLineEndBinding = findAnchorAt(mouseX, mouseY);
+        // Don't bind both ends to the same shape's same anchor
+        if (tempLineEndBinding && lineStartBinding &&
+            tempLineEndBinding.shape === lineStartBinding.shape && tempLineEndBinding.anchor === lineStartBinding.anchor) {
+            tempLineEndBinding = null;
+        }
+        if (tempLineEndBinding) {
+            tempLineEndX = tempLineEndBinding.point.x;
+            tempLineEndY = tempLineEndBinding.point.y;
+        }
+        cursor = 'crosshair';
+        redrawCanvas();
+
+    // --- Handle Hovering (check using canvas coords) ---
+    } else {
+        const handleType = getHandleAt(mouseX, mouseY); // Check handles in canvas coords
+        if (handleType) {
+            cursor = getCursorForHandle(handleType);
+        } else {
+             let hoveredShape = null;
+             for (let i = shapes.length - 1; i >= 0; i--) {
+                 // Use canvas coords for isInside check
+                 if (shapes[i].isInside(mouseX, mouseY)) {
+                     hoveredShape = shapes[i];
+                     break;
+                 }
+             }
+             if (hoveredShape) {
+                 cursor = 'move';
+             } else {
+                 // Set cursor based on active tool
+                 if (isDrawingTool(currentShapeType)) cursor = 'crosshair';
+                 else if (currentShapeType === 'text') cursor = 'text';
+                 else cursor = 'default';
+             }
+        }
+    }
+
+    // Update canvas cursor style if it changed
+    if (cursor !== currentCursor) {
+         canvas.style.cursor = cursor;
+         currentCursor = cursor;
+     }
+}); // End mousemove listener
+
+canvas.addEventListener('mouseup', (e) => {
+    if (isPanning) { // NEW: Finish panning
+        isPanning = false;
+        panStart = null;
+        canvas.style.cursor = isSpaceDown ? 'grab' : 'default';
+        currentCursor = canvas.style.cursor;
+        return;
+    }
+    const mousePos = getMousePos(e); // Use canvas coords
+    const mouseX = mousePos.x;
+    const mouseY = mousePos.y;
+    let stateChanged = false;
+
+    if (isEditingLine) {
+        console.log('Finished editing line:', selectedShape);
+        // A plain line whose end was dropped on a shape becomes a connector bound there
+        if (selectedShape && !(selectedShape instanceof Connector) &&
+            (activeHandle === 'line-start' || activeHandle === 'line-end')) {
+            const endX = activeHandle === 'line-start' ? selectedShape.x1 : selectedShape.x2;
+            const endY = activeHandle === 'line-start' ? selectedShape.y1 : selectedShape.y2;
+            if (findAnchorAt(endX, endY)) {
+                const connector = Connector.fromLine(selectedShape);
+                connector.moveHandle(activeHandle, endX, endY); // Binds to the anchor
+                shapes[shapes.indexOf(selectedShape)] = connector;
+                selectShapes([connector]);
+            }
+        }
+        isEditingLine = false;
+        activeHandle = null;
+        // A click on a handle that didn't move the route leaves nothing to undo
+        stateChanged = JSON.stringify(selectedShape) !== lineEditStart;
+        lineEditStart = null;
+    }
+
+    if (isRotating) {
+        console.log('Finished rotating shape:', selectedShape);
+        isRotating = false;
+        activeHandle = null;
+        shapeCenter = null;
+        stateChanged = true;
+        // Cursor updated by mousemove hover logic
+    }
+
+    if (isResizing) {
+        console.log('Finished resizing shape:', selectedShape);
+        isResizing = false;
+        activeHandle = null;
+        multiResizeStart = null;
+        if (selectedShape) { // Clean up initial state properties
+            delete selectedShape.initialX; delete selectedShape.initialY;
+            delete selectedShape.initialWidth; delete selectedShape.initialHeight;
+            delete selectedShape.initialRadius; delete selectedShape.initialAngle;
+            delete selectedShape.initialCenter; delete selectedShape.initialMouseX;
+            delete selectedShape.initialMouseY; delete selectedShape.initialFontSize;
+        }
+        // NEW: Swimlanes can't end up smaller than their contents, and may now sit in (or grow) another one
+        getSelectedOfType(Swimlane).forEach(growContainer);
+        placeInContainers(selectedShapes);
+        syncToolbarToSelection(); // NEW: Resizing text changes its font size
+        stateChanged = true;
+        // Cursor updated by mousemove hover logic
+    }
+
+    // NEW: Finish a rubber-band selection: select every shape entirely inside the rectangle
+    if (isMarqueeSelecting) {
+        isMarqueeSelecting = false;
+        const marquee = getBoundsOfPoints([marqueeStart, marqueeEnd]);
+        const enclosed = shapes.filter(shape => {
+            const bounds = shape.getBounds();
+            return bounds.x >= marquee.x && bounds.y >= marquee.y &&
+                   bounds.x + bounds.width <= marquee.x + marquee.width &&
+                   bounds.y + bounds.height <= marquee.y + marquee.height;
+        });
+        if (marqueeAdditive) {
+            selectShapes([...selectedShapes, ...enclosed.filter(shape => !isShapeSelected(shape))]);
+        } else {
+            selectShapes(enclosed);
+        }
+        console.log(`Marquee selected ${enclosed.length} shape(s).`);
+        redrawCanvas();
+    }
+
+    // NEW: A click (no drag) on a member of a multi-selection selects just that shape
+    if (pendingSingleSelect && !isDragging) {
+        selectShapes([pendingSingleSelect]);
+        redrawCanvas();
+    }
+    pendingSingleSelect = null;
+
+    if (isDragging) {
+        console.log('Finished dragging shape:', selectedShape);
+        placeInContainers(dragStart.shapes); // NEW: Dropping shapes in a swimlane puts them in it
+        isDragging = false;
+        dragStart = null;
+        activeGuides = [];
+        dropContainers = [];
+        stateChanged = true;
+        // Cursor updated by mousemove hover logic
+    }
+
+    // Finalize line drawing (using canvas coords)
+    if (isDrawingLine) {
+        // Use final canvas coords from mouseup event (snapped to an anchor if one was found)
+        const snappedEnd = snapPoint(mouseX, mouseY, e);
+        let endX = snappedEnd.x;
+        let endY = snappedEnd.y;
+        if (tempLineEndBinding) {
+            endX = tempLineEndBinding.point.x;
+            endY = tempLineEndBinding.point.y;
+        }
+        if (lineStartX !== endX || lineStartY !== endY) {
+            let newLine;
+            if (lineStartBinding || tempLineEndBinding) {
+                // At least one end landed on a shape: create a connector that stays attached
+                const toBinding = (found) => found ? { shapeId: found.shape.id, anchor: found.anchor } : null;
+                newLine = new Connector(lineStartX, lineStartY, endX, endY, currentStrokeColor,
+                    toBinding(lineStartBinding), toBinding(tempLineEndBinding));
+            } else {
+                newLine = new Line(lineStartX, lineStartY, endX, endY, currentStrokeColor);
+            }
+            applyCurrentStroke(newLine);
+            newLine.startMarker = currentStartMarker;
+            newLine.endMarker = currentEndMarker;
+            newLine.markerSize = currentMarkerSize;
+            newLine.setRouting(currentRouting);
+            shapes.push(newLine);
+            placeInContainers([newLine]);
+            console.log('Added new line:', newLine);
+            stateChanged = true;
+        } else {
+             console.log('Line drawing cancelled (start=end).');
+         }
+        isDrawingLine = false;
+        lineStartBinding = null;
+        tempLineEndBinding = null;
+        if (stateChanged) {
+            setActiveTool('default'); // Reset tool only if line was added
+        }
+        // Redraw handled below
+    }
+
+    if (stateChanged) {
+        saveState();
+    }
+
+    initialMouseDownPos = null; // Clear initial position (before the fake mousemove below, which would restart the drag)
+
+    // Redraw needed if state changed or selection exists, to show final state/cursor
+    if (stateChanged || selectedShapes.length > 0) {
+        redrawCanvas();
+        // Trigger a fake mousemove to update cursor based on final position/state
+        const moveEvent = new MouseEvent('mousemove', {
+            clientX: e.clientX,
+            clientY: e.clientY
+        });
+        canvas.dispatchEvent(moveEvent);
+    }
+}); // End mouseup listener
+
+canvas.addEventListener('mouseleave', (e) => {
+    let needsRedraw = false;
+    if (isDrawingLine) {
+        isDrawingLine = false;
+        console.log('Line drawing cancelled (mouse left canvas)');
+        needsRedraw = true;
+    }
+    if (isDragging) {
+        isDragging = false;
+        dragStart = null;
+        activeGuides = [];
+        dropContainers = [];
+        console.log('Dragging stopped (mouse left canvas)');
+        // Optionally snap back or save state here if needed
+        needsRedraw = true;
+    }
+    if (isResizing) {
+        isResizing = false; activeHandle = null;
+        console.log('Resizing cancelled (mouse left canvas)');
+        // Optionally revert changes or save state here if needed
+        needsRedraw = true;
+    }
+    if (isRotating) {
+        isRotating = false; activeHandle = null; shapeCenter = null;
+        console.log('Rotation cancelled (mouse left canvas)');
+        // Optionally revert changes or save state here if needed
+        needsRedraw = true;
+    }
+    if (isEditingLine) {
+        isEditingLine = false; activeHandle = null;
+        console.log('Line editing stopped (mouse left canvas)');
+        needsRedraw = true;
+    }
+    if (isMarqueeSelecting) {
+        isMarqueeSelecting = false;
+        console.log('Marquee selection cancelled (mouse left canvas)');
+        needsRedraw = true;
+    }
+    multiResizeStart = null;
+    pendingSingleSelect = null;
+    if (isPanning) {
+        isPanning = false;
+        panStart = null;
+        console.log('Panning stopped (mouse left canvas)');
+    }
+
+    if (needsRedraw) {
+        redrawCanvas();
+    }
+    // Reset cursor to default if nothing else is active
+    if (!isDragging && !isResizing && !isRotating && !isDrawingLine && !isEditingLine) {
+        canvas.style.cursor = 'default';
+        currentCursor = 'default';
+    }
+    initialMouseDownPos = null;
+}); // End mouseleave listener
+
+
+// --- NEW: Wheel Event Listener for Zooming ---
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault(); // Prevent page scrolling
+
+    const rect = canvas.getBoundingClientRect();
+    // Mouse position relative to canvas element (screen coords)
+    const mouseXScreen = e.clientX - rect.left;
+    const mouseYScreen = e.clientY - rect.top;
+
+    // Calculate mouse position in canvas coordinates BEFORE zoom
+    const mouseXCanvasBefore = (mouseXScreen - offsetX) / zoomLevel;
+    const mouseYCanvasBefore = (mouseYScreen - offsetY) / zoomLevel;
+
+    // Calculate new zoom level
+    const zoomFactor = 1.1;
+    let newZoomLevel;
+    if (e.deltaY < 0) { // Zoom in
+        newZoomLevel = zoomLevel * zoomFactor;
+    } else { // Zoom out
+        newZoomLevel = zoomLevel / zoomFactor;
     }
+    // Clamp zoom level
+    newZoomLevel = Math.max(minZoom, Math.min(maxZoom, newZoomLevel));
+
+    // Calculate the change in offset to keep the point under the mouse stationary
+    offsetX = mouseXScreen - mouseXCanvasBefore * newZoomLevel;
+    offsetY = mouseYScreen - mouseYCanvasBefore * newZoomLevel;
+
+    // Update zoom level
+    zoomLevel = newZoomLevel;
+
+    console.log(`Zoom: ${zoomLevel.toFixed(2)}, Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`);
+    redrawCanvas();
+
+    // Update cursor based on new zoom/position
+    const moveEvent = new MouseEvent('mousemove', { clientX: e.clientX, clientY: e.clientY });
+    canvas.dispatchEvent(moveEvent);
+});
+// -----------------------------------------
+
+
+// --- NEW: Export Options Dialogs ---
+// Show a modal options dialog; resolves with readOptions() if the user pressed its confirm button
+// (Export, Apply...), or null if cancelled
+function showExportDialog(dialogElement, readOptions) {
+    return new Promise(resolve => {
+        dialogElement.returnValue = '';
+        dialogElement.addEventListener('close', () => {
+            resolve(dialogElement.returnValue && dialogElement.returnValue !== 'cancel' ? readOptions() : null);
+        }, { once: true });
+        dialogElement.showModal();
+    });
 }
-// --- END: Image Tool Selection ---
 
+// Resolves with { pageSize, landscape, margin, layout } or null
+function showPdfExportDialog() {
+    return showExportDialog(document.getElementById('pdfExportDialog'), () => {
+        const margin = parseFloat(document.getElementById('pdfMarginInput').value);
+        return {
+            pageSize: document.getElementById('pdfPageSizeSelector').value,
+            landscape: document.getElementById('pdfOrientationSelector').value === 'landscape',
+            margin: isNaN(margin) ? 10 : Math.max(0, margin), // Millimetres, all four sides
+            layout: document.querySelector('input[name="pdfLayout"]:checked').value // 'fit' or 'tile'
+        };
+    });
+}
 
-// --- NEW: Functions for Inline Text Input ---
+// Resolves with { area, padding, background, scale } or null.
+// background is a color, or null for transparent.
+function showImageExportDialog() {
+    const selectionOption = document.getElementById('imageExportSelectionOption');
+    selectionOption.disabled = selectedShapes.length === 0;
+    if (selectionOption.disabled) {
+        document.querySelector('input[name="imageExportArea"][value="diagram"]').checked = true;
+    }
+    return showExportDialog(document.getElementById('imageExportDialog'), () => {
+        const padding = parseFloat(document.getElementById('imageExportPaddingInput').value);
+        const solid = document.getElementById('imageExportBackgroundSelector').value === 'solid';
+        return {
+            area: document.querySelector('input[name="imageExportArea"]:checked').value, // 'diagram' or 'selection'
+            padding: isNaN(padding) ? 20 : Math.max(0, padding),
+            background: solid ? document.getElementById('imageExportBackgroundColor').value : null,
+            scale: parseInt(document.getElementById('imageExportScaleSelector').value, 10) || 1
+        };
+    });
+}
+// ---------------------------------------
+
+// --- NEW: Offscreen Rendering for Image Export ---
+// Draw the shapes onto a new canvas covering their bounds plus padding, at the given scale,
+// independent of the view's zoom and pan. Selection handles and previews are not drawn.
+function renderShapesToCanvas(list, padding, scale, background) {
+    updateConnectors(); // Make sure connector ends match their shapes
+    const area = getExportArea(list, padding);
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.max(1, Math.ceil(area.width * scale));
+    exportCanvas.height = Math.max(1, Math.ceil(area.height * scale));
+    const exportCtx = exportCanvas.getContext('2d');
+    if (background) {
+        exportCtx.fillStyle = background;
+        exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+    }
+    exportCtx.scale(scale, scale);
+    exportCtx.translate(-area.x, -area.y);
+    list.forEach(shape => shape.draw(exportCtx));
+    return exportCanvas;
+}
+// ---------------------------------------
+
+
+// --- NEW: View Commands (View menu) ---
+// Zoom and pan so the given canvas-space box fills the view, zooming in no further than maxZoomLevel
+function zoomToBounds(bounds, maxZoomLevel = maxZoom) {
+    if (!bounds) return;
+    const availableWidth = Math.max(canvas.width - zoomFitPadding * 2, 1);
+    const availableHeight = Math.max(canvas.height - zoomFitPadding * 2, 1);
+    const fitZoom = Math.min(availableWidth / Math.max(bounds.width, 1), availableHeight / Math.max(bounds.height, 1));
+    zoomLevel = Math.max(minZoom, Math.min(maxZoomLevel, fitZoom));
+    offsetX = canvas.width / 2 - (bounds.x + bounds.width / 2) * zoomLevel;
+    offsetY = canvas.height / 2 - (bounds.y + bounds.height / 2) * zoomLevel;
+    console.log(`Zoom: ${zoomLevel.toFixed(2)}, Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`);
+    redrawCanvas();
+}
 
-// Takes CANVAS coordinates (x, y)
-function startTextInput(canvasX, canvasY) {
-    if (activeTextInput) {
-        finishTextInput(activeTextInput, false);
+function zoomToFit() {
+    const contentBounds = getSelectionBounds(shapes);
+    if (!contentBounds) {
+        console.log('Nothing on the canvas to zoom to.');
+        return;
     }
+    zoomToBounds(contentBounds);
+}
 
-    const textarea = document.createElement('textarea');
-    textarea.style.position = 'absolute';
+function zoomToSelection() {
+    const selectionBounds = getSelectionBounds();
+    if (!selectionBounds) {
+        console.log('Nothing selected to zoom to.');
+        return;
+    }
+    zoomToBounds(selectionBounds);
+}
 
-    // --- Calculate Screen Position from Canvas Position ---
-    // Transform canvas coords (canvasX, canvasY) to screen coords
-    const screenX = canvasX * zoomLevel + offsetX;
-    const screenY = canvasY * zoomLevel + offsetY;
+// Back to 100%, keeping the point in the middle of the view where it is
+function zoomActualSize() {
+    const centerX = (canvas.width / 2 - offsetX) / zoomLevel;
+    const centerY = (canvas.height / 2 - offsetY) / zoomLevel;
+    zoomLevel = 1.0;
+    offsetX = canvas.width / 2 - centerX;
+    offsetY = canvas.height / 2 - centerY;
+    console.log(`Zoom: ${zoomLevel.toFixed(2)}, Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`);
+    redrawCanvas();
+}
+// ---------------------------------------
 
-    // Position relative to the viewport, considering canvas position and scroll
-    const canvasRect = canvas.getBoundingClientRect();
-    textarea.style.left = `${canvasRect.left + window.scrollX + screenX}px`;
-    textarea.style.top = `${canvasRect.top + window.scrollY + screenY}px`;
-    // -----------------------------------------------------
 
-    // Basic styling - Adjust font size based on zoom? Maybe not for input.
-    textarea.style.border = '1px solid #ccc';
-    textarea.style.padding = '2px';
-    // Use a fixed font size for the input element itself, regardless of canvas zoom
-    textarea.style.font = `16px Arial`; // Use a fixed size for the input element
-    textarea.style.backgroundColor = 'white';
-    textarea.style.zIndex = '100';
-    textarea.style.resize = 'none';
-    textarea.style.overflow = 'hidden';
-    textarea.style.whiteSpace = 'pre';
-    textarea.rows = 1;
+// --- NEW: Canvas Size and Scrollbars ---
+// The canvas always fills its container; the drawing itself is unbounded
+function resizeCanvasToContainer() {
+    canvas.width = canvasContainer.clientWidth;
+    canvas.height = canvasContainer.clientHeight;
+    redrawCanvas();
+}
+window.addEventListener('resize', resizeCanvasToContainer);
+
+// Area the scrollbars cover, in canvas coords: the content plus a margin, and always the visible area
+function getScrollExtent() {
+    const view = {
+        x: -offsetX / zoomLevel,
+        y: -offsetY / zoomLevel,
+        width: canvas.width / zoomLevel,
+        height: canvas.height / zoomLevel
+    };
+    const points = [{ x: view.x, y: view.y }, { x: view.x + view.width, y: view.y + view.height }];
+    const contentBounds = getSelectionBounds(shapes);
+    if (contentBounds) {
+        const margin = scrollMargin / zoomLevel;
+        points.push({ x: contentBounds.x - margin, y: contentBounds.y - margin },
+                    { x: contentBounds.x + contentBounds.width + margin, y: contentBounds.y + contentBounds.height + margin });
+    }
+    return { view: view, extent: getBoundsOfPoints(points) };
+}
 
-    textarea.addEventListener('input', () => {
-        textarea.style.height = 'auto';
-        textarea.style.height = `${textarea.scrollHeight}px`;
-    });
+// Size and place the scrollbar thumbs to show where the view is within the extent
+function updateScrollbars() {
+    if (!horizontalScrollbar || !verticalScrollbar) return;
+    const { view, extent } = getScrollExtent();
+    const horizontalThumb = horizontalScrollbar.firstElementChild;
+    const verticalThumb = verticalScrollbar.firstElementChild;
+    horizontalThumb.style.left = `${(view.x - extent.x) / extent.width * 100}%`;
+    horizontalThumb.style.width = `${view.width / extent.width * 100}%`;
+    verticalThumb.style.top = `${(view.y - extent.y) / extent.height * 100}%`;
+    verticalThumb.style.height = `${view.height / extent.height * 100}%`;
+    // Nothing to scroll to: hide the bar
+    horizontalScrollbar.classList.toggle('hidden', view.width >= extent.width - 0.5);
+    verticalScrollbar.classList.toggle('hidden', view.height >= extent.height - 0.5);
+}
 
-    textarea.addEventListener('blur', handleInputBlur);
-    textarea.addEventListener('keydown', handleInputKeyDown);
-    textarea.addEventListener('click', (e) => {
+// Dragging a thumb scrolls by the matching share of the extent; clicking the track pages towards the click
+function setupScrollbar(scrollbar, horizontal) {
+    if (!scrollbar) return;
+    const thumb = scrollbar.firstElementChild;
+
+    thumb.addEventListener('mousedown', (e) => {
+        e.preventDefault();
         e.stopPropagation();
-        textarea.focus();
+        const { extent } = getScrollExtent(); // Fixed for the whole drag so the thumb tracks the mouse
+        const trackLength = horizontal ? scrollbar.clientWidth : scrollbar.clientHeight;
+        const startMouse = horizontal ? e.clientX : e.clientY;
+        const startOffset = horizontal ? offsetX : offsetY;
+        const extentLength = horizontal ? extent.width : extent.height;
+
+        const onMove = (moveEvent) => {
+            const mouseDelta = (horizontal ? moveEvent.clientX : moveEvent.clientY) - startMouse;
+            const newOffset = startOffset - mouseDelta / trackLength * extentLength * zoomLevel;
+            if (horizontal) offsetX = newOffset; else offsetY = newOffset;
+            redrawCanvas();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
     });
 
-    document.body.appendChild(textarea);
-    activeTextInput = textarea;
-    setTimeout(() => {
-        textarea.focus();
-        textarea.style.height = 'auto';
-        textarea.style.height = `${textarea.scrollHeight}px`;
-    }, 0);
-    console.log('Textarea element created, focusing shortly.');
+    scrollbar.addEventListener('mousedown', (e) => {
+        if (e.target !== scrollbar) return; // Thumb drags are handled above
+        const thumbRect = thumb.getBoundingClientRect();
+        const before = horizontal ? e.clientX < thumbRect.left : e.clientY < thumbRect.top;
+        const page = (horizontal ? canvas.width : canvas.height) * 0.9;
+        if (horizontal) offsetX += before ? page : -page; else offsetY += before ? page : -page;
+        redrawCanvas();
+    });
 }
+setupScrollbar(horizontalScrollbar, true);
+setupScrollbar(verticalScrollbar, false);
+// ---------------------------------------
 
-// Function to start text input for EDITING an existing shape
-function startTextInputForEditing(shapeToEdit) {
+
+// Delete selected shape / Handle global keys
+document.addEventListener('keydown', (e) => {
+    if (activeTextInput) { // Let text input handle keys
+        return;
+    }
+
+    // NEW: Keys typed into toolbar or dialog controls are not canvas shortcuts
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+        return;
+    }
+
+    // --- NEW: Hold space to pan ---
+    if (e.code === 'Space' && e.target.tagName !== 'BUTTON') {
+        e.preventDefault(); // Don't scroll or press a focused button
+        if (!isSpaceDown) {
+            isSpaceDown = true;
+            canvas.style.cursor = isPanning ? 'grabbing' : 'grab';
+            currentCursor = canvas.style.cursor;
+        }
+        return;
+    }
+
+    // --- Shape Deletion ---
+    if ((e.key === 'Delete' || e.key === 'Backspace') && selectedShapes.length > 0) {
+        console.log('Deleting shapes:', selectedShapes);
+        deleteSelectedShapes();
+        // Cancel any ongoing actions associated with the deleted shape
+        isDrawingLine = false;
+        isResizing = false; activeHandle = null;
+        isRotating = false; shapeCenter = null;
+        isEditingLine = false;
+        isDragging = false; // Also cancel dragging if somehow active
+        activeGuides = [];
+
+        redrawCanvas();
+        saveState();
+    }
+
+    // --- Potential Future Keybindings (e.g., panning with arrow keys) ---
+    // if (e.key === 'ArrowUp') { offsetX += 10; redrawCanvas(); }
+    // etc.
+}); // End keydown listener
+
+// NEW: Releasing space ends the hand tool
+document.addEventListener('keyup', (e) => {
+    if (e.code === 'Space' && isSpaceDown) {
+        isSpaceDown = false;
+        if (!isPanning) {
+            canvas.style.cursor = 'default'; // Next mousemove picks the right cursor again
+            currentCursor = 'default';
+        }
+    }
+});
+
+// A key released while the window is in the background never arrives
+window.addEventListener('blur', () => {
+    isSpaceDown = false;
+});
+
+
+// --- Listen for Menu Actions via Preload ---
+if (window.electronAPI) {
+  window.electronAPI.onUndo(() => {
+    console.log('Undo action triggered from menu.');
+    undo();
+  });
+  window.electronAPI.onRedo(() => {
+    console.log('Redo action triggered from menu.');
+    redo();
+  });
+
+  // --- NEW: Listen for Save Request from Menu ---
+  window.electronAPI.onRequestSave(async () => {
+    console.log('Export as Image... action triggered from menu.');
+    if (shapes.length === 0) {
+      alert('There is nothing to export.');
+      return;
+    }
+    const options = await showImageExportDialog();
+    if (!options) {
+      console.log('Image export cancelled.');
+      return;
+    }
+
+    try {
+      // Show save dialog, allowing PNG and JPG
+      const result = await window.electronAPI.saveDialog({
+        name: 'Images', extensions: ['png', 'jpg']
+      });
+
+      if (!result.canceled && result.filePath) {
+        const filePath = result.filePath;
+        let format = 'png'; // Default to png
+
+        // Determine format from file extension
+        if (filePath.toLowerCase().endsWith('.jpg') || filePath.toLowerCase().endsWith('.jpeg')) {
+          format = 'jpeg'; // Canvas uses 'jpeg'
+        }
+
+        // JPG has no transparency, so it always gets a background (white unless one was chosen)
+        const background = options.background || (format === 'jpeg' ? '#ffffff' : null);
+        const list = options.area === 'selection' ? shapes.filter(shape => isShapeSelected(shape)) : shapes;
+        const exportCanvas = renderShapesToCanvas(list, options.padding, options.scale, background);
+        const dataURL = format === 'jpeg'
+          ? exportCanvas.toDataURL('image/jpeg', 0.9) // Quality 0.9
+          : exportCanvas.toDataURL('image/png');
+        if (dataURL === 'data:,') { // The browser gives up on canvases that are too large
+          alert('The image is too large to export. Try a lower resolution.');
+          return;
+        }
+
+        // Write file via main process
+        const writeResult = await window.electronAPI.writeFile(filePath, dataURL);
+        if (writeResult.success) {
+          console.log(`Canvas saved successfully to ${filePath}`);
+          // Optionally show a success message to the user
+        } else {
+          console.error('Failed to save canvas:', writeResult.error);
+          // Optionally show an error message to the user
+          alert(`Error saving file: ${writeResult.error}`); // Simple alert for error
+        }
+      } else {
+        console.log('Save dialog cancelled.');
+      }
+    } catch (error) {
+      console.error('Error during save process:', error);
+      alert(`An error occurred: ${error.message}`); // Simple alert for error
+    }
+  });
+
+  // --- NEW: Listen for SVG Export Request from Menu ---
+  window.electronAPI.onRequestExportSvg(async () => {
+    console.log('Export as SVG... action triggered from menu.');
+    try {
+      const result = await window.electronAPI.saveDialog({ name: 'SVG Image', extensions: ['svg'] });
+      if (result.canceled || !result.filePath) {
+        console.log('SVG export cancelled.');
+        return;
+      }
+      // SVG is text, so it goes through the text write path rather than the data URL one
+      const writeResult = await window.electronAPI.writeTextFile(result.filePath, diagramToSVG());
+      if (writeResult.success) {
+        console.log(`SVG exported successfully to ${result.filePath}`);
+      } else {
+        console.error('Failed to export SVG:', writeResult.error);
+        alert(`Error saving file: ${writeResult.error}`);
+      }
+    } catch (error) {
+      console.error('Error during SVG export:', error);
+      alert(`An error occurred: ${error.message}`);
+    }
+  });
+
+  // --- NEW: Listen for PDF Export Request from Menu ---
+  // The renderer picks the options and supplies the SVG; the main process lays out the pages and prints them
+  window.electronAPI.onRequestExportPdf(async () => {
+    console.log('Export as PDF... action triggered from menu.');
+    if (shapes.length === 0) {
+      alert('There is nothing to export.');
+      return;
+    }
+    const options = await showPdfExportDialog();
+    if (!options) {
+      console.log('PDF export cancelled.');
+      return;
+    }
+    try {
+      const result = await window.electronAPI.saveDialog({ name: 'PDF Document', extensions: ['pdf'] });
+      if (result.canceled || !result.filePath) {
+        console.log('PDF export cancelled.');
+        return;
+      }
+      const area = getExportArea();
+      const exportResult = await window.electronAPI.exportPdf(result.filePath, diagramToSVG(),
+        { width: area.width, height: area.height }, options);
+      if (exportResult.success) {
+        console.log(`PDF exported successfully to ${result.filePath} (${exportResult.pageCount} page(s))`);
+      } else {
+        console.error('Failed to export PDF:', exportResult.error);
+        alert(`Error saving file: ${exportResult.error}`);
+      }
+    } catch (error) {
+      console.error('Error during PDF export:', error);
+      alert(`An error occurred: ${error.message}`);
+    }
+  });
+  // ---------------------------------------------
+
+  // --- NEW: Auto Layout from the Arrange Menu ---
+  window.electronAPI.onAutoLayout(async () => {
+    console.log('Auto Layout... action triggered from menu.');
     if (activeTextInput) {
-        finishTextInput(activeTextInput, false);
+      finishTextInput(activeTextInput, true);
     }
-    editingTextShape = shapeToEdit;
+    if (shapes.filter(shape => !(shape instanceof Line)).length < 2) {
+      alert('Auto layout needs at least two shapes.');
+      return;
+    }
+    const options = await showAutoLayoutDialog();
+    if (!options) {
+      console.log('Auto layout cancelled.');
+      return;
+    }
+    autoLayout(options);
+  });
+  // ---------------------------------------------
 
-    const textarea = document.createElement('textarea');
-    textarea.style.position = 'absolute';
+  // --- NEW: Align/Distribute/Match Size from the Arrange Menu ---
+  window.electronAPI.onAlignShapes((edge) => {
+    console.log(`Align ${edge} action triggered from menu.`);
+    alignSelection(edge);
+  });
+  window.electronAPI.onDistributeShapes((axis) => {
+    console.log(`Distribute ${axis} action triggered from menu.`);
+    distributeSelection(axis);
+  });
+  window.electronAPI.onMatchShapeSize((dimension) => {
+    console.log(`Match ${dimension} action triggered from menu.`);
+    matchSelectionSize(dimension);
+  });
+  // ---------------------------------------------
 
-    // --- Calculate Screen Position from Shape's Canvas Position ---
-    const canvasX = shapeToEdit.x;
-    const canvasY = shapeToEdit.y;
-    const screenX = canvasX * zoomLevel + offsetX;
-    const screenY = canvasY * zoomLevel + offsetY;
-    const canvasRect = canvas.getBoundingClientRect();
-    textarea.style.left = `${canvasRect.left + window.scrollX + screenX}px`;
-    textarea.style.top = `${canvasRect.top + window.scrollY + screenY}px`;
-    // -----------------------------------------------------------
+  // --- NEW: Save Selection as Stencil from the Edit Menu ---
+  window.electronAPI.onSaveStencil(() => {
+    console.log('Save Selection as Stencil... action triggered from menu.');
+    saveSelectionAsStencil();
+  });
+  // ---------------------------------------------
 
-    // Apply styling from the shape, but use fixed font size for input element
-    textarea.style.font = `${shapeToEdit.fontStyle} ${shapeToEdit.fontWeight} 16px ${shapeToEdit.fontFamily}`; // Fixed 16px size
-    textarea.style.color = shapeToEdit.color;
-    textarea.style.textAlign = shapeToEdit.textAlign;
+  // --- NEW: Mermaid Import/Export from Menu ---
+  window.electronAPI.onRequestImportMermaid(async () => {
+    console.log('Import Mermaid... action triggered from menu.');
+    try {
+      const result = await window.electronAPI.openFileDialog([MERMAID_FILE_FILTER]);
+      if (!result.success) {
+        console.log('Mermaid import cancelled or failed:', result.error);
+        return;
+      }
+      const graph = parseMermaid(result.content);
+      addImportedShapes(buildShapesFromGraph(graph));
+      console.log(`Imported ${graph.nodes.length} nodes and ${graph.edges.length} links from ${result.filePath}`);
+    } catch (error) {
+      console.error('Error importing Mermaid:', error);
+      alert(`Could not import the Mermaid file: ${error.message}`);
+    }
+  });
+  window.electronAPI.onRequestExportMermaid(async () => {
+    console.log('Export Mermaid... action triggered from menu.');
+    if (!flattenShapes(shapes).some(shape => supportsLabel(shape) && !(shape instanceof Swimlane))) {
+      alert('There are no rectangles, circles, diamonds or flowchart shapes to export.');
+      return;
+    }
+    try {
+      const result = await window.electronAPI.saveDialog({ name: 'Mermaid Flowchart', extensions: ['mmd'] });
+      if (result.canceled || !result.filePath) {
+        console.log('Mermaid export cancelled.');
+        return;
+      }
+      const writeResult = await window.electronAPI.writeTextFile(result.filePath, diagramToMermaid());
+      if (writeResult.success) {
+        console.log(`Mermaid exported successfully to ${result.filePath}`);
+      } else {
+        console.error('Failed to export Mermaid:', writeResult.error);
+        alert(`Error saving file: ${writeResult.error}`);
+      }
+    } catch (error) {
+      console.error('Error during Mermaid export:', error);
+      alert(`An error occurred: ${error.message}`);
+    }
+  });
+  // ---------------------------------------------
 
-    textarea.style.border = '1px dashed blue';
-    textarea.style.padding = '2px';
-    textarea.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
-    textarea.style.zIndex = '100';
-    textarea.style.resize = 'none';
-    textarea.style.overflow = 'hidden';
-    textarea.style.whiteSpace = 'pre';
+  // --- NEW: Graphviz DOT Import/Export from Menu ---
+  window.electronAPI.onRequestImportDot(async () => {
+    console.log('Import DOT... action triggered from menu.');
+    try {
+      const result = await window.electronAPI.openFileDialog([DOT_FILE_FILTER]);
+      if (!result.success) {
+        console.log('DOT import cancelled or failed:', result.error);
+        return;
+      }
+      const graph = parseDot(result.content);
+      addImportedShapes(buildShapesFromGraph(graph));
+      console.log(`Imported ${graph.nodes.length} nodes and ${graph.edges.length} edges from ${result.filePath}`);
+    } catch (error) {
+      console.error('Error importing DOT:', error);
+      alert(`Could not import the DOT file: ${error.message}`);
+    }
+  });
+  window.electronAPI.onRequestExportDot(async () => {
+    console.log('Export DOT... action triggered from menu.');
+    if (!flattenShapes(shapes).some(shape => supportsLabel(shape) || shape instanceof Text)) {
+      alert('There are no shapes or text to export.');
+      return;
+    }
+    try {
+      const result = await window.electronAPI.saveDialog(DOT_FILE_FILTER);
+      if (result.canceled || !result.filePath) {
+        console.log('DOT export cancelled.');
+        return;
+      }
+      const writeResult = await window.electronAPI.writeTextFile(result.filePath, diagramToDot());
+      if (writeResult.success) {
+        console.log(`DOT exported successfully to ${result.filePath}`);
+      } else {
+        console.error('Failed to export DOT:', writeResult.error);
+        alert(`Error saving file: ${writeResult.error}`);
+      }
+    } catch (error) {
+      console.error('Error during DOT export:', error);
+      alert(`An error occurred: ${error.message}`);
+    }
+  });
+  // ---------------------------------------------
 
-    textarea.value = shapeToEdit.text;
+  // --- NEW: draw.io Import from Menu ---
+  window.electronAPI.onRequestImportDrawio(async () => {
+    console.log('Import draw.io... action triggered from menu.');
+    try {
+      const result = await window.electronAPI.openFileDialog([DRAWIO_FILE_FILTER]);
+      if (!result.success) {
+        console.log('draw.io import cancelled or failed:', result.error);
+        return;
+      }
+      const imported = await parseDrawio(result.content);
+      if (imported.shapes.length === 0) {
+        alert('The diagram has nothing this app can import.');
+        return;
+      }
+      addImportedShapes(imported.shapes);
+      console.log(`Imported ${imported.shapes.length} shapes from ${result.filePath}`);
+      if (imported.warnings.length > 0) {
+        alert(`Some of the diagram could not be imported exactly:\n\n${imported.warnings.join('\n')}`);
+      }
+    } catch (error) {
+      console.error('Error importing draw.io diagram:', error);
+      alert(`Could not import the draw.io file: ${error.message}`);
+    }
+  });
+  // ---------------------------------------------
 
-    textarea.addEventListener('input', () => {
-        textarea.style.height = 'auto';
-        textarea.style.height = `${textarea.scrollHeight}px`;
-    });
+  // --- NEW: Native document Open/Save/Save As from Menu ---
+  window.electronAPI.onRequestOpen(() => {
+    console.log('Open... action triggered from menu.');
+    openDiagram();
+  });
+  window.electronAPI.onRequestSaveDiagram(() => {
+    console.log('Save action triggered from menu.');
+    saveDiagram(false);
+  });
+  window.electronAPI.onRequestSaveDiagramAs(() => {
+    console.log('Save As... action triggered from menu.');
+    saveDiagram(true);
+  });
+  // ---------------------------------------------------
 
-    textarea.addEventListener('blur', handleInputBlur);
-    textarea.addEventListener('keydown', handleInputKeyDown);
-    textarea.addEventListener('click', (e) => {
-        e.stopPropagation();
-        textarea.focus();
-    });
+} else {
+  console.error('electronAPI not found on window. Check preload script.');
+}
 
-    document.body.appendChild(textarea);
-    activeTextInput = textarea;
 
-    setTimeout(() => {
-        textarea.focus();
-        textarea.select();
-        textarea.style.height = 'auto';
-        textarea.style.height = `${textarea.scrollHeight}px`;
-    }, 0);
-    console.log('Textarea element created for editing, focusing shortly.');
+// --- NEW: Native Document (.flow) Open/Save ---
+function serializeDiagram() {
+    return JSON.stringify({
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        shapes: shapes
+    }, null, 2);
 }
 
-
-function handleInputBlur(event) {
-    console.log('Text input blurred.');
-    finishTextInput(event.target, true);
+// Returns the shapes stored in a .flow document, throwing if the text isn't one we can read
+function deserializeDiagram(json) {
+    const documentData = JSON.parse(json);
+    if (!documentData || documentData.format !== DOCUMENT_FORMAT || !Array.isArray(documentData.shapes)) {
+        throw new Error('The file is not a flowchart document.');
+    }
+    if (documentData.version > DOCUMENT_VERSION) {
+        throw new Error(`The document was saved by a newer version of the app (format version ${documentData.version}).`);
+    }
+    return documentData.shapes.map(deserializeShape);
 }
 
-function handleInputKeyDown(event) {
-    console.log(`Key pressed in input: ${event.key}`);
-    event.stopPropagation();
+function updateWindowTitle() {
+    const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
+    document.title = `${fileName} - Flowchart App`;
+}
 
-    if (event.key === 'Escape') {
-        console.log('Escape pressed in textarea.');
-        finishTextInput(event.target, false);
+async function openDiagram() {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, true);
     }
-}
+    try {
+        const result = await window.electronAPI.openFileDialog([DIAGRAM_FILE_FILTER]);
+        if (!result.success) {
+            console.log('Open cancelled or failed:', result.error);
+            return;
+        }
 
-function finishTextInput(inputElement, addShape) {
-    if (!inputElement || inputElement !== activeTextInput) return;
+        shapes = deserializeDiagram(result.content);
+        selectShapes([]);
+        // A freshly opened document starts a new undo history
+        history = [];
+        redoStack = [];
+        historyIndex = -1;
+        saveState();
 
-    const text = inputElement.value;
+        currentFilePath = result.filePath;
+        updateWindowTitle();
+        redrawCanvas();
+        console.log(`Opened ${result.filePath} with ${shapes.length} shapes.`);
+    } catch (error) {
+        console.error('Error opening diagram:', error);
+        alert(`Error opening file: ${error.message}`);
+    }
+}
 
-    if (editingTextShape) {
-        if (addShape && text.trim()) {
-            editingTextShape.text = text;
-            editingTextShape.updateDimensions();
-            shapes.push(editingTextShape); // Add back the updated shape
-            console.log('Updated text shape:', editingTextShape);
-            selectedShape = editingTextShape;
-            saveState();
-        } else {
-            shapes.push(editingTextShape); // Add back the original shape
-            console.log('Text edit cancelled or cleared, restoring original shape.');
-            selectedShape = editingTextShape;
+// Writes the diagram to the current file, asking for a path first when needed
+async function saveDiagram(forceSaveAs) {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, true);
+    }
+    try {
+        let filePath = currentFilePath;
+        if (forceSaveAs || !filePath) {
+            const result = await window.electronAPI.saveDialog(DIAGRAM_FILE_FILTER);
+            if (result.canceled || !result.filePath) {
+                console.log('Save dialog cancelled.');
+                return;
+            }
+            filePath = result.filePath;
+            if (!filePath.toLowerCase().endsWith('.flow')) {
+                filePath += '.flow';
+            }
         }
-        editingTextShape = null;
-    } else { // Creating new shape
-        if (addShape && text.trim()) {
-            // --- Get Canvas Position from Input Element's Screen Position ---
-            const canvasRect = canvas.getBoundingClientRect();
-            const inputRect = inputElement.getBoundingClientRect();
-            // Screen position relative to canvas top-left
-            const screenX = inputRect.left - canvasRect.left;
-            const screenY = inputRect.top - canvasRect.top;
-            // Transform back to canvas coordinates
-            const canvasX = (screenX - offsetX) / zoomLevel;
-            const canvasY = (screenY - offsetY) / zoomLevel;
-            // -------------------------------------------------------------
-
-            const newTextShape = new Text(canvasX, canvasY, text, currentColor || '#000000');
-            shapes.push(newTextShape);
-            console.log('Added new text shape:', newTextShape);
-            selectedShape = newTextShape;
-            saveState();
+
+        const writeResult = await window.electronAPI.writeTextFile(filePath, serializeDiagram());
+        if (writeResult.success) {
+            currentFilePath = filePath;
+            updateWindowTitle();
+            console.log(`Diagram saved successfully to ${filePath}`);
         } else {
-            console.log('New text input cancelled or empty.');
+            console.error('Failed to save diagram:', writeResult.error);
+            alert(`Error saving file: ${writeResult.error}`);
         }
+    } catch (error) {
+        console.error('Error during diagram save:', error);
+        alert(`An error occurred: ${error.message}`);
     }
-
-    // Cleanup
-    inputElement.removeEventListener('blur', handleInputBlur);
-    inputElement.removeEventListener('keydown', handleInputKeyDown);
-    // Remove other listeners if necessary
-    document.body.removeChild(inputElement);
-    activeTextInput = null;
-    editingTextShape = null;
-    console.log('Textarea element removed.');
-    redrawCanvas();
 }
-
-// --- END: Functions for Inline Text Input ---
-
-
-// --- Double-click listener for editing text ---
-canvas.addEventListener('dblclick', (e) => {
-    if (activeTextInput) return;
-
-    const mousePos = getMousePos(e); // Use canvas coords
-    const mouseX = mousePos.x;
-    const mouseY = mousePos.y;
-
-    let clickedTextShape = null;
-    for (let i = shapes.length - 1; i >= 0; i--) {
-        const shape = shapes[i];
-        // Use canvas coords for isInside check
-        if (shape instanceof Text && shape.isInside(mouseX, mouseY)) {
-            clickedTextShape = shape;
-            break;
+// ---------------------------------------------
+
+
+// --- NEW: Layered Graph Layout ---
+// Sugiyama-style layout of a directed graph, the way flowcharts are usually drawn: cycles are
+// broken, nodes are put in layers along the flow, the layers are reordered to reduce edge
+// crossings, and each node is pulled toward the nodes it is connected to.
+// nodes: [{ id, width, height }], edges: [{ from, to }] (node ids).
+// Options: direction ('TB', 'BT', 'LR' or 'RL'), layerGap, nodeGap.
+// Returns { centers, routes }: centers maps each node id to the node's center; routes maps the
+// index of every edge spanning more than one layer to the points it should pass through.
+const layoutLayerGap = 60; // Default space between consecutive layers
+const layoutNodeGap = 40; // Default space between neighbouring nodes in a layer
+const layoutOrderingPasses = 24; // Down/up sweeps tried while reducing crossings
+const layoutPlacementPasses = 4; // Down/up sweeps pulling nodes toward their neighbours
+
+function layoutLayeredGraph(nodes, edges, options = {}) {
+    const direction = options.direction || 'TB';
+    const layerGap = options.layerGap ?? layoutLayerGap;
+    const nodeGap = options.nodeGap ?? layoutNodeGap;
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+    // Self-loops and edges to unknown nodes don't take part
+    const links = [];
+    edges.forEach((edge, index) => {
+        if (edge.from !== edge.to && nodesById.has(edge.from) && nodesById.has(edge.to)) {
+            links.push({ index: index, from: edge.from, to: edge.to, reversed: false });
         }
-    }
+    });
 
-    if (clickedTextShape) {
-        console.log('Editing text shape:', clickedTextShape);
-        const index = shapes.indexOf(clickedTextShape);
-        if (index > -1) {
-            shapes.splice(index, 1);
-        }
-        selectedShape = null;
-        redrawCanvas(); // Redraw without the shape
+    // 1. Break cycles: a link back to a node still on the DFS stack is turned around
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    links.forEach(link => outgoing.get(link.from).push(link));
+    const hasIncoming = new Set(links.map(link => link.to));
+    const visitState = new Map(); // 'active' while on the DFS stack, then 'done'
+    const visit = (id) => {
+        visitState.set(id, 'active');
+        outgoing.get(id).forEach(link => {
+            if (visitState.get(link.to) === 'active') {
+                link.reversed = true;
+            } else if (!visitState.has(link.to)) {
+                visit(link.to);
+            }
+        });
+        visitState.set(id, 'done');
+    };
+    // Start from the sources so the links turned around are the ones closing a loop
+    nodes.filter(node => !hasIncoming.has(node.id)).forEach(node => visit(node.id));
+    nodes.forEach(node => {
+        if (!visitState.has(node.id)) visit(node.id);
+    });
+    links.forEach(link => {
+        if (link.reversed) [link.from, link.to] = [link.to, link.from];
+    });
 
-        // Start editing using the shape's canvas coords
-        startTextInputForEditing(clickedTextShape);
+    // 2. Longest-path layering: every node sits one layer below its lowest predecessor
+    const layerOf = new Map(nodes.map(node => [node.id, 0]));
+    const remainingIncoming = new Map(nodes.map(node => [node.id, 0]));
+    links.forEach(link => remainingIncoming.set(link.to, remainingIncoming.get(link.to) + 1));
+    const successors = new Map(nodes.map(node => [node.id, []]));
+    links.forEach(link => successors.get(link.from).push(link.to));
+    const queue = nodes.filter(node => remainingIncoming.get(node.id) === 0).map(node => node.id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        successors.get(id).forEach(next => {
+            layerOf.set(next, Math.max(layerOf.get(next), layerOf.get(id) + 1));
+            remainingIncoming.set(next, remainingIncoming.get(next) - 1);
+            if (remainingIncoming.get(next) === 0) queue.push(next);
+        });
     }
-});
-// ----------------------------------------------------
 
-canvas.addEventListener('mousemove', (e) => {
-    const mousePos = getMousePos(e); // Use transformed coordinates
-    const mouseX = mousePos.x;
-    const mouseY = mousePos.y;
-    let cursor = currentCursor;
+    // 3. Links spanning several layers get a zero-size dummy vertex in each layer they cross,
+    // so every link joins neighbouring layers and the crossings can be counted
+    const layerCount = nodes.length ? Math.max(...layerOf.values()) + 1 : 0;
+    const layers = Array.from({ length: layerCount }, () => []);
+    const vertexOf = new Map();
+    nodes.forEach(node => {
+        const vertex = { node: node, width: node.width, height: node.height, layer: layerOf.get(node.id), up: [], down: [] };
+        vertexOf.set(node.id, vertex);
+        layers[vertex.layer].push(vertex);
+    });
+    links.forEach(link => {
+        let previous = vertexOf.get(link.from);
+        const target = vertexOf.get(link.to);
+        link.dummies = [];
+        for (let layer = previous.layer + 1; layer < target.layer; layer++) {
+            const dummy = { node: null, width: 0, height: 0, layer: layer, up: [previous], down: [] };
+            previous.down.push(dummy);
+            layers[layer].push(dummy);
+            link.dummies.push(dummy);
+            previous = dummy;
+        }
+        previous.down.push(target);
+        target.up.push(previous);
+    });
 
-    // --- Initiate Dragging (using canvas coords) ---
-    if (selectedShape && !isDragging && !isResizing && !isRotating && initialMouseDownPos) {
-        const dx = mouseX - initialMouseDownPos.x; // Difference in canvas coords
-        const dy = mouseY - initialMouseDownPos.y;
-        // Drag threshold check still uses pixel distance, but calculated in canvas space
-        if (Math.sqrt(dx * dx + dy * dy) * zoomLevel > dragThreshold) { // Scale threshold check
-            isDragging = true;
-            console.log('Drag threshold exceeded, starting drag.');
-            // Calculate drag offset using canvas coords
-            dragOffsetX = mouseX - selectedShape.x;
-            dragOffsetY = mouseY - selectedShape.y;
-            if (selectedShape instanceof Circle) {
-                dragOffsetX = mouseX - selectedShape.x;
-                dragOffsetY = mouseY - selectedShape.y;
-            }
-            if (selectedShape instanceof Line) {
-                dragOffsetX = mouseX - selectedShape.x1;
-                dragOffsetY = mouseY - selectedShape.y1;
-                selectedShape.dx = selectedShape.x2 - selectedShape.x1;
-                selectedShape.dy = selectedShape.y2 - selectedShape.y1;
+    // 4. Crossing minimization: sort each layer by the average position of its neighbours in the
+    // layer above (sweeping down) or below (sweeping up), keeping the best ordering seen
+    const position = new Map();
+    const updatePositions = (layer) => layer.forEach((vertex, i) => position.set(vertex, i));
+    layers.forEach(updatePositions);
+    const reorder = (layer, neighboursOf) => {
+        const weight = new Map(layer.map(vertex => {
+            const neighbours = neighboursOf(vertex);
+            const sum = neighbours.reduce((total, neighbour) => total + position.get(neighbour), 0);
+            return [vertex, neighbours.length ? sum / neighbours.length : position.get(vertex)];
+        }));
+        layer.sort((a, b) => weight.get(a) - weight.get(b));
+        updatePositions(layer);
+    };
+    const countCrossings = () => {
+        let crossings = 0;
+        layers.forEach(layer => {
+            const segments = [];
+            layer.forEach(vertex => vertex.down.forEach(below => segments.push([position.get(vertex), position.get(below)])));
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    if ((segments[i][0] - segments[j][0]) * (segments[i][1] - segments[j][1]) < 0) crossings++;
+                }
             }
-            cursor = getCursorForHandle(null); // 'grabbing'
+        });
+        return crossings;
+    };
+    let bestOrder = layers.map(layer => layer.slice());
+    let bestCrossings = countCrossings();
+    for (let pass = 0; pass < layoutOrderingPasses && bestCrossings > 0; pass++) {
+        if (pass % 2 === 0) {
+            for (let i = 1; i < layers.length; i++) reorder(layers[i], vertex => vertex.up);
+        } else {
+            for (let i = layers.length - 2; i >= 0; i--) reorder(layers[i], vertex => vertex.down);
+        }
+        const crossings = countCrossings();
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            bestOrder = layers.map(layer => layer.slice());
         }
     }
+    bestOrder.forEach((layer, i) => {
+        layers[i] = layer;
+        updatePositions(layer);
+    });
 
-    // --- Handle Rotation (using canvas coords) ---
-    if (isRotating && selectedShape && shapeCenter) {
-        const dx = mouseX - shapeCenter.x; // Use canvas coords
-        const dy = mouseY - shapeCenter.y;
-        const currentAngle = Math.atan2(dy, dx);
-        let angleDelta = currentAngle - rotationStartAngle;
-        selectedShape.angle += angleDelta;
-        rotationStartAngle = currentAngle;
-        cursor = getCursorForHandle('rotation');
-        redrawCanvas();
-
-    // --- Handle Resizing (using canvas coords) ---
-    } else if (isResizing && selectedShape && activeHandle && selectedShape.initialCenter) {
-        const shape = selectedShape;
-        const minSize = handleSize * 2; // Min size in canvas units
+    // 5. Coordinates. Across the flow: start packed, then pull each vertex toward the average of
+    // its neighbours while keeping the order and the gaps. Along the flow: one band per layer.
+    const horizontal = direction === 'LR' || direction === 'RL';
+    const flowSign = direction === 'BT' || direction === 'RL' ? -1 : 1;
+    const across = (vertex) => horizontal ? vertex.height : vertex.width;
+    const along = (vertex) => horizontal ? vertex.width : vertex.height;
+    const separation = (a, b) => (across(a) + across(b)) / 2 + (a.node && b.node ? nodeGap : nodeGap / 2);
+    const crossPosition = new Map();
+    layers.forEach(layer => {
+        let offset = 0;
+        layer.forEach((vertex, i) => {
+            if (i > 0) offset += separation(layer[i - 1], vertex);
+            crossPosition.set(vertex, offset);
+        });
+        layer.forEach(vertex => crossPosition.set(vertex, crossPosition.get(vertex) - offset / 2));
+    });
+    const place = (layer, neighboursOf) => {
+        const desired = layer.map(vertex => {
+            const neighbours = neighboursOf(vertex);
+            const sum = neighbours.reduce((total, neighbour) => total + crossPosition.get(neighbour), 0);
+            return neighbours.length ? sum / neighbours.length : crossPosition.get(vertex);
+        });
+        const placed = [];
+        layer.forEach((vertex, i) => {
+            placed.push(i === 0 ? desired[0] : Math.max(desired[i], placed[i - 1] + separation(layer[i - 1], vertex)));
+        });
+        // Keeping the gaps pushes vertices one way; shift back so that on average they sit where they want
+        const drift = desired.reduce((total, value, i) => total + value - placed[i], 0) / layer.length;
+        layer.forEach((vertex, i) => crossPosition.set(vertex, placed[i] + drift));
+    };
+    for (let pass = 0; pass < layoutPlacementPasses; pass++) {
+        for (let i = 1; i < layers.length; i++) place(layers[i], vertex => vertex.up);
+        for (let i = layers.length - 2; i >= 0; i--) place(layers[i], vertex => vertex.down);
+    }
+    let crossMin = Infinity;
+    let crossMax = -Infinity;
+    crossPosition.forEach((value, vertex) => {
+        crossMin = Math.min(crossMin, value - across(vertex) / 2);
+        crossMax = Math.max(crossMax, value + across(vertex) / 2);
+    });
+    const crossCenter = nodes.length ? (crossMin + crossMax) / 2 : 0;
+
+    const flowCenters = [];
+    let flowOffset = 0;
+    layers.forEach(layer => {
+        const depth = Math.max(0, ...layer.map(along));
+        flowCenters.push(flowOffset + depth / 2);
+        flowOffset += depth + layerGap;
+    });
+    const pointOf = (vertex) => {
+        const flow = flowSign * flowCenters[vertex.layer];
+        const cross = crossPosition.get(vertex) - crossCenter;
+        return horizontal ? { x: flow, y: cross } : { x: cross, y: flow };
+    };
+
+    const centers = new Map(nodes.map(node => [node.id, pointOf(vertexOf.get(node.id))]));
+    const routes = new Map();
+    links.forEach(link => {
+        if (link.dummies.length === 0) return;
+        const points = link.dummies.map(pointOf);
+        routes.set(link.index, link.reversed ? points.reverse() : points);
+    });
+    return { centers: centers, routes: routes };
+}
+// ---------------------------------------------
+
+// --- NEW: Auto Layout (Arrange menu) ---
+// Lays out the selection (or the whole diagram when fewer than two shapes are selected) with
+// layoutLayeredGraph(): shapes are the nodes, connectors bound at both ends are the edges.
+// Groups move as one node. Everything else stays where it is.
+
+// Resolves with { direction, layerGap, nodeGap } or null
+function showAutoLayoutDialog() {
+    return showExportDialog(document.getElementById('autoLayoutDialog'), () => {
+        const layerGap = parseFloat(document.getElementById('layoutLayerGapInput').value);
+        const nodeGap = parseFloat(document.getElementById('layoutNodeGapInput').value);
+        return {
+            direction: document.getElementById('layoutDirectionSelector').value, // 'TB' or 'LR'
+            layerGap: isNaN(layerGap) ? layoutLayerGap : Math.max(0, layerGap),
+            nodeGap: isNaN(nodeGap) ? layoutNodeGap : Math.max(0, nodeGap)
+        };
+    });
+}
 
-        // Initial state is already in canvas units
-        const initialX = shape.initialX;
-        const initialY = shape.initialY;
-        const initialW = shape.initialWidth;
-        const initialH = shape.initialHeight;
-        const initialAngle = shape.initialAngle;
-        const initialCenter = shape.initialCenter;
-        const initialRadius = shape.initialRadius;
+function autoLayout(options) {
+    const scope = selectedShapes.length > 1 ? selectedShapes : shapes;
+    // Shapes inside a swimlane in the layout keep their place in it and move along with it
+    const nodes = getOutermostShapes(scope.filter(shape => !(shape instanceof Line)));
+    if (nodes.length < 2) {
+        console.log('Auto layout needs at least two shapes.');
+        return;
+    }
+    // A connector bound to a shape inside a group or swimlane connects the group or swimlane
+    const nodeOf = new Map();
+    nodes.forEach(node => flattenShapes(withContainerMembers([node])).forEach(shape => nodeOf.set(shape.id, node)));
+    const connectors = flattenShapes(shapes).filter(shape => shape instanceof Connector &&
+        shape.startBinding && shape.endBinding &&
+        nodeOf.has(shape.startBinding.shapeId) && nodeOf.has(shape.endBinding.shapeId) &&
+        nodeOf.get(shape.startBinding.shapeId) !== nodeOf.get(shape.endBinding.shapeId));
+    const edges = connectors.map(connector => ({
+        from: nodeOf.get(connector.startBinding.shapeId).id,
+        to: nodeOf.get(connector.endBinding.shapeId).id
+    }));
+    const layoutNodes = nodes.map(node => {
+        const bounds = node.getBounds();
+        return { id: node.id, width: bounds.width, height: bounds.height };
+    });
+    const layout = layoutLayeredGraph(layoutNodes, edges, options);
+
+    // Keep the top-left corner of the laid-out shapes where it was
+    const before = getSelectionBounds(nodes);
+    const corners = [];
+    layoutNodes.forEach(node => {
+        const center = layout.centers.get(node.id);
+        corners.push({ x: center.x - node.width / 2, y: center.y - node.height / 2 },
+                     { x: center.x + node.width / 2, y: center.y + node.height / 2 });
+    });
+    const after = getBoundsOfPoints(corners);
+    const shiftX = before.x - after.x;
+    const shiftY = before.y - after.y;
+    nodes.forEach(node => {
+        const target = layout.centers.get(node.id);
+        const bounds = node.getBounds();
+        moveShapesBy([node], target.x + shiftX - (bounds.x + bounds.width / 2), target.y + shiftY - (bounds.y + bounds.height / 2));
+    });
+    placeInContainers(nodes);
+    connectors.forEach((connector, index) => {
+        const route = (layout.routes.get(index) || []).map(point => ({ x: point.x + shiftX, y: point.y + shiftY }));
+        attachConnectorFacing(connector, findShapeById(connector.startBinding.shapeId), findShapeById(connector.endBinding.shapeId), route);
+    });
 
-        // Transform current canvas mouse coords into the shape's initial unrotated frame
-        const cosInitial = Math.cos(-initialAngle);
-        const sinInitial = Math.sin(-initialAngle);
-        const localX = mouseX - initialCenter.x; // Use current canvas mouse coords
-        const localY = mouseY - initialCenter.y;
-        const transformedMouseX = localX * cosInitial - localY * sinInitial + initialCenter.x;
-        const transformedMouseY = localX * sinInitial + localY * cosInitial + initialCenter.y;
+    updateConnectors();
+    redrawCanvas();
+    saveState(); // One undo step for the whole layout
+    console.log(`Auto layout (${options.direction}): ${nodes.length} shapes, ${edges.length} connections.`);
+}
+// ---------------------------------------------
 
-        // Calculate new dimensions/position based on handle (using transformed canvas coords)
-        let newX = initialX;
-        let newY = initialY;
-        let newW = initialW;
-        let newH = initialH;
 
-        // Calculations remain the same, but use canvas units
-        switch (activeHandle) {
-            case 'top-left':
-                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
-                newH = Math.max(minSize, initialY + initialH - transformedMouseY);
-                newX = initialX + initialW - newW;
-                newY = initialY + initialH - newH;
-                break;
-            case 'top-center':
-                 newH = Math.max(minSize, initialY + initialH - transformedMouseY);
-                 newY = initialY + initialH - newH;
-                 break;
-            case 'top-right':
-                newW = Math.max(minSize, transformedMouseX - initialX);
-                newH = Math.max(minSize, initialY + initialH - transformedMouseY);
-                newY = initialY + initialH - newH;
-                 break;
-            case 'middle-left':
-                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
-                newX = initialX + initialW - newW;
-                 break;
-            case 'middle-right':
-                newW = Math.max(minSize, transformedMouseX - initialX);
-                break;
-            case 'bottom-left':
-                newW = Math.max(minSize, initialX + initialW - transformedMouseX);
-                newH = Math.max(minSize, transformedMouseY - initialY);
-                newX = initialX + initialW - newW;
-                 break;
-            case 'bottom-center':
-                 newH = Math.max(minSize, transformedMouseY - initialY);
-                break;
-            case 'bottom-right':
-                 newW = Math.max(minSize, transformedMouseX - initialX);
-                 newH = Math.max(minSize, transformedMouseY - initialY);
-                break;
-        }
+// --- NEW: Diagram Import ---
+// Importers parse a file into a plain graph and buildShapesFromGraph() turns it into shapes:
+// { direction, nodes: [{ id, label, kind }], edges: [{ from, to, label, startMarker, endMarker, strokeDash, strokeWidth }] }
+// 'kind' is the node outline in the source format's own terms (see createGraphNodeShape).
+// Nodes and edges may also carry fillColor, strokeColor, textColor, strokeWidth and strokeDash.
 
-        shape.width = newW;
-        shape.height = newH;
-        shape.x = newX;
-        shape.y = newY;
+// Node kinds drawn with a flowchart shape under another name; kinds named like a flowchart shape type use it directly
+const GRAPH_FLOWCHART_KINDS = {
+    stadium: 'terminator', rounded: 'terminator', subroutine: 'predefined-process', 'parallelogram-alt': 'parallelogram'
+};
 
-        if (shape instanceof Text) {
-            const initialFontSize = shape.initialFontSize || 16;
-            const minFontSize = 4;
-            if (initialH > 0) {
-                 let calculatedFontSize = initialFontSize * (newH / initialH);
-                 shape.fontSize = Math.max(minFontSize, calculatedFontSize);
+// A node shape sized to fit its label, at the origin (the layout moves it)
+function createGraphNodeShape(kind, label) {
+    const fontSize = 14; // initShapeLabel's default
+    const lines = label.split('\n');
+    ctx.save();
+    ctx.font = `${fontSize}px Arial`;
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    ctx.restore();
+    const textHeight = lines.length * fontSize * 1.2;
+    let shape;
+    switch (kind) {
+        case 'text':
+            return new Text(0, 0, label, '#000000', fontSize, 'Arial', 'normal', 'normal', 'none', 'center');
+        case 'circle':
+        case 'double-circle':
+            // The label is wrapped to the square inside the circle (see getLabelWidth)
+            shape = new Circle(0, 0, Math.max(35, (Math.max(textWidth, textHeight) + 16) / Math.SQRT2), null);
+            break;
+        case 'diamond':
+            shape = new Diamond(0, 0, Math.max(120, textWidth * 2 + 16), Math.max(80, textHeight * 2 + 16), null);
+            break;
+        default: {
+            const FlowchartClass = flowchartShapeClasses[GRAPH_FLOWCHART_KINDS[kind] || kind];
+            if (FlowchartClass) {
+                // Widen the shape until its label area fits the text
+                const size = FlowchartClass.defaultSize;
+                shape = new FlowchartClass(0, 0, size.width, Math.max(size.height, textHeight + 24), null);
+                const labelRatio = shape.getLabelWidth() / shape.width;
+                shape.width = Math.max(size.width, (textWidth + 24) / labelRatio);
+            } else {
+                shape = new Rectangle(0, 0, Math.max(120, textWidth + 24), Math.max(50, textHeight + 16), null);
             }
-            shape.updateDimensions();
-            shape.x = newX; // Re-apply position after dimension update
-            shape.y = newY;
         }
+    }
+    shape.text = label;
+    return shape;
+}
 
-        if (shape instanceof Circle) {
-            const dx = transformedMouseX - initialCenter.x;
-            const dy = transformedMouseY - initialCenter.y;
-            let newRadius = Math.sqrt(dx * dx + dy * dy);
-            // Simplified radius adjustment for demo
-            if (activeHandle.includes('left') || activeHandle.includes('right')) newRadius = Math.abs(dx);
-            else if (activeHandle.includes('top') || activeHandle.includes('bottom')) newRadius = Math.abs(dy);
-            else newRadius = (Math.abs(dx) + Math.abs(dy)) / 2;
+// Copy the optional style fields of an imported node or edge onto its shape
+function applyGraphStyle(shape, item) {
+    if (shape instanceof Text) {
+        if (item.textColor) shape.color = item.textColor; // A Text's color is its text color
+    } else {
+        if (item.fillColor !== undefined) shape.color = item.fillColor;
+        if (item.textColor) shape.textColor = item.textColor;
+    }
+    if (item.strokeColor !== undefined) shape.strokeColor = item.strokeColor;
+    if (item.strokeWidth !== undefined) shape.strokeWidth = item.strokeWidth;
+    if (item.strokeDash) shape.strokeDash = item.strokeDash;
+}
 
-            shape.radius = Math.max(minSize / 2, newRadius);
-            shape.x = initialCenter.x; // Keep center fixed
-            shape.y = initialCenter.y;
-        }
+// The anchors a connector between shapes centered at two points should use: the sides facing each other
+function getFacingAnchors(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    if (Math.abs(dy) >= Math.abs(dx)) {
+        return dy >= 0 ? ['bottom', 'top'] : ['top', 'bottom'];
+    }
+    return dx >= 0 ? ['right', 'left'] : ['left', 'right'];
+}
 
-        cursor = getCursorForHandle(activeHandle);
-        redrawCanvas();
+// Bind a connector to the sides of its two shapes that face each other (or that face the first
+// and last of the points it is routed through), replacing its previous route
+function attachConnectorFacing(connector, fromShape, toShape, route = []) {
+    const from = fromShape.getCenter();
+    const to = toShape.getCenter();
+    const startAnchor = getFacingAnchors(from, route[0] || to)[0];
+    const endAnchor = getFacingAnchors(route[route.length - 1] || from, to)[1];
+    const start = fromShape.getAnchorPoints()[startAnchor];
+    const end = toShape.getAnchorPoints()[endAnchor];
+    connector.startBinding = { shapeId: fromShape.id, anchor: startAnchor };
+    connector.endBinding = { shapeId: toShape.id, anchor: endAnchor };
+    connector.flipH = false;
+    connector.flipV = false;
+    connector.x1 = start.x; connector.y1 = start.y;
+    connector.x2 = end.x; connector.y2 = end.y;
+    connector.x = start.x; connector.y = start.y;
+    connector.dx = end.x - start.x;
+    connector.dy = end.y - start.y;
+    connector.waypoints = route.map(point => ({ x: point.x, y: point.y }));
+    connector.bendRatio = 0.5;
+    if (connector.routing === 'curved') connector.resetControlPoints();
+}
 
-    // --- Handle Shape Dragging (using canvas coords) ---
-    } else if (isDragging && selectedShape) {
-        const newX = mouseX - dragOffsetX; // Use canvas coords
-        const newY = mouseY - dragOffsetY;
-
-        if (selectedShape instanceof Line) {
-            selectedShape.x1 = newX;
-            selectedShape.y1 = newY;
-            selectedShape.x2 = newX + selectedShape.dx;
-            selectedShape.y2 = newY + selectedShape.dy;
-            selectedShape.x = newX;
-            selectedShape.y = newY;
-        } else { // Circle, Rectangle, Diamond, Text
-            selectedShape.x = newX;
-            selectedShape.y = newY;
-        }
-        cursor = getCursorForHandle(null); // 'grabbing'
-        redrawCanvas();
+// Shapes and connectors for an imported graph, laid out with layoutLayeredGraph()
+function buildShapesFromGraph(graph) {
+    const nodeShapes = new Map();
+    graph.nodes.forEach(node => {
+        const shape = createGraphNodeShape(node.kind, node.label);
+        applyGraphStyle(shape, node);
+        nodeShapes.set(node.id, shape);
+    });
 
-    // --- Handle Line Drawing Preview (using canvas coords) ---
-    } else if (isDrawingLine) {
-        tempLineEndX = mouseX; // Use canvas coords
-        tempLineEndY = mouseY;
-        cursor = 'crosshair';
-        redrawCanvas();
+    const layoutNodes = graph.nodes.map(node => {
+        const bounds = nodeShapes.get(node.id).getBounds();
+        return { id: node.id, width: bounds.width, height: bounds.height };
+    });
+    const layout = layoutLayeredGraph(layoutNodes, graph.edges, { direction: graph.direction });
+    nodeShapes.forEach((shape, id) => {
+        const target = layout.centers.get(id);
+        const center = shape.getCenter();
+        shape.moveBy(target.x - center.x, target.y - center.y);
+    });
 
-    // --- Handle Hovering (check using canvas coords) ---
-    } else {
-        const handleType = getHandleAt(mouseX, mouseY); // Check handles in canvas coords
-        if (handleType) {
-            cursor = getCursorForHandle(handleType);
+    const connectors = [];
+    graph.edges.forEach((edge, index) => {
+        const fromShape = nodeShapes.get(edge.from);
+        const toShape = nodeShapes.get(edge.to);
+        if (!fromShape || !toShape) return;
+        let connector;
+        if (fromShape === toShape) {
+            // A loop goes out to the right and comes back in from above
+            const start = fromShape.getAnchorPoints().right;
+            const end = fromShape.getAnchorPoints().top;
+            connector = new Connector(start.x, start.y, end.x, end.y, '#000000',
+                { shapeId: fromShape.id, anchor: 'right' }, { shapeId: fromShape.id, anchor: 'top' });
+            connector.routing = 'orthogonal';
+            connector.waypoints = [{ x: start.x + 30, y: end.y - 30 }];
         } else {
-             let hoveredShape = null;
-             for (let i = shapes.length - 1; i >= 0; i--) {
-                 // Use canvas coords for isInside check
-                 if (shapes[i].isInside(mouseX, mouseY)) {
-                     hoveredShape = shapes[i];
-                     break;
-                 }
-             }
-             if (hoveredShape) {
-                 cursor = 'move';
-             } else {
-                 // Set cursor based on active tool
-                 if (currentShapeType === 'rectangle' || currentShapeType === 'circle' || currentShapeType === 'diamond' || currentShapeType === 'line') cursor = 'crosshair';
-                 else if (currentShapeType === 'text') cursor = 'text';
-                 else cursor = 'default';
-             }
+            connector = new Connector(0, 0, 0, 0, '#000000');
+            attachConnectorFacing(connector, fromShape, toShape, layout.routes.get(index));
         }
+        connector.startMarker = edge.startMarker || 'none';
+        connector.endMarker = edge.endMarker || 'none';
+        connector.text = edge.label || '';
+        applyGraphStyle(connector, edge);
+        connectors.push(connector);
+    });
+    return [...nodeShapes.values(), ...connectors];
+}
+
+// Add imported shapes to the right of the existing drawing, select them and bring them into view
+function addImportedShapes(imported) {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, true);
     }
+    const existingBounds = getSelectionBounds(shapes);
+    const importedBounds = getSelectionBounds(imported);
+    if (importedBounds) {
+        const targetX = existingBounds ? existingBounds.x + existingBounds.width + 100 : 0;
+        const targetY = existingBounds ? existingBounds.y : 0;
+        imported.forEach(shape => shape.moveBy(targetX - importedBounds.x, targetY - importedBounds.y));
+    }
+    shapes.push(...imported);
+    selectShapes(imported);
+    saveState();
+    zoomToBounds(getSelectionBounds(imported), 1); // Don't blow small imports up past 100%
+}
+// ---------------------------------------------
+
+
+// --- NEW: Mermaid Import/Export ---
+// Supports the flowchart subset of Mermaid: node outlines, chained and '&'-joined links,
+// link labels, dotted and thick links. Subgraphs are flattened; styling statements are ignored.
+const MERMAID_FILE_FILTER = { name: 'Mermaid Flowchart', extensions: ['mmd', 'mermaid', 'md', 'txt'] };
+
+// Node outlines. The first entry whose opener matches is used, so longer openers come first;
+// entries sharing an opener are told apart by whichever closer comes first.
+const MERMAID_NODE_BRACKETS = [
+    { open: '(((', close: ')))', kind: 'double-circle' },
+    { open: '((', close: '))', kind: 'circle' },
+    { open: '([', close: '])', kind: 'stadium' },
+    { open: '[[', close: ']]', kind: 'subroutine' },
+    { open: '[(', close: ')]', kind: 'cylinder' },
+    { open: '[/', close: '/]', kind: 'parallelogram' },
+    { open: '[/', close: '\\]', kind: 'trapezoid' },
+    { open: '[\\', close: '\\]', kind: 'parallelogram-alt' },
+    { open: '[\\', close: '/]', kind: 'trapezoid-alt' },
+    { open: '{{', close: '}}', kind: 'hexagon' },
+    { open: '[', close: ']', kind: 'rectangle' },
+    { open: '(', close: ')', kind: 'rounded' },
+    { open: '{', close: '}', kind: 'diamond' },
+    { open: '>', close: ']', kind: 'asymmetric' }
+];
+
+// Link syntax: optional start mark, body, optional end mark ('A --> B', 'A <-.-> B', 'A ==o B')
+const MERMAID_LINK_PATTERN = /(<|[ox](?=[-=.]))?(-{2,}|={2,}|-\.+-)(>|[ox](?![\p{L}\p{N}_]))?/uy;
+// Links with the label in the middle ('A -- text --> B') start with a short opener...
+const MERMAID_LINK_TEXT_OPENER = /(<|[ox](?=[-=.]))?(--|==|-\.)(?=\s)/y;
+// ...and end with the rest of the link
+const MERMAID_LINK_TEXT_CLOSERS = {
+    '--': /\s(-{2,}(?:>|[ox](?![\p{L}\p{N}_]))|-{3,})/u,
+    '==': /\s(={2,}(?:>|[ox](?![\p{L}\p{N}_]))|={3,})/u,
+    '-.': /\s(\.-+(?:>|[ox](?![\p{L}\p{N}_]))?)/u
+};
+
+function decodeMermaidLabel(raw) {
+    let label = raw.trim();
+    if (label.length >= 2 && label.startsWith('"') && label.endsWith('"')) label = label.slice(1, -1);
+    if (label.length >= 2 && label.startsWith('`') && label.endsWith('`')) label = label.slice(1, -1); // Markdown string
+    return label
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/#quot;/g, '"')
+        .replace(/#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
 
-    // Update canvas cursor style if it changed
-    if (cursor !== currentCursor) {
-         canvas.style.cursor = cursor;
-         currentCursor = cursor;
-     }
-}); // End mousemove listener
+function encodeMermaidLabel(text) {
+    return (text || ' ').replace(/#/g, '#35;').replace(/"/g, '#quot;').replace(/\n/g, '<br>');
+}
 
-canvas.addEventListener('mouseup', (e) => {
-    const mousePos = getMousePos(e); // Use canvas coords
-    const mouseX = mousePos.x;
-    const mouseY = mousePos.y;
-    let stateChanged = false;
+// Split a line on ';' outside quoted labels (and not the ';' ending an entity such as #quot;)
+function splitMermaidStatements(line) {
+    const statements = [];
+    let current = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        if (char === ';' && !quoted && !/#\w+$/.test(current)) {
+            statements.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    statements.push(current);
+    return statements.map(statement => statement.trim()).filter(Boolean);
+}
 
-    if (isRotating) {
-        console.log('Finished rotating shape:', selectedShape);
-        isRotating = false;
-        activeHandle = null;
-        shapeCenter = null;
-        stateChanged = true;
-        // Cursor updated by mousemove hover logic
+function skipMermaidSpaces(scanner) {
+    while (scanner.pos < scanner.text.length && /\s/.test(scanner.text[scanner.pos])) scanner.pos++;
+}
+
+// The outline and label after a node id, or null if the id stands alone
+function parseMermaidNodeShape(scanner) {
+    const bracket = MERMAID_NODE_BRACKETS.find(entry => scanner.text.startsWith(entry.open, scanner.pos));
+    if (!bracket) return null;
+    const textStart = scanner.pos + bracket.open.length;
+    // A quoted label may contain the closing bracket
+    const quote = /\s*"/y;
+    quote.lastIndex = textStart;
+    let searchFrom = textStart;
+    if (quote.exec(scanner.text)) {
+        const closingQuote = scanner.text.indexOf('"', quote.lastIndex);
+        if (closingQuote !== -1) searchFrom = closingQuote + 1;
     }
+    let best = null;
+    MERMAID_NODE_BRACKETS.filter(entry => entry.open === bracket.open).forEach(entry => {
+        const end = scanner.text.indexOf(entry.close, searchFrom);
+        if (end !== -1 && (!best || end < best.end)) best = { end: end, entry: entry };
+    });
+    if (!best) {
+        throw new Error(`missing "${bracket.close}" after "${scanner.text.slice(scanner.pos)}"`);
+    }
+    scanner.pos = best.end + best.entry.close.length;
+    return { label: decodeMermaidLabel(scanner.text.slice(textStart, best.end)), kind: best.entry.kind };
+}
 
-    if (isResizing) {
-        console.log('Finished resizing shape:', selectedShape);
-        isResizing = false;
-        activeHandle = null;
-        if (selectedShape) { // Clean up initial state properties
-            delete selectedShape.initialX; delete selectedShape.initialY;
-            delete selectedShape.initialWidth; delete selectedShape.initialHeight;
-            delete selectedShape.initialRadius; delete selectedShape.initialAngle;
-            delete selectedShape.initialCenter; delete selectedShape.initialMouseX;
-            delete selectedShape.initialMouseY; delete selectedShape.initialFontSize;
-        }
-        stateChanged = true;
-        // Cursor updated by mousemove hover logic
+// A node reference ('A', 'A[Label]', 'A{Label}:::className'); returns its id
+function parseMermaidNode(scanner, graph) {
+    skipMermaidSpaces(scanner);
+    const idPattern = /[\p{L}\p{N}_]+/uy;
+    idPattern.lastIndex = scanner.pos;
+    const match = idPattern.exec(scanner.text);
+    if (!match) {
+        throw new Error(`expected a node at "${scanner.text.slice(scanner.pos)}"`);
     }
+    scanner.pos = idPattern.lastIndex;
+    const id = match[0];
+    if (!graph.nodes.has(id)) {
+        graph.nodes.set(id, { id: id, label: id, kind: 'rectangle' });
+    }
+    const shape = parseMermaidNodeShape(scanner);
+    if (shape) {
+        Object.assign(graph.nodes.get(id), shape);
+    }
+    const classSuffix = /:::[\w-]+/y; // Styling only
+    classSuffix.lastIndex = scanner.pos;
+    if (classSuffix.exec(scanner.text)) scanner.pos = classSuffix.lastIndex;
+    return id;
+}
 
-    if (isDragging) {
-        console.log('Finished dragging shape:', selectedShape);
-        isDragging = false;
-        stateChanged = true;
-        // Cursor updated by mousemove hover logic
+// 'A & B' — every node in the list takes part in the links on either side
+function parseMermaidNodeList(scanner, graph) {
+    const ids = [parseMermaidNode(scanner, graph)];
+    const ampersand = /\s*&/y;
+    for (;;) {
+        ampersand.lastIndex = scanner.pos;
+        if (!ampersand.exec(scanner.text)) return ids;
+        scanner.pos = ampersand.lastIndex;
+        ids.push(parseMermaidNode(scanner, graph));
     }
+}
 
-    // Finalize line drawing (using canvas coords)
-    if (isDrawingLine) {
-        // Use final canvas coords from mouseup event
-        if (lineStartX !== mouseX || lineStartY !== mouseY) {
-            const newLine = new Line(lineStartX, lineStartY, mouseX, mouseY, currentColor);
-            shapes.push(newLine);
-            console.log('Added new line:', newLine);
-            stateChanged = true;
-        } else {
-             console.log('Line drawing cancelled (start=end).');
-         }
-        isDrawingLine = false;
-        if (stateChanged) {
-            setActiveTool('default'); // Reset tool only if line was added
+// Connector settings for a link's marks and body. Mermaid's cross ends ('x') have no matching marker.
+function describeMermaidLink(startMark, body, endMark) {
+    const markers = { '<': 'filled-arrow', '>': 'filled-arrow', o: 'circle' };
+    return {
+        startMarker: markers[startMark] || 'none',
+        endMarker: markers[endMark] || 'none',
+        strokeDash: body.includes('.') ? 'dotted' : 'solid',
+        strokeWidth: body.startsWith('=') ? 4 : 2,
+        label: ''
+    };
+}
+
+function parseMermaidLink(scanner) {
+    MERMAID_LINK_PATTERN.lastIndex = scanner.pos;
+    const match = MERMAID_LINK_PATTERN.exec(scanner.text);
+    // A bare '--' or '==' is the opener of a link with its label in the middle
+    if (match && !(match[3] === undefined && (match[2] === '--' || match[2] === '=='))) {
+        scanner.pos = MERMAID_LINK_PATTERN.lastIndex;
+        const link = describeMermaidLink(match[1], match[2], match[3]);
+        const pipeLabel = /\s*\|([^|]*)\|/y; // 'A -->|text| B'
+        pipeLabel.lastIndex = scanner.pos;
+        const labelMatch = pipeLabel.exec(scanner.text);
+        if (labelMatch) {
+            link.label = decodeMermaidLabel(labelMatch[1]);
+            scanner.pos = pipeLabel.lastIndex;
         }
-        // Redraw handled below
+        return link;
     }
 
-    if (stateChanged) {
-        saveState();
+    MERMAID_LINK_TEXT_OPENER.lastIndex = scanner.pos;
+    const opener = MERMAID_LINK_TEXT_OPENER.exec(scanner.text);
+    if (!opener) return null;
+    const rest = scanner.text.slice(MERMAID_LINK_TEXT_OPENER.lastIndex);
+    const closer = MERMAID_LINK_TEXT_CLOSERS[opener[2]].exec(rest);
+    if (!closer) return null;
+    const closeToken = closer[1];
+    const endMark = closeToken[closeToken.length - 1];
+    const link = describeMermaidLink(opener[1], opener[2] + closeToken, '>ox'.includes(endMark) ? endMark : undefined);
+    link.label = decodeMermaidLabel(rest.slice(0, closer.index));
+    scanner.pos = MERMAID_LINK_TEXT_OPENER.lastIndex + closer.index + closer[0].length;
+    return link;
+}
+
+// One statement: a node list, optionally followed by links to further node lists ('A --> B & C --> D')
+function parseMermaidStatement(statement, graph) {
+    const scanner = { text: statement, pos: 0 };
+    let sources = parseMermaidNodeList(scanner, graph);
+    for (;;) {
+        skipMermaidSpaces(scanner);
+        if (scanner.pos >= scanner.text.length) return;
+        const link = parseMermaidLink(scanner);
+        if (!link) {
+            throw new Error(`unexpected "${scanner.text.slice(scanner.pos)}"`);
+        }
+        const targets = parseMermaidNodeList(scanner, graph);
+        sources.forEach(from => targets.forEach(to => graph.edges.push({ from: from, to: to, ...link })));
+        sources = targets;
     }
+}
 
-    // Redraw needed if state changed or selection exists, to show final state/cursor
-    if (stateChanged || selectedShape) {
-        redrawCanvas();
-        // Trigger a fake mousemove to update cursor based on final position/state
-        const moveEvent = new MouseEvent('mousemove', {
-            clientX: e.clientX,
-            clientY: e.clientY
+// Parse Mermaid flowchart text (or the first ```mermaid block of a Markdown file) into an import graph
+function parseMermaid(source) {
+    const fence = /```mermaid[^\n]*\n([\s\S]*?)```/.exec(source);
+    const text = fence ? fence[1] : source;
+    const graph = { direction: null, nodes: new Map(), edges: [] };
+    let inFrontMatter = false;
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (graph.direction === null && line === '---') {
+            inFrontMatter = !inFrontMatter; // YAML front matter (title, config) before the header
+            return;
+        }
+        if (!line || inFrontMatter || line.startsWith('%%')) return;
+        splitMermaidStatements(line).forEach(statement => {
+            if (graph.direction === null) {
+                const header = /^(?:graph|flowchart)(?:\s+(TB|TD|BT|LR|RL))?$/i.exec(statement);
+                if (!header) {
+                    throw new Error('Only Mermaid flowcharts ("graph" or "flowchart") can be imported.');
+                }
+                const direction = (header[1] || 'TB').toUpperCase();
+                graph.direction = direction === 'TD' ? 'TB' : direction;
+                return;
+            }
+            if (/^(subgraph|end|classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/.test(statement)) {
+                return;
+            }
+            try {
+                parseMermaidStatement(statement, graph);
+            } catch (error) {
+                throw new Error(`Line ${index + 1}: ${error.message}`);
+            }
         });
-        canvas.dispatchEvent(moveEvent);
+    });
+    if (graph.direction === null) {
+        throw new Error('Only Mermaid flowcharts ("graph" or "flowchart") can be imported.');
     }
-    initialMouseDownPos = null; // Clear initial position
-}); // End mouseup listener
-
-canvas.addEventListener('mouseleave', (e) => {
-    let needsRedraw = false;
-    if (isDrawingLine) {
-        isDrawingLine = false;
-        console.log('Line drawing cancelled (mouse left canvas)');
-        needsRedraw = true;
+    if (graph.nodes.size === 0) {
+        throw new Error('The flowchart has no nodes.');
     }
-    if (isDragging) {
-        isDragging = false;
-        console.log('Dragging stopped (mouse left canvas)');
-        // Optionally snap back or save state here if needed
-        needsRedraw = true;
+    return { direction: graph.direction, nodes: [...graph.nodes.values()], edges: graph.edges };
+}
+
+function mermaidNodeDeclaration(shape, id) {
+    const label = encodeMermaidLabel(shape.text);
+    if (shape instanceof Diamond) return `${id}{"${label}"}`;
+    if (shape instanceof Circle) return `${id}(("${label}"))`;
+    if (shape instanceof Terminator) return `${id}(["${label}"])`;
+    if (shape instanceof PredefinedProcess) return `${id}[["${label}"]]`;
+    if (shape instanceof Cylinder) return `${id}[("${label}")]`;
+    if (shape instanceof Parallelogram) return `${id}[/"${label}"/]`;
+    if (shape instanceof Hexagon) return `${id}{{"${label}"}}`;
+    return `${id}["${label}"]`;
+}
+
+// Link syntax for a connector; 'reversed' swaps its ends (Mermaid has no start-only arrows)
+function mermaidLinkSyntax(line, reversed) {
+    const startMarker = reversed ? line.endMarker : line.startMarker;
+    const endMarker = reversed ? line.startMarker : line.endMarker;
+    const markToken = (marker, arrow) => marker === 'none' ? '' : (marker === 'circle' ? 'o' : arrow);
+    const endToken = markToken(endMarker, '>');
+    const startToken = endToken ? markToken(startMarker, '<') : '';
+    let body;
+    if (line.strokeDash !== 'solid') {
+        body = '-.-';
+    } else if (line.strokeWidth >= 3) {
+        body = endToken ? '==' : '===';
+    } else {
+        body = endToken ? '--' : '---';
     }
-    if (isResizing) {
-        isResizing = false; activeHandle = null;
-        console.log('Resizing cancelled (mouse left canvas)');
-        // Optionally revert changes or save state here if needed
-        needsRedraw = true;
+    const label = line.text ? `|"${encodeMermaidLabel(line.text)}"|` : '';
+    return `${startToken}${body}${endToken}${label}`;
+}
+
+// Mermaid flowchart text for the shapes. Rectangles, circles, diamonds and the flowchart shapes become
+// nodes (flowchart shapes Mermaid has no outline for are written as rectangles), and connectors bound
+// at both ends become links; anything else, swimlanes included, is left out (and counted in a comment).
+function diagramToMermaid(list = shapes) {
+    const allShapes = flattenShapes(list).filter(shape => !(shape instanceof Group));
+    const nodes = allShapes.filter(shape => supportsLabel(shape) && !(shape instanceof Swimlane));
+    const nodeIds = new Map(nodes.map((shape, i) => [shape.id, `n${i + 1}`]));
+    const linkLines = [];
+    let horizontalLinks = 0;
+    let skipped = 0;
+    allShapes.forEach(shape => {
+        if (nodeIds.has(shape.id)) return;
+        const from = shape instanceof Connector && shape.startBinding && nodeIds.get(shape.startBinding.shapeId);
+        const to = shape instanceof Connector && shape.endBinding && nodeIds.get(shape.endBinding.shapeId);
+        if (!from || !to) {
+            skipped++;
+            return;
+        }
+        const reversed = shape.startMarker !== 'none' && shape.endMarker === 'none';
+        linkLines.push(`    ${reversed ? to : from} ${mermaidLinkSyntax(shape, reversed)} ${reversed ? from : to}`);
+        if (Math.abs(shape.x2 - shape.x1) > Math.abs(shape.y2 - shape.y1)) horizontalLinks++;
+    });
+    // Keep the overall flow of the drawing
+    const direction = horizontalLinks > linkLines.length / 2 ? 'LR' : 'TD';
+    const lines = [`flowchart ${direction}`];
+    if (skipped > 0) {
+        lines.push(`    %% ${skipped} shape(s) with no Mermaid equivalent were left out`);
     }
-    if (isRotating) {
-        isRotating = false; activeHandle = null; shapeCenter = null;
-        console.log('Rotation cancelled (mouse left canvas)');
-        // Optionally revert changes or save state here if needed
-        needsRedraw = true;
+    nodes.forEach(shape => lines.push(`    ${mermaidNodeDeclaration(shape, nodeIds.get(shape.id))}`));
+    lines.push(...linkLines);
+    return lines.join('\n') + '\n';
+}
+// ---------------------------------------------
+
+// --- NEW: Graphviz DOT Import/Export ---
+// Reads the DOT language (graphs, subgraphs, node/edge defaults, quoted and HTML ids) and maps
+// node shapes, labels, colors and edge arrows onto this app's shapes. Positions from a laid-out
+// DOT file are not used: the graph is laid out again with layoutLayeredGraph().
+const DOT_FILE_FILTER = { name: 'Graphviz DOT', extensions: ['dot', 'gv'] };
+
+// Graphviz node shapes, by the import graph 'kind' they become (see createGraphNodeShape)
+const DOT_SHAPE_KINDS = {
+    box: 'rectangle', rect: 'rectangle', rectangle: 'rectangle', square: 'rectangle', record: 'rectangle',
+    Mrecord: 'rounded', ellipse: 'circle', oval: 'circle', circle: 'circle', point: 'circle',
+    doublecircle: 'double-circle', diamond: 'diamond', plaintext: 'text', plain: 'text', none: 'text',
+    hexagon: 'hexagon', parallelogram: 'parallelogram', cylinder: 'cylinder',
+    trapezium: 'trapezoid', invtrapezium: 'trapezoid-alt'
+};
+
+// Graphviz shape names for exported shape types (anything else becomes a box)
+const DOT_SHAPE_NAMES = {
+    diamond: 'diamond', circle: 'circle', parallelogram: 'parallelogram', cylinder: 'cylinder', hexagon: 'hexagon'
+};
+
+// Graphviz arrow shapes ('o' = open, 'l'/'r' = half arrows) by the marker they become
+const DOT_ARROW_MARKERS = {
+    normal: 'filled-arrow', inv: 'filled-arrow', vee: 'open-arrow', open: 'open-arrow', empty: 'open-arrow',
+    diamond: 'diamond', ediamond: 'diamond', dot: 'circle', crow: 'crowsfoot', none: 'none'
+};
+
+// Split DOT source into tokens: { type: 'id' | 'symbol', value, line }
+function tokenizeDot(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    const skip = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\//y;
+    const bare = /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?)/y;
+    const symbol = /->|--|[{}[\];,=:+]/y;
+    while (pos < source.length) {
+        // '#' lines are C preprocessor output and are ignored
+        if (source[pos] === '#' && (pos === 0 || source[pos - 1] === '\n')) {
+            const end = source.indexOf('\n', pos);
+            pos = end === -1 ? source.length : end;
+            continue;
+        }
+        skip.lastIndex = pos;
+        const space = skip.exec(source);
+        if (space) {
+            line += (space[0].match(/\n/g) || []).length;
+            pos = skip.lastIndex;
+            continue;
+        }
+        if (source[pos] === '"') {
+            let end = pos + 1;
+            while (end < source.length && source[end] !== '"') end += source[end] === '\\' ? 2 : 1;
+            if (end >= source.length) throw new Error(`Line ${line}: unterminated string`);
+            // Inside quotes only \" and line continuations are escapes; other backslash sequences (\\ included)
+            // belong to the label (see decodeDotLabel). One pass, so an escaped backslash is never reread.
+            const value = source.slice(pos + 1, end)
+                .replace(/\\(\\|"|\r?\n)/g, (match, escaped) => escaped === '"' ? '"' : (escaped === '\\' ? match : ''));
+            const previous = tokens[tokens.length - 1];
+            const beforePrevious = tokens[tokens.length - 2];
+            if (previous && previous.value === '+' && previous.type === 'symbol' && beforePrevious && beforePrevious.quoted) {
+                tokens.pop(); // "a" + "b" concatenates
+                beforePrevious.value += value;
+            } else {
+                tokens.push({ type: 'id', value: value, quoted: true, line: line });
+            }
+            line += (source.slice(pos, end).match(/\n/g) || []).length;
+            pos = end + 1;
+            continue;
+        }
+        if (source[pos] === '<') {
+            // HTML-like label: the text between balanced angle brackets
+            let depth = 0;
+            let end = pos;
+            do {
+                if (source[end] === '<') depth++;
+                else if (source[end] === '>') depth--;
+                end++;
+            } while (depth > 0 && end < source.length);
+            if (depth > 0) throw new Error(`Line ${line}: unterminated HTML string`);
+            tokens.push({ type: 'id', value: source.slice(pos + 1, end - 1), html: true, line: line });
+            pos = end;
+            continue;
+        }
+        bare.lastIndex = pos;
+        const word = bare.exec(source);
+        if (word) {
+            tokens.push({ type: 'id', value: word[0], line: line });
+            pos = bare.lastIndex;
+            continue;
+        }
+        symbol.lastIndex = pos;
+        const mark = symbol.exec(source);
+        if (!mark) throw new Error(`Line ${line}: unexpected "${source[pos]}"`);
+        tokens.push({ type: 'symbol', value: mark[0], line: line });
+        pos = symbol.lastIndex;
     }
+    return tokens;
+}
 
-    if (needsRedraw) {
-        redrawCanvas();
-    }
-    // Reset cursor to default if nothing else is active
-    if (!isDragging && !isResizing && !isRotating && !isDrawingLine) {
-        canvas.style.cursor = 'default';
-        currentCursor = 'default';
+// Recursive-descent parser for the DOT grammar. Returns { directed, graphAttributes, nodes, edges }
+// where nodes is a Map from id to its attributes and edges is a list of { from, to, attributes }.
+function parseDotGraph(source) {
+    const tokens = tokenizeDot(source);
+    let index = 0;
+    const peek = (offset = 0) => tokens[index + offset];
+    const isKeyword = (token, word) => token && token.type === 'id' && !token.quoted && token.value.toLowerCase() === word;
+    const isSymbol = (token, value) => token && token.type === 'symbol' && token.value === value;
+    const fail = (message) => {
+        const token = peek();
+        throw new Error(token ? `Line ${token.line}: ${message} near "${token.value}"` : `${message} at the end of the file`);
+    };
+    const expectSymbol = (value) => {
+        if (!isSymbol(peek(), value)) fail(`expected "${value}"`);
+        index++;
+    };
+    const expectId = () => {
+        const token = peek();
+        if (!token || token.type !== 'id') fail('expected a name');
+        index++;
+        return token.value;
+    };
+
+    const strict = isKeyword(peek(), 'strict'); // At most one edge between two nodes
+    if (strict) index++;
+    let directed;
+    if (isKeyword(peek(), 'digraph')) directed = true;
+    else if (isKeyword(peek(), 'graph')) directed = false;
+    else fail('expected "graph" or "digraph"');
+    index++;
+    if (peek() && peek().type === 'id') index++; // Graph name
+    const edgeOperator = directed ? '->' : '--';
+
+    const result = { directed: directed, graphAttributes: {}, nodes: new Map(), edges: [] };
+
+    // [a=b, c=d][e=f] -> { a, c, e }
+    const parseAttributeLists = () => {
+        const attributes = {};
+        while (isSymbol(peek(), '[')) {
+            index++;
+            while (!isSymbol(peek(), ']')) {
+                const name = expectId();
+                expectSymbol('=');
+                const valueToken = peek();
+                const value = expectId();
+                attributes[name] = valueToken.html ? decodeDotHtml(value) : value;
+                if (isSymbol(peek(), ',') || isSymbol(peek(), ';')) index++;
+            }
+            index++;
+        }
+        return attributes;
+    };
+
+    const touchNode = (id, scope, attributes = {}) => {
+        if (!result.nodes.has(id)) {
+            result.nodes.set(id, { ...scope.node });
+        }
+        Object.assign(result.nodes.get(id), attributes);
+    };
+
+    // A node id, with an optional port (a:port:compass) that is ignored. Returns [id].
+    const parseNodeId = (scope) => {
+        const id = expectId();
+        while (isSymbol(peek(), ':')) {
+            index++;
+            expectId();
+        }
+        touchNode(id, scope);
+        return [id];
+    };
+
+    // Add an edge; in a strict graph a repeated edge only adds its attributes to the first one
+    const addEdge = (from, to, attributes) => {
+        const existing = strict && result.edges.find(edge => (edge.from === from && edge.to === to) ||
+            (!directed && edge.from === to && edge.to === from));
+        if (existing) Object.assign(existing.attributes, attributes);
+        else result.edges.push({ from: from, to: to, attributes: { ...attributes } });
+    };
+
+    // Subgraphs share their parent's defaults but changes stay inside them (graph attributes such as
+    // rankdir included). Returns the node ids they mention.
+    const parseSubgraph = (scope) => {
+        if (isKeyword(peek(), 'subgraph')) {
+            index++;
+            if (peek() && peek().type === 'id') index++;
+        }
+        expectSymbol('{');
+        const innerScope = { node: { ...scope.node }, edge: { ...scope.edge }, graph: {} };
+        const mentioned = parseStatements(innerScope);
+        expectSymbol('}');
+        return mentioned;
+    };
+
+    const parseOperand = (scope) => {
+        if (isKeyword(peek(), 'subgraph') || isSymbol(peek(), '{')) return parseSubgraph(scope);
+        return parseNodeId(scope);
+    };
+
+    function parseStatements(scope) {
+        const mentioned = new Set();
+        while (peek() && !isSymbol(peek(), '}')) {
+            const token = peek();
+            if (isSymbol(token, ';')) {
+                index++;
+                continue;
+            }
+            if ((isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) && isSymbol(peek(1), '[')) {
+                index++;
+                const attributes = parseAttributeLists();
+                const target = token.value.toLowerCase();
+                Object.assign(scope[target], attributes);
+                continue;
+            }
+            if (token.type === 'id' && isSymbol(peek(1), '=')) {
+                index += 2;
+                scope.graph[token.value] = expectId(); // e.g. rankdir=LR
+                continue;
+            }
+            let sources = parseOperand(scope);
+            sources.forEach(id => mentioned.add(id));
+            if (!isSymbol(peek(), '->') && !isSymbol(peek(), '--')) {
+                const attributes = parseAttributeLists();
+                if (!isKeyword(token, 'subgraph') && !isSymbol(token, '{')) touchNode(sources[0], scope, attributes);
+                continue;
+            }
+            const chain = [sources];
+            while (isSymbol(peek(), '->') || isSymbol(peek(), '--')) {
+                if (peek().value !== edgeOperator) fail(`"${peek().value}" can't be used in this graph`);
+                index++;
+                sources = parseOperand(scope);
+                sources.forEach(id => mentioned.add(id));
+                chain.push(sources);
+            }
+            const attributes = { ...scope.edge, ...parseAttributeLists() };
+            for (let i = 0; i < chain.length - 1; i++) {
+                chain[i].forEach(from => chain[i + 1].forEach(to => addEdge(from, to, attributes)));
+            }
+        }
+        return [...mentioned];
     }
-    initialMouseDownPos = null;
-}); // End mouseleave listener
 
+    expectSymbol('{');
+    parseStatements({ node: {}, edge: {}, graph: result.graphAttributes });
+    expectSymbol('}');
+    if (peek()) fail('unexpected text after the graph');
+    return result;
+}
 
-// --- NEW: Wheel Event Listener for Zooming ---
-canvas.addEventListener('wheel', (e) => {
-    e.preventDefault(); // Prevent page scrolling
+// Graphviz color ('red', '#ff0000', '#ff000080', '0.000 1.000 1.000' HSV, 'red:blue' lists)
+// as a hex color for the color pickers, or null for transparent/unknown colors
+function parseDotColor(value) {
+    if (!value) return null;
+    const first = value.split(':')[0].split(';')[0].trim();
+    const hsv = /^([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)$/.exec(first);
+    if (hsv) {
+        const [h, sat, v] = hsv.slice(1).map(Number);
+        const channel = (n) => {
+            const k = (n + h * 6) % 6;
+            return Math.round(255 * (v - v * sat * Math.max(0, Math.min(k, 4 - k, 1))));
+        };
+        return '#' + [channel(5), channel(3), channel(1)].map(c => c.toString(16).padStart(2, '0')).join('');
+    }
+    // Let the canvas parse names and hex codes: it reports valid opaque colors as #rrggbb
+    ctx.save();
+    ctx.fillStyle = '#010203';
+    ctx.fillStyle = /^#[0-9a-f]{8}$/i.test(first) ? first.slice(0, 7) : first;
+    const parsed = ctx.fillStyle;
+    ctx.restore();
+    if (first.toLowerCase() === 'transparent' || (parsed === '#010203' && first !== '#010203')) return null;
+    return parsed.startsWith('#') ? parsed : null;
+}
 
-    const rect = canvas.getBoundingClientRect();
-    // Mouse position relative to canvas element (screen coords)
-    const mouseXScreen = e.clientX - rect.left;
-    const mouseYScreen = e.clientY - rect.top;
+// HTML-like labels (<<b>Title</b><br/>text>) keep only their text
+function decodeDotHtml(html) {
+    return html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&').trim();
+}
 
-    // Calculate mouse position in canvas coordinates BEFORE zoom
-    const mouseXCanvasBefore = (mouseXScreen - offsetX) / zoomLevel;
-    const mouseYCanvasBefore = (mouseYScreen - offsetY) / zoomLevel;
+// Label text: \n, \l and \r end lines, \N is the node name and \\ is a backslash.
+// Escapes are read in one pass, so the backslash of an escaped backslash never starts another escape.
+function decodeDotLabel(label, nodeName) {
+    return label.replace(/\\(.)/gs, (match, escaped, offset) => {
+        if ('nlr'.includes(escaped)) {
+            return offset + match.length === label.length ? '' : '\n'; // A trailing line break only justifies the last line
+        }
+        if (escaped === 'N') return nodeName;
+        if (escaped === '\\') return '\\';
+        return match; // Other escapes (\G, \E, ...) are kept as written
+    });
+}
 
-    // Calculate new zoom level
-    const zoomFactor = 1.1;
-    let newZoomLevel;
-    if (e.deltaY < 0) { // Zoom in
-        newZoomLevel = zoomLevel * zoomFactor;
-    } else { // Zoom out
-        newZoomLevel = zoomLevel / zoomFactor;
-    }
-    // Clamp zoom level
-    newZoomLevel = Math.max(minZoom, Math.min(maxZoom, newZoomLevel));
+// Outline color, width and dash from Graphviz color/penwidth/style attributes
+function getDotStrokeStyle(attributes, styles) {
+    const style = {};
+    if (attributes.color) style.strokeColor = parseDotColor(attributes.color);
+    if (attributes.penwidth) style.strokeWidth = parseFloat(attributes.penwidth);
+    else if (styles.includes('bold')) style.strokeWidth = 2;
+    if (styles.includes('dashed')) style.strokeDash = 'dashed';
+    else if (styles.includes('dotted')) style.strokeDash = 'dotted';
+    if (styles.includes('invis')) style.strokeColor = null;
+    return style;
+}
 
-    // Calculate the change in offset to keep the point under the mouse stationary
-    offsetX = mouseXScreen - mouseXCanvasBefore * newZoomLevel;
-    offsetY = mouseYScreen - mouseYCanvasBefore * newZoomLevel;
+function getDotArrowMarker(arrowName) {
+    const name = (arrowName || 'normal').toLowerCase();
+    return DOT_ARROW_MARKERS[name] || DOT_ARROW_MARKERS[name.replace(/^[olr]+/, '')] || 'filled-arrow';
+}
 
-    // Update zoom level
-    zoomLevel = newZoomLevel;
+// Parse DOT text into an import graph (see buildShapesFromGraph)
+function parseDot(source) {
+    const dot = parseDotGraph(source);
+    const unsupportedShapes = new Set();
+    const nodes = [...dot.nodes.entries()].map(([id, attributes]) => {
+        const shapeName = attributes.shape || 'ellipse';
+        const kind = DOT_SHAPE_KINDS[shapeName] || DOT_SHAPE_KINDS[shapeName.toLowerCase()];
+        if (!kind) unsupportedShapes.add(shapeName);
+        const styles = (attributes.style || '').split(',').map(style => style.trim());
+        const node = {
+            id: id,
+            label: decodeDotLabel(attributes.label ?? '\\N', id),
+            kind: kind === 'rectangle' && styles.includes('rounded') ? 'rounded' : (kind || 'rectangle'),
+            ...getDotStrokeStyle(attributes, styles)
+        };
+        if (styles.includes('filled')) {
+            node.fillColor = parseDotColor(attributes.fillcolor || attributes.color || 'lightgrey');
+        }
+        if (attributes.fontcolor) node.textColor = parseDotColor(attributes.fontcolor);
+        return node;
+    });
+    if (unsupportedShapes.size > 0) {
+        console.warn(`DOT shapes drawn as rectangles: ${[...unsupportedShapes].join(', ')}`);
+    }
+    const edges = dot.edges.map(({ from, to, attributes }) => {
+        const dir = attributes.dir || (dot.directed ? 'forward' : 'none');
+        const styles = (attributes.style || '').split(',').map(style => style.trim());
+        const edge = {
+            from: from,
+            to: to,
+            label: decodeDotLabel(attributes.label ?? attributes.xlabel ?? '', ''),
+            startMarker: dir === 'back' || dir === 'both' ? getDotArrowMarker(attributes.arrowtail) : 'none',
+            endMarker: dir === 'forward' || dir === 'both' ? getDotArrowMarker(attributes.arrowhead) : 'none',
+            ...getDotStrokeStyle(attributes, styles)
+        };
+        if (attributes.fontcolor) edge.textColor = parseDotColor(attributes.fontcolor);
+        return edge;
+    });
+    if (nodes.length === 0) {
+        throw new Error('The graph has no nodes.');
+    }
+    const rankdir = (dot.graphAttributes.rankdir || 'TB').toUpperCase();
+    return { direction: ['TB', 'BT', 'LR', 'RL'].includes(rankdir) ? rankdir : 'TB', nodes: nodes, edges: edges };
+}
 
-    console.log(`Zoom: ${zoomLevel.toFixed(2)}, Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`);
-    redrawCanvas();
+// A DOT id: bare when it is a plain name or number, quoted otherwise
+function quoteDotId(value) {
+    const text = String(value);
+    if (/^[A-Za-z_][\w]*$/.test(text) && !/^(node|edge|graph|digraph|subgraph|strict)$/i.test(text)) return text;
+    if (/^-?(\.\d+|\d+(\.\d*)?)$/.test(text)) return text;
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
 
-    // Update cursor based on new zoom/position
-    const moveEvent = new MouseEvent('mousemove', { clientX: e.clientX, clientY: e.clientY });
-    canvas.dispatchEvent(moveEvent);
-});
-// -----------------------------------------
+function dotAttributeList(attributes) {
+    const entries = Object.keys(attributes).filter(name => attributes[name] !== undefined)
+        .map(name => `${name}=${quoteDotId(attributes[name])}`);
+    return entries.length ? ` [${entries.join(', ')}]` : '';
+}
 
+// Color/width/dash attributes for a shape's outline
+function dotStrokeAttributes(shape) {
+    const attributes = {};
+    const styles = [];
+    if (shape.strokeColor) attributes.color = shape.strokeColor;
+    else styles.push('invis');
+    if (shape.strokeWidth !== undefined && shape.strokeColor) attributes.penwidth = shape.strokeWidth;
+    if (shape.strokeDash && shape.strokeDash !== 'solid') styles.push(shape.strokeDash);
+    return { attributes: attributes, styles: styles };
+}
 
-// Delete selected shape / Handle global keys
-document.addEventListener('keydown', (e) => {
-    if (activeTextInput) { // Let text input handle keys
-        return;
-    }
+const DOT_MARKER_ARROWS = { 'open-arrow': 'vee', 'filled-arrow': 'normal', diamond: 'diamond', circle: 'dot', crowsfoot: 'crow' };
+
+// DOT text for the shapes: rectangles, circles, diamonds and text become nodes, connectors bound
+// at both ends become edges. Anything else is left out (and counted in a comment).
+function diagramToDot(list = shapes) {
+    const allShapes = flattenShapes(list).filter(shape => !(shape instanceof Group));
+    const isNode = (shape) => (supportsLabel(shape) || shape instanceof Text) && !(shape instanceof Swimlane);
+    const nodes = allShapes.filter(isNode);
+    const nodeIds = new Map(nodes.map((shape, i) => [shape.id, `n${i + 1}`]));
+    const lines = ['digraph G {'];
+    const body = [];
+    let skipped = 0;
+    let horizontalEdges = 0;
+    let edgeCount = 0;
+
+    nodes.forEach(shape => {
+        const attributes = {};
+        let styles = [];
+        if (shape instanceof Text) {
+            attributes.shape = 'plaintext';
+            attributes.fontcolor = shape.color;
+        } else {
+            attributes.shape = DOT_SHAPE_NAMES[shape.type] || 'box';
+            const stroke = dotStrokeAttributes(shape);
+            Object.assign(attributes, stroke.attributes);
+            styles = stroke.styles;
+            if (shape instanceof Terminator) styles.unshift('rounded');
+            if (shape.color) {
+                styles.unshift('filled');
+                attributes.fillcolor = shape.color;
+            }
+            if (shape.textColor && shape.textColor !== '#000000') attributes.fontcolor = shape.textColor;
+        }
+        attributes.label = shape.text || '';
+        if (styles.length) attributes.style = styles.join(',');
+        body.push(`    ${nodeIds.get(shape.id)}${dotAttributeList(attributes)};`);
+    });
 
-    // --- Shape Deletion ---
-    if ((e.key === 'Delete' || e.key === 'Backspace') && selectedShape) {
-        console.log('Deleting shape:', selectedShape);
-        const index = shapes.indexOf(selectedShape);
-        if (index > -1) {
-            shapes.splice(index, 1);
+    allShapes.forEach(shape => {
+        if (isNode(shape)) return;
+        const from = shape instanceof Connector && shape.startBinding && nodeIds.get(shape.startBinding.shapeId);
+        const to = shape instanceof Connector && shape.endBinding && nodeIds.get(shape.endBinding.shapeId);
+        if (!from || !to) {
+            skipped++;
+            return;
         }
-        selectedShape = null;
-        // Cancel any ongoing actions associated with the deleted shape
-        isDrawingLine = false;
-        isResizing = false; activeHandle = null;
-        isRotating = false; shapeCenter = null;
-        isDragging = false; // Also cancel dragging if somehow active
+        const stroke = dotStrokeAttributes(shape);
+        const attributes = { ...stroke.attributes };
+        const hasStart = shape.startMarker !== 'none';
+        const hasEnd = shape.endMarker !== 'none';
+        if (hasStart && hasEnd) attributes.dir = 'both';
+        else if (hasStart) attributes.dir = 'back';
+        else if (!hasEnd) attributes.dir = 'none';
+        if (hasEnd && shape.endMarker !== 'filled-arrow') attributes.arrowhead = DOT_MARKER_ARROWS[shape.endMarker];
+        if (hasStart) attributes.arrowtail = DOT_MARKER_ARROWS[shape.startMarker];
+        if (shape.text) attributes.label = shape.text;
+        if (stroke.styles.length) attributes.style = stroke.styles.join(',');
+        body.push(`    ${from} -> ${to}${dotAttributeList(attributes)};`);
+        edgeCount++;
+        if (Math.abs(shape.x2 - shape.x1) > Math.abs(shape.y2 - shape.y1)) horizontalEdges++;
+    });
 
-        redrawCanvas();
-        saveState();
+    // Keep the overall flow of the drawing
+    lines.push(`    rankdir=${horizontalEdges > edgeCount / 2 ? 'LR' : 'TB'};`);
+    lines.push('    node [fontname="Arial"];');
+    if (skipped > 0) {
+        lines.push(`    // ${skipped} shape(s) with no DOT equivalent were left out`);
     }
+    lines.push(...body, '}');
+    return lines.join('\n') + '\n';
+}
+// ---------------------------------------------
+
+// --- NEW: draw.io Import ---
+// Reads the first page of a .drawio (diagrams.net / mxGraph XML) file, plain or compressed.
+// Cell styles without an equivalent here are reported rather than dropped: unknown vertex shapes
+// are drawn as rectangles and unknown arrowheads as filled arrows.
+const DRAWIO_FILE_FILTER = { name: 'draw.io Diagram', extensions: ['drawio', 'xml'] };
+
+// draw.io shape names (the 'shape' style or the style's leading name) by the shape they become
+const DRAWIO_SHAPE_KINDS = {
+    rectangle: 'rectangle', label: 'rectangle', ellipse: 'circle', doubleEllipse: 'circle',
+    rhombus: 'diamond', text: 'text', edgeLabel: 'text', image: 'image', group: 'group',
+    process: 'predefined-process', document: 'document', cylinder: 'cylinder', cylinder3: 'cylinder',
+    parallelogram: 'parallelogram', hexagon: 'hexagon', manualInput: 'manual-input',
+    offPageConnector: 'off-page-connector', delay: 'delay', terminator: 'terminator',
+    'mxgraph.flowchart.process': 'rectangle', 'mxgraph.flowchart.decision': 'diamond',
+    'mxgraph.flowchart.terminator': 'terminator', 'mxgraph.flowchart.data': 'parallelogram',
+    'mxgraph.flowchart.document': 'document', 'mxgraph.flowchart.database': 'cylinder',
+    'mxgraph.flowchart.predefined_process': 'predefined-process', 'mxgraph.flowchart.manual_input': 'manual-input',
+    'mxgraph.flowchart.off-page_reference': 'off-page-connector', 'mxgraph.flowchart.preparation': 'hexagon',
+    'mxgraph.flowchart.delay': 'delay'
+};
+
+const DRAWIO_ARROW_MARKERS = {
+    classic: 'filled-arrow', classicThin: 'filled-arrow', block: 'filled-arrow', blockThin: 'filled-arrow',
+    open: 'open-arrow', openThin: 'open-arrow', diamond: 'diamond', diamondThin: 'diamond',
+    oval: 'circle', dot: 'circle', circle: 'circle',
+    ERmany: 'crowsfoot', ERoneToMany: 'crowsfoot', ERzeroToMany: 'crowsfoot', none: 'none'
+};
+
+// 'ellipse;whiteSpace=wrap;fillColor=#dae8fc' -> { name: 'ellipse', whiteSpace: 'wrap', fillColor: '#dae8fc' }
+function parseDrawioStyle(style) {
+    const result = { name: null };
+    (style || '').split(';').forEach(entry => {
+        if (!entry) return;
+        const equals = entry.indexOf('=');
+        if (equals === -1) {
+            if (result.name === null) result.name = entry;
+        } else {
+            result[entry.slice(0, equals)] = entry.slice(equals + 1);
+        }
+    });
+    return result;
+}
 
-    // --- Potential Future Keybindings (e.g., panning with arrow keys) ---
-    // if (e.key === 'ArrowUp') { offsetX += 10; redrawCanvas(); }
-    // etc.
-}); // End keydown listener
+// Compressed pages are base64 of raw-deflated, URI-encoded XML
+async function inflateDrawioPage(text) {
+    const bytes = Uint8Array.from(atob(text.trim()), char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return decodeURIComponent(await new Response(stream).text());
+}
 
+function parseXml(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid XML.');
+    }
+    return xml;
+}
 
-// --- Listen for Menu Actions via Preload ---
-if (window.electronAPI) {
-  window.electronAPI.onUndo(() => {
-    console.log('Undo action triggered from menu.');
-    undo();
-  });
-  window.electronAPI.onRedo(() => {
-    console.log('Redo action triggered from menu.');
-    redo();
-  });
+// The <mxGraphModel> of the first page, and how many pages the file has
+async function getDrawioModel(source) {
+    const root = parseXml(source).documentElement;
+    if (root.nodeName === 'mxGraphModel') {
+        return { model: root, pageCount: 1 };
+    }
+    const pages = root.nodeName === 'mxfile' ? root.getElementsByTagName('diagram') : [];
+    if (pages.length === 0) {
+        throw new Error('The file is not a draw.io diagram.');
+    }
+    const page = pages[0];
+    const inlineModel = page.getElementsByTagName('mxGraphModel')[0];
+    const model = inlineModel || parseXml(await inflateDrawioPage(page.textContent)).documentElement;
+    return { model: model, pageCount: pages.length, pageName: page.getAttribute('name') };
+}
 
-  // --- NEW: Listen for Save Request from Menu ---
-  window.electronAPI.onRequestSave(async () => {
-    console.log('Save As... action triggered from menu.');
+// Labels with html=1 are HTML; keep their text and line breaks
+function drawioLabelToText(value, isHtml) {
+    if (!value) return '';
+    if (!isHtml) return value;
+    const html = value.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(div|p|li|h\d)>/gi, '\n');
+    const text = new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+    return text.replace(/\u00a0/g, ' ').replace(/\n+$/, '');
+}
 
-    // Deselect shape temporarily for a clean image
-    const previouslySelected = selectedShape;
-    selectedShape = null;
-    redrawCanvas(); // Redraw without selection highlight/handles
+function getDrawioColor(value, fallback) {
+    if (value === undefined || value === 'default') return fallback;
+    return value === 'none' ? null : value;
+}
 
-    try {
-      // Show save dialog, allowing PNG and JPG
-      const result = await window.electronAPI.saveDialog({
-        name: 'Images', extensions: ['png', 'jpg']
-      });
+// Anchor nearest to a draw.io connection point (exitX/exitY, entryX/entryY are 0..1 across the shape)
+function getDrawioAnchor(x, y) {
+    if (x === undefined || y === undefined) return null;
+    const anchors = { top: [0.5, 0], right: [1, 0.5], bottom: [0.5, 1], left: [0, 0.5], center: [0.5, 0.5] };
+    let nearest = null;
+    let nearestDist = Infinity;
+    Object.keys(anchors).forEach(name => {
+        const dist = Math.hypot(anchors[name][0] - parseFloat(x), anchors[name][1] - parseFloat(y));
+        if (dist < nearestDist) {
+            nearest = name;
+            nearestDist = dist;
+        }
+    });
+    return nearest;
+}
 
-      if (!result.canceled && result.filePath) {
-        const filePath = result.filePath;
-        let dataURL;
-        let format = 'png'; // Default to png
+// Font properties shared by labels and Text shapes
+function applyDrawioFont(shape, style) {
+    const fontStyle = parseInt(style.fontStyle || '0', 10); // Bit flags: 1 bold, 2 italic, 4 underline, 8 strikethrough
+    shape.fontSize = parseFloat(style.fontSize) || 12;
+    shape.fontFamily = style.fontFamily || 'Helvetica';
+    shape.fontWeight = fontStyle & 1 ? 'bold' : 'normal';
+    shape.fontStyle = fontStyle & 2 ? 'italic' : 'normal';
+    shape.textDecoration = setTextDecoration(fontStyle & 4 ? 'underline' : 'none', 'line-through', Boolean(fontStyle & 8));
+    shape.textAlign = ['left', 'right'].includes(style.align) ? style.align : 'center';
+}
 
-        // Determine format from file extension
-        if (filePath.toLowerCase().endsWith('.jpg') || filePath.toLowerCase().endsWith('.jpeg')) {
-          format = 'jpeg'; // Canvas uses 'jpeg'
+// Parse a draw.io file into shapes. Returns { shapes, warnings } where warnings lists what
+// could not be imported as drawn.
+async function parseDrawio(source) {
+    const { model, pageCount, pageName } = await getDrawioModel(source);
+    const unsupported = new Map(); // Description -> number of cells
+    const report = (description) => unsupported.set(description, (unsupported.get(description) || 0) + 1);
+
+    // Cells, in document (z-) order. <object>/<UserObject> wrappers hold the id and label of their cell.
+    const cells = [...model.getElementsByTagName('mxCell')].map(element => {
+        const wrapper = ['object', 'UserObject'].includes(element.parentNode.nodeName) ? element.parentNode : null;
+        const geometryElement = [...element.children].find(child => child.nodeName === 'mxGeometry');
+        const style = parseDrawioStyle(element.getAttribute('style'));
+        return {
+            id: element.getAttribute('id') || (wrapper && wrapper.getAttribute('id')),
+            parent: element.getAttribute('parent'),
+            value: wrapper ? wrapper.getAttribute('label') : element.getAttribute('value'),
+            style: style,
+            isVertex: element.getAttribute('vertex') === '1',
+            isEdge: element.getAttribute('edge') === '1',
+            source: element.getAttribute('source'),
+            target: element.getAttribute('target'),
+            geometry: geometryElement || null
+        };
+    });
+    const cellsById = new Map(cells.map(cell => [cell.id, cell]));
+    const number = (element, name) => parseFloat(element && element.getAttribute(name)) || 0;
+
+    // Geometry is relative to the parent cell when that is a vertex (groups, containers)
+    const getOrigin = (cell) => {
+        const parent = cellsById.get(cell.parent);
+        if (!parent || !parent.isVertex) return { x: 0, y: 0 };
+        const parentOrigin = getOrigin(parent);
+        return { x: parentOrigin.x + number(parent.geometry, 'x'), y: parentOrigin.y + number(parent.geometry, 'y') };
+    };
+    const getPoint = (element, origin) => ({ x: origin.x + number(element, 'x'), y: origin.y + number(element, 'y') });
+
+    // Labels placed on edges are separate cells whose parent is the edge
+    const edgeLabels = new Map();
+    cells.forEach(cell => {
+        const parent = cellsById.get(cell.parent);
+        if (cell.isVertex && parent && parent.isEdge && cell.value) {
+            const text = drawioLabelToText(cell.value, cell.style.html === '1');
+            edgeLabels.set(parent.id, edgeLabels.has(parent.id) ? `${edgeLabels.get(parent.id)}\n${text}` : text);
         }
+    });
 
-        // Generate Data URL
-        if (format === 'jpeg') {
-          // For JPG, need to draw background color first
-          const currentBg = canvas.style.backgroundColor || '#ffffff'; // Use white if none set
-          ctx.globalCompositeOperation = 'destination-over'; // Draw behind existing content
-          ctx.fillStyle = currentBg;
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-          ctx.globalCompositeOperation = 'source-over'; // Reset composite operation
-          dataURL = canvas.toDataURL('image/jpeg', 0.9); // Quality 0.9
-          redrawCanvas(); // Redraw to remove the temporary background fill for subsequent operations
-        } else { // PNG
-          dataURL = canvas.toDataURL('image/png');
+    const shapesById = new Map();
+    const groupChildren = new Map(); // Group cell id -> child shapes
+    const groupCellIds = new Map(); // Group shape -> its cell id
+    const createVertex = (cell) => {
+        const origin = getOrigin(cell);
+        const x = origin.x + number(cell.geometry, 'x');
+        const y = origin.y + number(cell.geometry, 'y');
+        const width = number(cell.geometry, 'width');
+        const height = number(cell.geometry, 'height');
+        const style = cell.style;
+        const shapeName = style.shape || style.name || 'rectangle';
+        let kind = DRAWIO_SHAPE_KINDS[shapeName];
+        if (kind === 'image' && !/^data:image\//.test(style.image || '')) {
+            report('images that are not embedded in the file (drawn as rectangles)');
+            kind = 'rectangle';
+        } else if (!kind) {
+            report(`"${shapeName}" shapes (drawn as rectangles)`);
+            kind = 'rectangle';
         }
-
-        // Write file via main process
-        const writeResult = await window.electronAPI.writeFile(filePath, dataURL);
-        if (writeResult.success) {
-          console.log(`Canvas saved successfully to ${filePath}`);
-          // Optionally show a success message to the user
-        } else {
-          console.error('Failed to save canvas:', writeResult.error);
-          // Optionally show an error message to the user
-          alert(`Error saving file: ${writeResult.error}`); // Simple alert for error
+        const label = drawioLabelToText(cell.value, style.html === '1');
+        let shape;
+        switch (kind) {
+            case 'group':
+                shape = new Group([]);
+                groupChildren.set(cell.id, []);
+                groupCellIds.set(shape, cell.id);
+                return shape;
+            case 'text':
+                shape = new Text(x, y, label, getDrawioColor(style.fontColor, '#000000') || '#000000');
+                applyDrawioFont(shape, style);
+                shape.updateDimensions();
+                // draw.io centers the text in its box
+                shape.x = style.align === 'left' ? x : (style.align === 'right' ? x + width - shape.width : x + (width - shape.width) / 2);
+                shape.y = y + (height - shape.height) / 2;
+                shape.strokeColor = getDrawioColor(style.strokeColor, null);
+                break;
+            case 'image': {
+                // Inside a style, ';' separates entries, so draw.io leaves ';base64' out of data URLs
+                const dataUrl = style.image.replace(/^data:(image\/[\w+.-]+),(?!.*;base64)/, 'data:$1;base64,');
+                shape = new ImageShape(x, y, width, height, dataUrl);
+                shape.strokeColor = getDrawioColor(style.imageBorder, null);
+                break;
+            }
+            case 'circle':
+                if (Math.abs(width - height) > 1) report('ellipses (drawn as circles)');
+                shape = new Circle(x + width / 2, y + height / 2, Math.min(width, height) / 2, null);
+                break;
+            case 'diamond':
+                shape = new Diamond(x, y, width, height, null);
+                break;
+            default:
+                // Rounded rectangles with fully round ends (arcSize=50) are terminators
+                if (kind === 'rectangle' && style.rounded === '1' && parseFloat(style.arcSize) >= 50) kind = 'terminator';
+                shape = kind in flowchartShapeClasses
+                    ? new flowchartShapeClasses[kind](x, y, width, height, null)
+                    : new Rectangle(x, y, width, height, null);
         }
-      } else {
-        console.log('Save dialog cancelled.');
-      }
-    } catch (error) {
-      console.error('Error during save process:', error);
-      alert(`An error occurred: ${error.message}`); // Simple alert for error
-    } finally {
-      // Reselect shape if it was selected before saving
-      selectedShape = previouslySelected;
-      if (selectedShape) { // Only redraw if there was a selection
-          redrawCanvas();
-      }
-    }
-  });
-  // ---------------------------------------------
+        if (supportsLabel(shape)) {
+            shape.color = getDrawioColor(style.fillColor, '#ffffff');
+            shape.strokeColor = getDrawioColor(style.strokeColor, '#000000');
+            shape.text = label;
+            shape.textColor = getDrawioColor(style.fontColor, '#000000') || '#000000';
+            applyDrawioFont(shape, style);
+        }
+        if (!(shape instanceof Text) && !(shape instanceof ImageShape)) {
+            shape.strokeWidth = parseFloat(style.strokeWidth) || 1;
+            shape.strokeDash = style.dashed === '1' ? 'dashed' : 'solid';
+        }
+        shape.angle = (parseFloat(style.rotation) || 0) * Math.PI / 180;
+        return shape;
+    };
+
+    const createEdge = (cell) => {
+        const origin = getOrigin(cell);
+        const style = cell.style;
+        const pointElements = cell.geometry ? [...cell.geometry.getElementsByTagName('mxPoint')] : [];
+        const findPoint = (role) => pointElements.find(element => element.getAttribute('as') === role);
+        const waypoints = pointElements.filter(element => element.parentNode.nodeName === 'Array').map(element => getPoint(element, origin));
+        const sourcePoint = findPoint('sourcePoint');
+        const targetPoint = findPoint('targetPoint');
+        // An end can only be bound to a shape with anchors. Ends on another edge or a group stay loose,
+        // at the file's end point or else the middle of the cell they were attached to.
+        const getBindableShape = (id) => {
+            const shape = shapesById.get(id);
+            if (shape && Object.keys(shape.getAnchorPoints()).length === 0) {
+                report('edge ends attached to other edges or groups (left unattached)');
+                return null;
+            }
+            return shape || null;
+        };
+        const getLooseEnd = (id, point) => {
+            if (point) return getPoint(point, origin);
+            const shape = shapesById.get(id);
+            if (shape instanceof Line) return shape.getCenter();
+            const endCell = cellsById.get(id);
+            if (!endCell || !endCell.isVertex || !endCell.geometry) return null;
+            const endOrigin = getOrigin(endCell);
+            return {
+                x: endOrigin.x + number(endCell.geometry, 'x') + number(endCell.geometry, 'width') / 2,
+                y: endOrigin.y + number(endCell.geometry, 'y') + number(endCell.geometry, 'height') / 2
+            };
+        };
+        const sourceShape = getBindableShape(cell.source);
+        const targetShape = getBindableShape(cell.target);
+        // Where each end is heading, to pick the facing anchor when the file doesn't say
+        const startCenter = sourceShape ? sourceShape.getCenter() : getLooseEnd(cell.source, sourcePoint);
+        const endCenter = targetShape ? targetShape.getCenter() : getLooseEnd(cell.target, targetPoint);
+        if (!startCenter || !endCenter) {
+            report('edges with a missing end (left out)');
+            return null;
+        }
+        const startAnchor = getDrawioAnchor(style.exitX, style.exitY) ||
+            getFacingAnchors(startCenter, waypoints[0] || endCenter)[0];
+        const endAnchor = getDrawioAnchor(style.entryX, style.entryY) ||
+            getFacingAnchors(waypoints[waypoints.length - 1] || startCenter, endCenter)[1];
+        const start = sourceShape ? sourceShape.getAnchorPoints()[startAnchor] : startCenter;
+        const end = targetShape ? targetShape.getAnchorPoints()[endAnchor] : endCenter;
+
+        const line = sourceShape || targetShape
+            ? new Connector(start.x, start.y, end.x, end.y, null,
+                sourceShape ? { shapeId: sourceShape.id, anchor: startAnchor } : null,
+                targetShape ? { shapeId: targetShape.id, anchor: endAnchor } : null)
+            : new Line(start.x, start.y, end.x, end.y, null);
+        line.strokeColor = getDrawioColor(style.strokeColor, '#000000');
+        line.strokeWidth = parseFloat(style.strokeWidth) || 1;
+        line.strokeDash = style.dashed === '1' ? 'dashed' : 'solid';
+        const getMarker = (arrow, fill, fallback) => {
+            const name = arrow === undefined ? fallback : arrow;
+            let marker = DRAWIO_ARROW_MARKERS[name];
+            if (!marker) {
+                report(`"${name}" arrowheads (drawn as filled arrows)`);
+                marker = 'filled-arrow';
+            }
+            return marker === 'filled-arrow' && fill === '0' ? 'open-arrow' : marker;
+        };
+        line.startMarker = getMarker(style.startArrow, style.startFill, 'none');
+        line.endMarker = getMarker(style.endArrow, style.endFill, 'classic');
+        if (style.edgeStyle && style.edgeStyle !== 'none') line.routing = 'orthogonal';
+        if (style.curved === '1') line.routing = 'curved';
+        line.waypoints = waypoints;
+        const labels = [drawioLabelToText(cell.value, style.html === '1'), edgeLabels.get(cell.id)].filter(Boolean);
+        line.text = labels.join('\n');
+        line.textColor = getDrawioColor(style.fontColor, '#000000') || '#000000';
+        if (line.text) applyDrawioFont(line, style);
+        return line;
+    };
+
+    // Vertices first so that edges can bind to them, then everything in z-order
+    cells.forEach(cell => {
+        const parent = cellsById.get(cell.parent);
+        if (cell.isVertex && !(parent && parent.isEdge)) shapesById.set(cell.id, createVertex(cell));
+    });
+    const imported = [];
+    cells.forEach(cell => {
+        let shape = shapesById.get(cell.id);
+        if (!shape && cell.isEdge) {
+            shape = createEdge(cell);
+            if (shape) shapesById.set(cell.id, shape);
+        }
+        if (!shape) return;
+        const parentGroup = groupChildren.get(cell.parent);
+        (parentGroup || imported).push(shape);
+    });
+    // Fill in the groups now that their children exist; empty ones are dropped
+    const finishGroups = (list) => list.filter(shape => {
+        if (!(shape instanceof Group)) return true;
+        shape.children = finishGroups(groupChildren.get(groupCellIds.get(shape)));
+        return shape.children.length > 0;
+    });
+    const result = finishGroups(imported);
 
-} else {
-  console.error('electronAPI not found on window. Check preload script.');
+    const warnings = [...unsupported.entries()].map(([description, count]) => `${count} × ${description}`);
+    if (pageCount > 1) {
+        warnings.unshift(`Only the first page${pageName ? ` ("${pageName}")` : ''} of ${pageCount} was imported.`);
+    }
+    return { shapes: result, warnings: warnings };
 }
-
+// ---------------------------------------------
 
 // --- Initial Draw & State ---
 canvas.style.backgroundColor = '#f0f0f0';
 colorPicker.value = '#000000'; // Set HTML picker default to black, even if internal currentColor is null
 saveState(); // Save the initial empty state
-redrawCanvas();
+updateWindowTitle();
+resizeCanvasToContainer(); // Fill the window (also draws the canvas)
 // updateUndoRedoButtons(); // Removed call
 console.log('Renderer process loaded.');
 
@@ -2230,33 +8069,600 @@ window.electronAPI.onRedo(redo);
 // The listener for onRequestSave is already defined above (around line 1758)
 window.electronAPI.onCopyCanvas(handleCopyCanvas); // Listen for copy command
 window.electronAPI.onPasteCanvas(handlePasteCanvas); // Listen for paste command
+window.electronAPI.onGroupShapes(groupSelectedShapes); // Listen for group command
+window.electronAPI.onUngroupShapes(ungroupSelectedShapes); // Listen for ungroup command
+window.electronAPI.onReorderShapes(reorderSelection); // Arrange menu z-order commands
+window.electronAPI.onZoomToFit(zoomToFit); // View menu commands
+window.electronAPI.onZoomToSelection(zoomToSelection);
+window.electronAPI.onZoomActualSize(zoomActualSize);
+window.electronAPI.onToggleGrid(() => { // Grid toggles, mirrored in the toolbar checkboxes
+    showGrid = !showGrid;
+    syncGridControls();
+    redrawCanvas();
+});
+window.electronAPI.onToggleSnapToGrid(() => {
+    snapToGrid = !snapToGrid;
+    syncGridControls();
+});
+window.electronAPI.onToggleSmartGuides(() => {
+    smartGuidesEnabled = !smartGuidesEnabled;
+    syncGridControls();
+});
 
 // --- NEW: Flip Button Event Listeners ---
 const flipHorizontalButton = document.getElementById('flipHorizontalButton');
 const flipVerticalButton = document.getElementById('flipVerticalButton');
 
-if (flipHorizontalButton) {
-    flipHorizontalButton.addEventListener('click', () => {
-        if (selectedShape) {
-            saveState(); // Save state before modification
+// Flip the selection: a single shape toggles its own flip flag, a multi-selection
+// (or a group or swimlane) is mirrored as a whole across the centre of its bounds
+function flipSelection(direction) {
+    if (selectedShapes.length === 0) return;
+    if (selectedShape && !(selectedShape instanceof Group) && !(selectedShape instanceof Swimlane)) {
+        if (direction === 'horizontal') {
             selectedShape.flipH = !selectedShape.flipH;
-            console.log('Horizontal flip:', selectedShape.flipH, 'Vertical flip:', selectedShape.flipV, selectedShape);
-            redrawCanvas();
+        } else {
+            selectedShape.flipV = !selectedShape.flipV;
         }
-    });
+        console.log('Horizontal flip:', selectedShape.flipH, 'Vertical flip:', selectedShape.flipV, selectedShape);
+    } else {
+        const bounds = getSelectionBounds(selectedShapes);
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        // Swimlanes are mirrored with their contents
+        withContainerMembers(selectedShapes).forEach(shape => shape.flipAcross(direction, centerX, centerY));
+        console.log(`Flipped ${selectedShapes.length} shapes ${direction}ly`);
+    }
+    redrawCanvas();
+    saveState(); // Save state after modification
+}
+
+if (flipHorizontalButton) {
+    flipHorizontalButton.addEventListener('click', () => flipSelection('horizontal'));
 } else {
     console.error("Flip Horizontal button not found!");
 }
 
 if (flipVerticalButton) {
-    flipVerticalButton.addEventListener('click', () => {
-        if (selectedShape) {
-            saveState(); // Save state before modification
-            selectedShape.flipV = !selectedShape.flipV;
-            console.log('Vertical flip:', selectedShape.flipV, 'Horizontal flip:', selectedShape.flipH, selectedShape);
-            redrawCanvas();
+    flipVerticalButton.addEventListener('click', () => flipSelection('vertical'));
+} else {
+    console.error("Flip Vertical button not found!");
+}
+
+// --- NEW: Alignment, Distribution and Match Size ---
+// These work on each shape's bounding box (rotation included), so a rotated shape lines up by its visible extent.
+
+// Selected shapes that can be moved on their own; connectors bound to a shape follow that shape instead
+function getArrangeableSelection() {
+    return selectedShapes.filter(shape => !(shape instanceof Connector && (shape.startBinding || shape.endBinding)));
+}
+
+// Line the selection up along one edge or center line of its combined bounding box
+function alignSelection(edge) {
+    const items = getOutermostShapes(getArrangeableSelection()); // Swimlanes carry their contents
+    if (items.length < 2) {
+        console.log('Align needs at least two shapes.');
+        return;
+    }
+    const target = getSelectionBounds(items);
+    items.forEach(shape => {
+        const bounds = shape.getBounds();
+        switch (edge) {
+            case 'left': moveShapesBy([shape], target.x - bounds.x, 0); break;
+            case 'center': moveShapesBy([shape], target.x + target.width / 2 - (bounds.x + bounds.width / 2), 0); break;
+            case 'right': moveShapesBy([shape], target.x + target.width - (bounds.x + bounds.width), 0); break;
+            case 'top': moveShapesBy([shape], 0, target.y - bounds.y); break;
+            case 'middle': moveShapesBy([shape], 0, target.y + target.height / 2 - (bounds.y + bounds.height / 2)); break;
+            case 'bottom': moveShapesBy([shape], 0, target.y + target.height - (bounds.y + bounds.height)); break;
+        }
+    });
+    placeInContainers(items); // Moved shapes join or leave swimlanes as when dragged
+    console.log(`Aligned ${items.length} shapes (${edge})`);
+    updateConnectors();
+    redrawCanvas();
+    saveState();
+}
+
+// Space the selection so the gaps between neighbouring bounding boxes are equal.
+// The outermost shapes stay where they are.
+function distributeSelection(axis) {
+    const items = getOutermostShapes(getArrangeableSelection()); // Swimlanes carry their contents
+    if (items.length < 3) {
+        console.log('Distribute needs at least three shapes.');
+        return;
+    }
+    const start = axis === 'horizontal' ? 'x' : 'y';
+    const size = axis === 'horizontal' ? 'width' : 'height';
+    const entries = items.map(shape => ({ shape, bounds: shape.getBounds() }))
+        .sort((a, b) => (a.bounds[start] + a.bounds[size] / 2) - (b.bounds[start] + b.bounds[size] / 2));
+    const first = entries[0].bounds;
+    const last = entries[entries.length - 1].bounds;
+    const span = last[start] + last[size] - first[start];
+    const totalSize = entries.reduce((sum, entry) => sum + entry.bounds[size], 0);
+    const gap = (span - totalSize) / (entries.length - 1);
+    let position = first[start];
+    entries.forEach(({ shape, bounds }) => {
+        const offset = position - bounds[start];
+        moveShapesBy([shape], axis === 'horizontal' ? offset : 0, axis === 'horizontal' ? 0 : offset);
+        position += bounds[size] + gap;
+    });
+    placeInContainers(items);
+    console.log(`Distributed ${entries.length} shapes ${axis}ly with a gap of ${gap.toFixed(1)}`);
+    updateConnectors();
+    redrawCanvas();
+    saveState();
+}
+
+// Give every selected shape the bounding-box width or height of the widest (or tallest) one,
+// scaling each about its own center. Unlike the selection order, that is the same however the
+// shapes were selected.
+function matchSelectionSize(dimension) {
+    const items = getArrangeableSelection();
+    if (items.length < 2) {
+        console.log('Match size needs at least two shapes.');
+        return;
+    }
+    const reference = items.reduce((largest, shape) =>
+        (shape.getBounds()[dimension] > largest.getBounds()[dimension] ? shape : largest));
+    const targetSize = reference.getBounds()[dimension];
+    items.filter(shape => shape !== reference).forEach(shape => {
+        // Rotated shapes don't scale their bounding box exactly linearly, so refine a few times
+        for (let pass = 0; pass < 8; pass++) {
+            const bounds = shape.getBounds();
+            if (bounds[dimension] === 0 || Math.abs(bounds[dimension] - targetSize) < 0.5) break;
+            const scale = targetSize / bounds[dimension];
+            const centerX = bounds.x + bounds.width / 2;
+            const centerY = bounds.y + bounds.height / 2;
+            shape.scaleAbout(centerX, centerY, dimension === 'width' ? scale : 1, dimension === 'height' ? scale : 1);
+            if (shape.getBounds()[dimension] === bounds[dimension]) break; // The shape can't change this way (e.g. Text width)
+        }
+    });
+    console.log(`Matched ${dimension} of ${items.length - 1} shapes to ${targetSize.toFixed(1)}`);
+    updateConnectors();
+    redrawCanvas();
+    saveState();
+}
+
+const arrangeButtons = {
+    alignLeftShapesButton: () => alignSelection('left'),
+    alignCenterShapesButton: () => alignSelection('center'),
+    alignRightShapesButton: () => alignSelection('right'),
+    alignTopShapesButton: () => alignSelection('top'),
+    alignMiddleShapesButton: () => alignSelection('middle'),
+    alignBottomShapesButton: () => alignSelection('bottom'),
+    distributeHorizontalButton: () => distributeSelection('horizontal'),
+    distributeVerticalButton: () => distributeSelection('vertical'),
+    matchWidthButton: () => matchSelectionSize('width'),
+    matchHeightButton: () => matchSelectionSize('height')
+};
+Object.entries(arrangeButtons).forEach(([id, action]) => {
+    const button = document.getElementById(id);
+    if (button) {
+        button.addEventListener('click', action);
+    } else {
+        console.error(`${id} not found!`);
+    }
+});
+
+// --- NEW: Shape Library Panel ---
+// Built-in stencils by category, plus the custom stencils saved from selections (stored by the main process).
+// A stencil's create() returns fresh shapes anywhere on the canvas; insertShapesAt() moves them into place.
+
+// A shape carrying a label, for the stencils below
+function withLabel(shape, text, options = {}) {
+    shape.text = text;
+    Object.assign(shape, options);
+    return shape;
+}
+
+function umlClassStencil() {
+    const name = withLabel(new Rectangle(0, 0, 160, 30, '#ffffff'), 'ClassName', { fontWeight: 'bold' });
+    const attributes = withLabel(new Rectangle(0, 30, 160, 45, '#ffffff'), '+ attribute: Type', { textAlign: 'left' });
+    const operations = withLabel(new Rectangle(0, 75, 160, 45, '#ffffff'), '+ operation(): Type', { textAlign: 'left' });
+    return [new Group([name, attributes, operations])];
+}
+
+function umlActorStencil() {
+    const parts = [
+        new Circle(20, 10, 10, '#ffffff'),
+        new Line(20, 20, 20, 50, '#000000'), // Body
+        new Line(0, 30, 40, 30, '#000000'), // Arms
+        new Line(20, 50, 2, 78, '#000000'), // Legs
+        new Line(20, 50, 38, 78, '#000000'),
+        new Text(0, 84, 'Actor', '#000000', 14, 'Arial', 'normal', 'normal', 'none', 'center')
+    ];
+    parts.forEach(part => { if (part instanceof Line) part.strokeWidth = 1.5; });
+    const label = parts[parts.length - 1];
+    label.x = 20 - label.width / 2; // Centered under the figure
+    return [new Group(parts)];
+}
+
+function umlFinalStateStencil() {
+    const outer = new Circle(15, 15, 15, '#ffffff');
+    const inner = new Circle(15, 15, 9, '#000000');
+    inner.strokeColor = null;
+    return [new Group([outer, inner])];
+}
+
+function serverStencil() {
+    const parts = [new Rectangle(0, 0, 60, 90, '#ffffff')];
+    [18, 32, 46].forEach(y => {
+        const slot = new Line(10, y, 50, y, '#000000');
+        slot.strokeWidth = 1;
+        parts.push(slot);
+    });
+    return [new Group(parts)];
+}
+
+function workstationStencil() {
+    const screen = new Rectangle(0, 0, 90, 60, '#dbe9f7');
+    const neck = new Rectangle(38, 60, 14, 12, '#ffffff');
+    const base = new Rectangle(20, 72, 50, 8, '#ffffff');
+    return [new Group([screen, neck, base])];
+}
+
+function firewallStencil() {
+    const parts = [new Rectangle(0, 0, 90, 60, '#f4b183')];
+    [20, 40].forEach(y => parts.push(new Line(0, y, 90, y, '#000000')));
+    [[45, 0, 20], [22, 20, 40], [67, 20, 40], [45, 40, 60]].forEach(([x, top, bottom]) => {
+        parts.push(new Line(x, top, x, bottom, '#000000'));
+    });
+    parts.forEach(part => { if (part instanceof Line) part.strokeWidth = 1; });
+    return [new Group(parts)];
+}
+
+// A pool already split into two lanes
+function poolWithLanesStencil(orientation) {
+    const laneDepth = 140;
+    const length = 600;
+    const depth = laneDepth * 2;
+    const pool = orientation === 'vertical'
+        ? new Pool(0, 0, depth, length, null, orientation)
+        : new Pool(0, 0, length, depth, null, orientation);
+    const body = pool.getBodyBounds();
+    const lanes = [0, 1].map(index => withLabel(orientation === 'vertical'
+        ? new Lane(body.x + index * laneDepth, body.y, laneDepth, body.height, null, orientation)
+        : new Lane(body.x, body.y + index * laneDepth, body.width, laneDepth, null, orientation), `Lane ${index + 1}`));
+    pool.memberIds = lanes.map(lane => lane.id);
+    return [pool, ...lanes];
+}
+
+const SHAPE_LIBRARY = [
+    {
+        category: 'Basic',
+        items: [
+            { name: 'Rectangle', create: () => [new Rectangle(0, 0, 100, 60, null)] },
+            { name: 'Square', create: () => [new Rectangle(0, 0, 80, 80, null)] },
+            { name: 'Circle', keywords: 'ellipse round', create: () => [new Circle(0, 0, 40, null)] },
+            { name: 'Diamond', keywords: 'rhombus', create: () => [new Diamond(0, 0, 100, 70, null)] },
+            { name: 'Hexagon', create: () => [new Hexagon(0, 0, 120, 60, null)] },
+            { name: 'Text', keywords: 'label', create: () => [new Text(0, 0, 'Text', '#000000')] },
+            { name: 'Line', create: () => [new Line(0, 0, 120, 0, '#000000')] },
+            {
+                name: 'Arrow', keywords: 'line', create: () => {
+                    const arrow = new Line(0, 0, 120, 0, '#000000');
+                    arrow.endMarker = 'filled-arrow';
+                    return [arrow];
+                }
+            }
+        ]
+    },
+    {
+        category: 'Flowchart',
+        items: [
+            { name: 'Process', keywords: 'rectangle step', create: () => [new Rectangle(0, 0, 120, 60, null)] },
+            { name: 'Decision', keywords: 'diamond condition if', create: () => [new Diamond(0, 0, 120, 80, null)] },
+            { name: 'Terminator', keywords: 'start end stop rounded', create: () => [new Terminator(0, 0, 120, 50, null)] },
+            { name: 'Input/Output', keywords: 'data parallelogram', create: () => [new Parallelogram(0, 0, 120, 60, null)] },
+            { name: 'Document', create: () => [new DocumentShape(0, 0, 120, 70, null)] },
+            { name: 'Database', keywords: 'cylinder storage', create: () => [new Cylinder(0, 0, 80, 90, null)] },
+            { name: 'Predefined Process', keywords: 'subroutine', create: () => [new PredefinedProcess(0, 0, 120, 60, null)] },
+            { name: 'Manual Input', create: () => [new ManualInput(0, 0, 120, 60, null)] },
+            { name: 'Off-page Connector', keywords: 'reference', create: () => [new OffPageConnector(0, 0, 60, 60, null)] },
+            { name: 'On-page Connector', keywords: 'circle reference', create: () => [new Circle(0, 0, 20, null)] },
+            { name: 'Preparation', keywords: 'hexagon', create: () => [new Hexagon(0, 0, 120, 60, null)] },
+            { name: 'Delay', create: () => [new Delay(0, 0, 120, 60, null)] }
+        ]
+    },
+    {
+        category: 'Swimlanes',
+        items: [
+            { name: 'Pool', keywords: 'container swimlane horizontal', create: () => [new Pool(0, 0, 600, 200, null, 'horizontal')] },
+            { name: 'Vertical Pool', keywords: 'container swimlane', create: () => [new Pool(0, 0, 200, 600, null, 'vertical')] },
+            { name: 'Lane', keywords: 'container swimlane horizontal department', create: () => [new Lane(0, 0, 600, 120, null, 'horizontal')] },
+            { name: 'Vertical Lane', keywords: 'container swimlane column department', create: () => [new Lane(0, 0, 120, 600, null, 'vertical')] },
+            { name: 'Pool with Lanes', keywords: 'container swimlane horizontal department', create: () => poolWithLanesStencil('horizontal') },
+            { name: 'Vertical Pool with Lanes', keywords: 'container swimlane column department', create: () => poolWithLanesStencil('vertical') }
+        ]
+    },
+    {
+        category: 'UML',
+        items: [
+            { name: 'Class', create: umlClassStencil },
+            { name: 'Interface', keywords: 'lollipop', create: () => [withLabel(new Rectangle(0, 0, 160, 40, '#ffffff'), '«interface»\nName')] },
+            { name: 'Actor', keywords: 'use case user', create: umlActorStencil },
+            { name: 'Use Case', keywords: 'ellipse', create: () => [withLabel(new Terminator(0, 0, 140, 60, '#ffffff'), 'Use Case')] },
+            {
+                name: 'Package', create: () => [new Group([
+                    new Rectangle(0, 0, 60, 18, '#ffffff'),
+                    withLabel(new Rectangle(0, 18, 160, 90, '#ffffff'), 'Package')
+                ])]
+            },
+            { name: 'Note', keywords: 'comment', create: () => [withLabel(new Note(0, 0, 120, 70, '#fff9c4'), 'Note')] },
+            {
+                name: 'Initial State', keywords: 'start activity', create: () => {
+                    const start = new Circle(0, 0, 12, '#000000');
+                    start.strokeColor = null;
+                    return [start];
+                }
+            },
+            { name: 'Final State', keywords: 'end activity', create: umlFinalStateStencil },
+            { name: 'Decision Node', keywords: 'merge activity', create: () => [new Diamond(0, 0, 40, 40, '#ffffff')] }
+        ]
+    },
+    {
+        category: 'Network',
+        items: [
+            { name: 'Server', keywords: 'computer host', create: serverStencil },
+            { name: 'Workstation', keywords: 'computer pc desktop client', create: workstationStencil },
+            { name: 'Database Server', keywords: 'cylinder storage', create: () => [new Cylinder(0, 0, 70, 80, '#ffffff')] },
+            { name: 'Router', create: () => [withLabel(new Circle(0, 0, 30, '#dbe9f7'), 'Router')] },
+            { name: 'Switch', keywords: 'hub', create: () => [withLabel(new Rectangle(0, 0, 110, 30, '#dbe9f7'), 'Switch')] },
+            { name: 'Firewall', keywords: 'security', create: firewallStencil },
+            { name: 'Cloud', keywords: 'internet', create: () => [withLabel(new Cloud(0, 0, 130, 80, '#ffffff'), 'Internet')] }
+        ]
+    }
+];
+
+const shapeLibraryPanel = document.getElementById('shapeLibraryPanel');
+const shapeLibraryCategories = document.getElementById('shapeLibraryCategories');
+const shapeLibrarySearch = document.getElementById('shapeLibrarySearch');
+const shapeLibraryToggle = document.getElementById('shapeLibraryToggle');
+const saveStencilButton = document.getElementById('saveStencilButton');
+const STENCIL_DRAG_TYPE = 'application/x-flowchart-stencil';
+let customStencils = []; // { id, name, shapes: [toJSON() data] }, saved by the main process
+let customStencilsLoad = null; // The latest load from disk; resolves with whether it succeeded
+const libraryItemsById = new Map(); // Drag data -> library item
+
+// Stencils this version can't read (e.g. saved by a newer one) are left out of the panel but kept on disk
+function getCustomStencilItems() {
+    return customStencils.filter(stencil => {
+        try {
+            stencil.shapes.forEach(deserializeShape);
+            return true;
+        } catch (error) {
+            console.warn(`Skipping stencil "${stencil.name}":`, error.message);
+            return false;
+        }
+    }).map(stencil => ({
+        name: stencil.name,
+        stencilId: stencil.id,
+        create: () => stencil.shapes.map(deserializeShape)
+    }));
+}
+
+// Small preview of an item's shapes, fitted to the thumbnail size
+function createLibraryThumbnail(item) {
+    const list = item.create();
+    const area = getExportArea(list, 2);
+    const thumbnailSize = 40;
+    const scale = Math.min(thumbnailSize / area.width, thumbnailSize / area.height, 1);
+    const thumbnail = renderShapesToCanvas(list, 2, scale, null);
+    thumbnail.className = 'shape-library-thumbnail';
+    return thumbnail;
+}
+
+function matchesLibrarySearch(item, query) {
+    return !query || `${item.name} ${item.keywords || ''}`.toLowerCase().includes(query);
+}
+
+// (Re)build the panel: one collapsible section per category, showing the items that match the search
+function renderShapeLibrary() {
+    if (!shapeLibraryCategories) return;
+    const query = shapeLibrarySearch ? shapeLibrarySearch.value.trim().toLowerCase() : '';
+    const openCategories = new Set([...shapeLibraryCategories.querySelectorAll('details[open]')].map(section => section.dataset.category));
+    const firstRender = shapeLibraryCategories.children.length === 0;
+    shapeLibraryCategories.innerHTML = '';
+    libraryItemsById.clear();
+    const categories = [...SHAPE_LIBRARY, { category: 'Custom', items: getCustomStencilItems() }];
+    categories.forEach(({ category, items }) => {
+        const matching = items.filter(item => matchesLibrarySearch(item, query));
+        if (matching.length === 0 && (query || category !== 'Custom')) return;
+        const section = document.createElement('details');
+        section.dataset.category = category;
+        section.open = Boolean(query) || firstRender || openCategories.has(category);
+        const summary = document.createElement('summary');
+        summary.textContent = `${category} (${matching.length})`;
+        section.appendChild(summary);
+        const grid = document.createElement('div');
+        grid.className = 'shape-library-items';
+        if (matching.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'shape-library-hint';
+            hint.textContent = 'Select shapes and click "Save Selection as Stencil" to add them here.';
+            grid.appendChild(hint);
+        }
+        matching.forEach((item, index) => {
+            const itemId = `${category}:${index}`;
+            libraryItemsById.set(itemId, item);
+            const element = document.createElement('div');
+            element.className = 'shape-library-item';
+            element.title = `${item.name} (drag onto the canvas or click to add)`;
+            element.draggable = true;
+            element.appendChild(createLibraryThumbnail(item));
+            const name = document.createElement('span');
+            name.textContent = item.name;
+            element.appendChild(name);
+            element.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(STENCIL_DRAG_TYPE, itemId);
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+            element.addEventListener('click', () => {
+                // Without a drop position, add it in the middle of the view
+                insertShapesAt(item.create(), (canvas.width / 2 - offsetX) / zoomLevel, (canvas.height / 2 - offsetY) / zoomLevel);
+            });
+            if (item.stencilId) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'shape-library-delete';
+                deleteButton.title = `Delete stencil "${item.name}"`;
+                deleteButton.textContent = '×';
+                deleteButton.addEventListener('click', (e) => {
+                    e.stopPropagation(); // Don't add the stencil as well
+                    deleteCustomStencil(item.stencilId);
+                });
+                element.appendChild(deleteButton);
+            }
+            grid.appendChild(element);
+        });
+        section.appendChild(grid);
+        shapeLibraryCategories.appendChild(section);
+    });
+}
+
+// Add shapes to the canvas centered on (x, y), with new IDs, and select them
+function insertShapesAt(list, x, y, event = null) {
+    if (list.length === 0) return;
+    giveNewIds(list);
+    const bounds = getSelectionBounds(list);
+    const corner = event ? snapPoint(x - bounds.width / 2, y - bounds.height / 2, event) : { x: x - bounds.width / 2, y: y - bounds.height / 2 };
+    list.forEach(shape => shape.moveBy(corner.x - bounds.x, corner.y - bounds.y));
+    setActiveTool('default'); // Before selecting: switching tools clears the selection
+    shapes.push(...list);
+    placeInContainers(list);
+    selectShapes(list);
+    redrawCanvas();
+    saveState();
+    console.log(`Added ${list.length} shape(s) from the shape library.`);
+}
+
+async function readCustomStencils() {
+    try {
+        const result = await window.electronAPI.loadStencils();
+        if (!result.success) {
+            console.error('Failed to load custom stencils:', result.error);
+            return false;
+        }
+        customStencils = result.stencils;
+        console.log(`Loaded ${customStencils.length} custom stencil(s).`);
+        renderShapeLibrary();
+        return true;
+    } catch (error) {
+        console.error('Error loading custom stencils:', error);
+        return false;
+    }
+}
+
+function loadCustomStencils() {
+    customStencilsLoad = readCustomStencils();
+    return customStencilsLoad;
+}
+
+// Write a changed stencil list to disk, and only then make it the panel's list, so the two never disagree.
+// update(stencils) returns the new list. Resolves with whether it was saved.
+async function storeCustomStencils(update) {
+    // Until the stencils on disk have been read, saving would write over them
+    if (!(await customStencilsLoad) && !(await loadCustomStencils())) {
+        alert('Your saved stencils could not be loaded, so the stencil library can\'t be changed. ' +
+            'Check the stencil file (see the console for details) and try again.');
+        return false;
+    }
+    const stencils = update(customStencils);
+    try {
+        const result = await window.electronAPI.saveStencils(stencils);
+        if (!result.success) {
+            console.error('Failed to save custom stencils:', result.error);
+            alert(`Error saving stencils: ${result.error}`);
+            return false;
+        }
+        if (result.backupPath) {
+            alert(`The old stencil file could not be read. A copy was kept at ${result.backupPath}`);
         }
+        customStencils = stencils;
+        return true;
+    } catch (error) {
+        console.error('Error saving custom stencils:', error);
+        alert(`Error saving stencils: ${error.message}`);
+        return false;
+    }
+}
+
+// Resolves with the stencil name, or null if cancelled
+function showStencilDialog() {
+    const nameInput = document.getElementById('stencilNameInput');
+    nameInput.value = '';
+    return showExportDialog(document.getElementById('stencilDialog'), () => nameInput.value.trim());
+}
+
+// Save the selected shapes as a custom stencil, stored with their top-left corner at (0, 0)
+async function saveSelectionAsStencil() {
+    if (activeTextInput) {
+        finishTextInput(activeTextInput, true);
+    }
+    if (selectedShapes.length === 0) {
+        alert('Select the shapes to save as a stencil first.');
+        return;
+    }
+    const name = await showStencilDialog();
+    if (name === null) {
+        console.log('Save as stencil cancelled.');
+        return;
+    }
+    const list = withContainerMembers(selectedShapes).map(shape => shape.clone()); // Keep the canvas order
+    const bounds = getSelectionBounds(list);
+    list.forEach(shape => shape.moveBy(-bounds.x, -bounds.y));
+    const shapeData = JSON.parse(JSON.stringify(list));
+    if (await storeCustomStencils(stencils => [...stencils, {
+        id: Date.now().toString(36),
+        name: name || `Stencil ${stencils.length + 1}`,
+        shapes: shapeData
+    }])) {
+        console.log(`Saved ${list.length} shape(s) as a custom stencil.`);
+        renderShapeLibrary();
+    }
+}
+
+async function deleteCustomStencil(stencilId) {
+    const stencil = customStencils.find(candidate => candidate.id === stencilId);
+    if (!stencil || !confirm(`Delete the stencil "${stencil.name}"?`)) return;
+    if (await storeCustomStencils(stencils => stencils.filter(candidate => candidate.id !== stencilId))) {
+        console.log(`Deleted the stencil "${stencil.name}".`);
+        renderShapeLibrary();
+    }
+}
+
+// Dropping a library item on the canvas adds it where it was dropped
+canvas.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes(STENCIL_DRAG_TYPE)) {
+        e.preventDefault(); // Allow the drop
+        e.dataTransfer.dropEffect = 'copy';
+    }
+});
+
+canvas.addEventListener('drop', (e) => {
+    const item = libraryItemsById.get(e.dataTransfer.getData(STENCIL_DRAG_TYPE));
+    if (!item) return;
+    e.preventDefault();
+    const mousePos = getMousePos(e); // Use canvas coords
+    insertShapesAt(item.create(), mousePos.x, mousePos.y, e);
+});
+
+if (shapeLibrarySearch) {
+    shapeLibrarySearch.addEventListener('input', renderShapeLibrary);
+}
+
+if (shapeLibraryToggle) {
+    shapeLibraryToggle.addEventListener('click', () => {
+        const collapsed = shapeLibraryPanel.classList.toggle('collapsed');
+        shapeLibraryToggle.textContent = collapsed ? '»' : '«';
+        shapeLibraryToggle.title = collapsed ? 'Show Shape Library' : 'Hide Shape Library';
+        resizeCanvasToContainer(); // The canvas gets (or gives back) the panel's width
     });
 } else {
-    console.error("Flip Vertical button not found!");
+    console.error("Shape library toggle button not found!");
+}
+
+if (saveStencilButton) {
+    saveStencilButton.addEventListener('click', saveSelectionAsStencil);
 }
+
+renderShapeLibrary();
+loadCustomStencils();